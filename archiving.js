@@ -0,0 +1,154 @@
+// archiving.js - Archiviazione (soft delete) di ordini e prodotti
+const { httpError } = require('./errors');
+const { transitionOrder } = require('./order-lifecycle');
+const { ORDER_EVENT_TYPES, recordOrderEvent } = require('./order-events');
+
+/**
+ * 🗂️ Filtro "archived" delle liste admin:
+ * - assente/"false" → solo attivi (default)
+ * - "true"/"only"   → solo archiviati
+ * - "all"           → tutti
+ */
+function archivedWhere(archived) {
+  if (archived === 'all') return {};
+  if (archived === 'true' || archived === 'only') return { archivedAt: { not: null } };
+  return { archivedAt: null };
+}
+
+/**
+ * 📥 Archivia un ordine. Se è ancora PENDING viene prima annullato
+ * (CANCELLED) così stock e codici promo tornano disponibili.
+ */
+async function archiveOrder(prisma, orderId, { actor = 'admin' } = {}) {
+  const { order, afterCommit } = await prisma.$transaction(async (tx) => {
+    let order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: { items: true }
+    });
+
+    if (!order) {
+      throw httpError(404, 'Ordine non trovato');
+    }
+
+    if (order.archivedAt) {
+      throw httpError(400, 'Ordine già archiviato');
+    }
+
+    let afterCommit = null;
+    if (order.paymentStatus === 'PENDING') {
+      const result = await transitionOrder(tx, order, 'CANCELLED', {
+        actor,
+        eventData: { reason: 'archived' }
+      });
+      order = result.order;
+      afterCommit = result.afterCommit;
+    }
+
+    const archived = await tx.order.update({
+      where: { id: order.id },
+      data: { archivedAt: new Date() }
+    });
+
+    await recordOrderEvent(tx, {
+      orderId: order.id,
+      type: ORDER_EVENT_TYPES.ARCHIVED,
+      actor
+    });
+
+    return { order: archived, afterCommit };
+  });
+
+  if (afterCommit) {
+    await afterCommit(prisma);
+  }
+
+  return order;
+}
+
+/**
+ * 📤 Ripristina un ordine archiviato (lo stato resta quello che era,
+ * un ordine annullato in archiviazione resta CANCELLED)
+ */
+async function restoreOrder(prisma, orderId, { actor = 'admin' } = {}) {
+  return prisma.$transaction(async (tx) => {
+    const order = await tx.order.findUnique({
+      where: { id: orderId }
+    });
+
+    if (!order) {
+      throw httpError(404, 'Ordine non trovato');
+    }
+
+    if (!order.archivedAt) {
+      throw httpError(400, 'Ordine non archiviato');
+    }
+
+    const restored = await tx.order.update({
+      where: { id: order.id },
+      data: { archivedAt: null }
+    });
+
+    await recordOrderEvent(tx, {
+      orderId: order.id,
+      type: ORDER_EVENT_TYPES.RESTORED,
+      actor
+    });
+
+    return restored;
+  });
+}
+
+/**
+ * 📥 Archivia un prodotto: sparisce dallo store ma resta collegato agli ordini
+ */
+async function archiveProduct(prisma, productId) {
+  const product = await prisma.product.findUnique({
+    where: { id: productId }
+  });
+
+  if (!product) {
+    throw httpError(404, 'Prodotto non trovato');
+  }
+
+  if (product.archivedAt) {
+    throw httpError(400, 'Prodotto già archiviato');
+  }
+
+  return prisma.product.update({
+    where: { id: productId },
+    data: {
+      archivedAt: new Date(),
+      isActive: false
+    }
+  });
+}
+
+/**
+ * 📤 Ripristina un prodotto archiviato (resta disattivato: va riattivato a mano)
+ */
+async function restoreProduct(prisma, productId) {
+  const product = await prisma.product.findUnique({
+    where: { id: productId }
+  });
+
+  if (!product) {
+    throw httpError(404, 'Prodotto non trovato');
+  }
+
+  if (!product.archivedAt) {
+    throw httpError(400, 'Prodotto non archiviato');
+  }
+
+  return prisma.product.update({
+    where: { id: productId },
+    data: { archivedAt: null }
+  });
+}
+
+module.exports = {
+  archivedWhere,
+  archiveOrder,
+  restoreOrder,
+  archiveProduct,
+  restoreProduct
+};
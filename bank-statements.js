@@ -0,0 +1,272 @@
+// bank-statements.js - Import estratti conto CSV (home banking) e abbinamento bonifici
+//
+// I formati delle banche italiane cambiano per nome colonne e separatore
+// (";" quasi sempre, a volte "," o tab), hanno righe di intestazione prima
+// della tabella e importi "1.234,56". Si cerca la riga con le colonne note
+// e si tengono solo gli accrediti.
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+const { processIncomingPayment } = require('./order-service');
+const { findPaymentReference } = require('./bank-transfer');
+const { parseAmount, findUniqueCode } = require('./payment-parsers/common');
+
+const SOURCE = 'bank_statement';
+
+// Nomi colonna (minuscolo) per i formati più comuni
+// (Intesa, UniCredit, Fineco, BancoPosta, BPER, Banca Sella, ...)
+const COLUMN_ALIASES = {
+  date: ['data contabile', 'data operazione', 'data registrazione', 'data'],
+  valueDate: ['data valuta', 'valuta'],
+  amount: ['importo', 'importo (eur)', 'importo eur', 'importo in euro', 'importo euro'],
+  credit: ['accrediti', 'accredito', 'entrate', 'avere'],
+  debit: ['addebiti', 'addebito', 'uscite', 'dare'],
+  description: [
+    'descrizione', 'descrizione operazione', 'descrizione operazioni', 'descrizione estesa',
+    'descrizione completa', 'descrizione_completa', 'causale', 'dettagli', 'note'
+  ]
+};
+
+const DELIMITERS = [';', '\t', ','];
+
+// ==================================
+// PARSING CSV
+// ==================================
+
+/**
+ * CSV → righe di celle (virgolette, "" e a capo dentro le virgolette)
+ */
+function splitCsv(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c !== ''));
+}
+
+// Indici delle colonne note in una riga di intestazione (null se non lo è)
+function mapColumns(header) {
+  const names = header.map(h => h.toLowerCase().replace(/\s+/g, ' ').trim());
+  const find = (aliases) => names.findIndex(name => aliases.includes(name));
+
+  const columns = {
+    date: find(COLUMN_ALIASES.date),
+    valueDate: find(COLUMN_ALIASES.valueDate),
+    amount: find(COLUMN_ALIASES.amount),
+    credit: find(COLUMN_ALIASES.credit),
+    debit: find(COLUMN_ALIASES.debit),
+    description: names
+      .map((name, index) => COLUMN_ALIASES.description.includes(name) ? index : -1)
+      .filter(index => index >= 0)
+  };
+
+  const hasDate = columns.date >= 0 || columns.valueDate >= 0;
+  const hasAmount = columns.amount >= 0 || columns.credit >= 0;
+  return hasDate && hasAmount && columns.description.length > 0 ? columns : null;
+}
+
+// "05/02/2026", "05.02.26", "2026-02-05" → Date (UTC)
+function parseStatementDate(value) {
+  if (!value) return null;
+
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return new Date(Date.UTC(+iso[1], +iso[2] - 1, +iso[3]));
+
+  const it = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (!it) return null;
+
+  const year = it[3].length === 2 ? 2000 + +it[3] : +it[3];
+  return new Date(Date.UTC(year, +it[2] - 1, +it[1]));
+}
+
+function parseStatementAmount(value) {
+  if (!value) return null;
+  return parseAmount(value.replace(/[^\d,.-]/g, ''));
+}
+
+/**
+ * 📄 Estratto conto CSV → accrediti { date, amount, description }
+ * Errore 400 se non si riconosce nessuna intestazione.
+ */
+function parseBankStatement(content) {
+  const text = content.replace(/^\uFEFF/, ''); // BOM (export da Excel)
+
+  for (const delimiter of DELIMITERS) {
+    const rows = splitCsv(text, delimiter);
+    const headerIndex = rows.findIndex(row => mapColumns(row));
+    if (headerIndex < 0) continue;
+
+    const columns = mapColumns(rows[headerIndex]);
+    const entries = [];
+
+    for (const row of rows.slice(headerIndex + 1)) {
+      const date = parseStatementDate(row[columns.date]) || parseStatementDate(row[columns.valueDate]);
+      if (!date) continue; // Saldi, totali, righe vuote in fondo
+
+      // Colonna unica con segno, oppure Accrediti/Addebiti separati
+      const amount = columns.amount >= 0
+        ? parseStatementAmount(row[columns.amount])
+        : parseStatementAmount(row[columns.credit]);
+
+      if (!amount || amount <= 0) continue; // Solo soldi in entrata
+
+      entries.push({
+        date,
+        amount: Math.abs(amount),
+        description: columns.description.map(index => row[index]).filter(Boolean).join(' ')
+      });
+    }
+
+    return entries;
+  }
+
+  throw httpError(400, 'Formato estratto conto non riconosciuto', { code: 'INVALID_STATEMENT' });
+}
+
+// Ordinante, quando la banca lo riporta ("BONIFICO DA MARIO ROSSI", "ORD: MARIO ROSSI")
+function findSenderName(description) {
+  const match = description.match(/(?:\bDA|\bORD(?:INANTE)?:?)\s+([A-Za-zÀ-ÿ' ]+?)(?=\s+(?:CAUSALE|CAUS|RIF|PER|BIC|IBAN|TRN|CRO|DATA|ID)\b|[;:,]|$)/i);
+  return match?.[1]?.trim() || null;
+}
+
+/**
+ * 🔑 ID stabile di una riga: reimportare lo stesso estratto (o uno che si
+ * sovrappone) non registra due volte lo stesso bonifico.
+ * occurrence distingue righe identiche nello stesso file.
+ */
+function entryExternalId(entry, occurrence) {
+  const key = `${entry.date.toISOString().slice(0, 10)}|${entry.amount.toFixed(2)}|${entry.description}|${occurrence}`;
+  return `bank:${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}`;
+}
+
+// ==================================
+// IMPORT + ABBINAMENTO
+// ==================================
+
+/**
+ * 🏦 Abbina un accredito: con riferimento RF (o codice univoco) si registra
+ * il pagamento da solo, altrimenti finisce nella coda di riconciliazione.
+ */
+async function importEntry(prisma, entry, externalId) {
+  const found = findPaymentReference(entry.description);
+  const paymentData = {
+    amount: entry.amount,
+    currency: 'EUR',
+    customerName: findSenderName(entry.description),
+    customerEmail: null,
+    transactionId: externalId,
+    reference: found?.reference || null,
+    orderNumber: null,
+    uniqueCode: found?.uniqueCode || findUniqueCode(entry.description)
+  };
+  const rawData = {
+    bookedAt: entry.date.toISOString(),
+    date: entry.date.toISOString().slice(0, 10),
+    subject: entry.description.substring(0, 200)
+  };
+
+  const result = await processIncomingPayment(prisma, paymentData, {
+    source: SOURCE,
+    actor: 'system',
+    paymentId: `BONIFICO-${paymentData.reference || externalId}`,
+    externalId,
+    rawData,
+    referenceDate: entry.date
+  });
+
+  if (result.status === 'matched_but_update_failed') {
+    console.error(`❌ Bonifico ${externalId} non registrato su ordine #${result.order.orderNumber}:`, result.error.message);
+  }
+
+  // Stessa riga importata in parallelo (vincolo unico su externalId)
+  if (result.status === 'duplicate_payment') {
+    return { status: 'already_imported' };
+  }
+
+  return {
+    status: result.status,
+    outcome: result.outcome,
+    orderNumber: result.order?.orderNumber
+  };
+}
+
+/**
+ * 📥 Importa un estratto conto CSV. Ritorna il riepilogo per riga.
+ */
+async function importBankStatement(prisma, content) {
+  const entries = parseBankStatement(content);
+  const occurrences = new Map();
+  const results = [];
+
+  for (const entry of entries) {
+    const key = `${entry.date.getTime()}|${entry.amount}|${entry.description}`;
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+
+    const externalId = entryExternalId(entry, occurrence);
+    const summary = {
+      externalId,
+      date: entry.date,
+      amount: entry.amount,
+      description: entry.description
+    };
+
+    const existing = await prisma.paymentLog.findUnique({ where: { externalId } });
+    if (existing) {
+      results.push({ ...summary, status: 'already_imported' });
+      continue;
+    }
+
+    results.push({ ...summary, ...(await importEntry(prisma, entry, externalId)) });
+  }
+
+  const count = (status) => results.filter(r => r.status === status).length;
+
+  return {
+    entries: results.length,
+    matched: count('matched'),
+    needsReview: count('needs_review'),
+    unmatched: count('unmatched'),
+    failed: count('matched_but_update_failed'),
+    alreadyImported: count('already_imported'),
+    results
+  };
+}
+
+module.exports = {
+  parseBankStatement,
+  importBankStatement
+};
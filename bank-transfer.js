@@ -0,0 +1,120 @@
+// bank-transfer.js - Bonifico bancario: coordinate e riferimento strutturato (RF)
+//
+// Il riferimento è un "creditor reference" ISO 11649 (RFxx + codice) ricavato
+// dal codice univoco dell'ordine: "CLA$$EV€N€TA-0042-AB7K" → "RF.. 0042 AB7K".
+// Le banche italiane lo accettano nella causale e il check digit ci protegge
+// dai refusi quando lo ritroviamo nell'estratto conto.
+
+const UNIQUE_CODE_PARTS_REGEX = /-(\d{4,})-([A-Z0-9]{4})$/;
+const REFERENCE_BODY_REGEX = /^(\d{4,6})([A-Z0-9]{4})$/;
+
+// A=10 ... Z=35, poi mod 97 a blocchi (il numero non sta in un Number)
+function mod97(value) {
+  const digits = value.replace(/[A-Z]/g, char => (char.charCodeAt(0) - 55).toString());
+
+  let remainder = 0;
+  for (let i = 0; i < digits.length; i += 7) {
+    remainder = parseInt(`${remainder}${digits.slice(i, i + 7)}`, 10) % 97;
+  }
+  return remainder;
+}
+
+function checkDigits(body) {
+  return (98 - mod97(`${body}RF00`)).toString().padStart(2, '0');
+}
+
+function groupByFour(value) {
+  return value.replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+/**
+ * 🏦 Codice univoco ordine → riferimento RF (senza spazi, es. "RF470042AB7K")
+ */
+function buildPaymentReference(uniqueCode) {
+  const match = uniqueCode?.match(UNIQUE_CODE_PARTS_REGEX);
+  if (!match) return null;
+
+  const body = `${match[1]}${match[2]}`;
+  return `RF${checkDigits(body)}${body}`;
+}
+
+function isValidReference(reference) {
+  const compact = reference.replace(/\s+/g, '').toUpperCase();
+  if (!/^RF\d{2}[A-Z0-9]{1,21}$/.test(compact)) return false;
+
+  return mod97(`${compact.slice(4)}${compact.slice(0, 4)}`) === 1;
+}
+
+/**
+ * 🔎 Cerca un riferimento RF valido in una causale e ricostruisce il codice univoco.
+ * Le banche spesso spezzano o riuniscono gli spazi, quindi si cerca sul testo
+ * compattato e si prova ogni lunghezza ammessa finché il check digit torna.
+ */
+function findPaymentReference(text) {
+  if (!text) return null;
+
+  const compact = text.toUpperCase().replace(/\s+/g, '');
+  const starts = /RF\d{2}/g;
+  let match;
+
+  while ((match = starts.exec(compact)) !== null) {
+    for (let length = 10; length >= 8; length--) {
+      const body = compact.slice(match.index + 4, match.index + 4 + length);
+      const parts = body.match(REFERENCE_BODY_REGEX);
+      const reference = `RF${compact.slice(match.index + 2, match.index + 4)}${body}`;
+
+      if (parts && isValidReference(reference)) {
+        return {
+          reference,
+          uniqueCode: `CLA$$EV€N€TA-${parts[1]}-${parts[2]}`
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 🧾 Coordinate bancarie (da env). null se il bonifico non è configurato.
+ */
+function getBankDetails() {
+  const iban = process.env.BANK_IBAN?.replace(/\s+/g, '').toUpperCase();
+  if (!iban) return null;
+
+  return {
+    iban: groupByFour(iban),
+    beneficiary: process.env.BANK_BENEFICIARY || 'CLASSE VENETA',
+    bic: process.env.BANK_BIC || null,
+    bankName: process.env.BANK_NAME || null
+  };
+}
+
+/**
+ * 💶 Istruzioni di pagamento per un ordine con bonifico
+ */
+function getBankTransferInstructions(order) {
+  const bankDetails = getBankDetails();
+  if (order.paymentMethod !== 'bonifico' || !bankDetails) return null;
+
+  // Pagamento parziale: si chiede solo il saldo
+  const due = order.paymentStatus === 'PARTIALLY_PAID'
+    ? order.total - order.amountReceived
+    : order.total;
+  const reference = buildPaymentReference(order.uniqueCode);
+
+  return {
+    ...bankDetails,
+    amount: Math.round(due * 100) / 100,
+    reference: groupByFour(reference),
+    causale: `${groupByFour(reference)} Ordine MIDA #${order.orderNumber.toString().padStart(4, '0')}`
+  };
+}
+
+module.exports = {
+  buildPaymentReference,
+  isValidReference,
+  findPaymentReference,
+  getBankDetails,
+  getBankTransferInstructions
+};
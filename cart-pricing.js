@@ -0,0 +1,105 @@
+// cart-pricing.js - Prezzo di un carrello: prezzi dal DB, spedizione e pipeline sconti
+//
+// Checkout, /api/promotions/calculate e /api/validate-promo passano tutti da qui,
+// così il totale mostrato nel carrello è lo stesso che finisce nell'ordine.
+const { httpError } = require('./errors');
+const { resolveShippingMethod, calculateShippingCost } = require('./shipping');
+const { calculateCartDiscounts } = require('./promotions-engine');
+
+/**
+ * ✅ Controlla le righe inviate (array, quantità intere da 1 in su):
+ * errore 400 INVALID_CART altrimenti
+ */
+function validateCartItems(items) {
+  if (!Array.isArray(items) || items.some(i => !i || typeof i !== 'object')) {
+    throw httpError(400, 'Carrello non valido', { code: 'INVALID_CART' });
+  }
+
+  const invalid = items.filter(i => !Number.isInteger(i.quantity) || i.quantity < 1);
+  if (invalid.length > 0) {
+    throw httpError(400, 'Quantità non valida (numero intero di pezzi, almeno 1)', {
+      code: 'INVALID_CART',
+      details: { productIds: invalid.map(i => i.productId) }
+    });
+  }
+}
+
+/**
+ * 🛒 Righe del cliente → carrello con prezzi dal DB (prezzi lancio se attivi).
+ * I prezzi inviati dal client vengono ignorati.
+ */
+async function buildCart(db, items) {
+  validateCartItems(items);
+
+  const productIds = [...new Set(items.map(i => i.productId))];
+  const products = await db.product.findMany({
+    where: { id: { in: productIds } }
+  });
+  const productMap = Object.fromEntries(products.map(p => [p.id, p]));
+
+  const missing = productIds.filter(id => !productMap[id]);
+  if (missing.length > 0) {
+    throw httpError(400, 'Prodotto non trovato', { code: 'INVALID_CART', details: { productIds: missing } });
+  }
+
+  // Archiviati o disattivati: non più in vendita anche se il client li ha ancora nel carrello
+  const unavailable = products.filter(p => p.archivedAt || !p.isActive).map(p => p.id);
+  if (unavailable.length > 0) {
+    throw httpError(400, 'Prodotto non più disponibile', { code: 'INVALID_CART', details: { productIds: unavailable } });
+  }
+
+  const launchActive = await db.config.findUnique({
+    where: { key: 'launch_prices_active' }
+  });
+  const useLaunchPrices = launchActive?.value?.active || false;
+
+  let subtotal = 0;
+  const orderItems = items.map(item => {
+    const product = productMap[item.productId];
+    const unitPrice = useLaunchPrices && product.launchPrice
+      ? product.launchPrice
+      : product.basePrice;
+    const lineTotal = unitPrice * item.quantity;
+    subtotal += lineTotal;
+
+    return {
+      productId: item.productId,
+      color: item.color,
+      size: item.size,
+      quantity: item.quantity,
+      unitPrice,
+      lineTotal
+    };
+  });
+
+  return {
+    orderItems, // Pronte per OrderItem.create
+    cart: {
+      items: orderItems.map(item => ({ ...item, product: productMap[item.productId] })),
+      subtotal,
+      totalItems: orderItems.reduce((sum, i) => sum + i.quantity, 0)
+    }
+  };
+}
+
+/**
+ * 💶 Carrello completo: righe, metodo di spedizione e sconti.
+ * Ritorna { orderItems, cart, method, pricing } (pricing = calculateCartDiscounts)
+ */
+async function priceCart(db, { items, customerEmail, promoCode, shippingMethod }) {
+  const { orderItems, cart } = await buildCart(db, items);
+
+  // 🚚 Costo spedizione del metodo scelto (o di quello di default)
+  const method = await resolveShippingMethod(db, shippingMethod);
+  cart.shippingCost = calculateShippingCost(method, cart);
+
+  const pricing = await calculateCartDiscounts(db, cart, { customerEmail, promoCode });
+
+  return { orderItems, cart, method, pricing };
+}
+
+module.exports = {
+  validateCartItems,
+  buildCart,
+  priceCart
+};
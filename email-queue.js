@@ -0,0 +1,204 @@
+// email-queue.js - Coda email persistente (outbox) con tentativi ripetuti
+//
+// Le email legate agli ordini vengono prima salvate in EmailJob (di solito
+// nella stessa transazione del cambio stato) e poi inviate. Se Brevo fallisce
+// il job resta in coda e viene ritentato con attesa crescente.
+const {
+  sendOrderConfirmationEmail,
+  sendPaymentReminderEmail,
+  sendRefundConfirmationEmail,
+  sendOrderCancelledAdminEmail
+} = require('./emails');
+const { generatePaymentUrl } = require('./payment-links');
+const { getBankTransferInstructions } = require('./bank-transfer');
+const { ORDER_EVENT_TYPES, recordOrderEvent } = require('./order-events');
+
+const MAX_ATTEMPTS = 8;
+const MAX_BACKOFF_MINUTES = 6 * 60;
+const STALE_LOCK_MINUTES = 10; // Job rimasto "sending" (processo morto a metà)
+const BATCH_SIZE = 20;
+
+const MINUTE = 60 * 1000;
+
+// ==================================
+// TEMPLATE
+// ==================================
+// Ogni template carica i dati aggiornati e invia; ritorna il destinatario
+
+const EMAIL_TEMPLATES = {
+  order_confirmation: async (db, { orderId }) => {
+    const order = await db.order.findUnique({
+      where: { id: orderId },
+      include: {
+        items: {
+          include: { product: true }
+        }
+      }
+    });
+    await sendOrderConfirmationEmail(order);
+    return order.customerEmail;
+  },
+
+  payment_reminder: async (db, { orderId, expiresAt }) => {
+    const order = await db.order.findUnique({ where: { id: orderId } });
+    await sendPaymentReminderEmail(order, {
+      paymentUrl: generatePaymentUrl(order),
+      bankTransfer: getBankTransferInstructions(order),
+      expiresAt: new Date(expiresAt)
+    });
+    return order.customerEmail;
+  },
+
+  refund_confirmation: async (db, { orderId, refundId }) => {
+    const order = await db.order.findUnique({ where: { id: orderId } });
+    const refund = await db.refund.findUnique({ where: { id: refundId } });
+    await sendRefundConfirmationEmail(order, refund);
+    return order.customerEmail;
+  },
+
+  order_cancelled_admin: async (db, { orderId, reason }) => {
+    const order = await db.order.findUnique({ where: { id: orderId } });
+    await sendOrderCancelledAdminEmail(order, { reason });
+    return process.env.ADMIN_EMAIL || 'classeveneta@gmail.com';
+  }
+};
+
+/**
+ * 📥 Mette in coda un'email (db può essere prisma o una transazione)
+ */
+async function enqueueEmail(db, { template, orderId, payload = {} }) {
+  if (!EMAIL_TEMPLATES[template]) {
+    throw new Error(`Template email sconosciuto: ${template}`);
+  }
+
+  return db.emailJob.create({
+    data: {
+      template,
+      orderId: orderId || null,
+      payload: { orderId, ...payload }
+    }
+  });
+}
+
+function backoffMinutes(attempts) {
+  return Math.min(2 ** attempts, MAX_BACKOFF_MINUTES);
+}
+
+/**
+ * 📤 Invia un singolo job. Lo "prenota" con un update condizionato,
+ * così server e parser non lo mandano due volte.
+ */
+async function deliverEmailJob(db, jobId) {
+  const now = new Date();
+
+  const claimed = await db.emailJob.updateMany({
+    where: {
+      id: jobId,
+      OR: [
+        { status: 'pending', runAt: { lte: now } },
+        { status: 'sending', lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MINUTES * MINUTE) } }
+      ]
+    },
+    data: { status: 'sending', lockedAt: now }
+  });
+
+  if (claimed.count === 0) return false;
+
+  const job = await db.emailJob.findUnique({ where: { id: jobId } });
+
+  try {
+    const to = await EMAIL_TEMPLATES[job.template](db, job.payload);
+
+    await db.emailJob.update({
+      where: { id: job.id },
+      data: {
+        status: 'sent',
+        attempts: job.attempts + 1,
+        sentAt: new Date(),
+        lockedAt: null,
+        lastError: null
+      }
+    });
+
+    if (job.orderId) {
+      await recordOrderEvent(db, {
+        orderId: job.orderId,
+        type: ORDER_EVENT_TYPES.EMAIL_SENT,
+        actor: 'system',
+        data: { template: job.template, to, emailJobId: job.id }
+      });
+    }
+
+    return true;
+  } catch (error) {
+    const attempts = job.attempts + 1;
+    const failed = attempts >= MAX_ATTEMPTS;
+
+    await db.emailJob.update({
+      where: { id: job.id },
+      data: {
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        lockedAt: null,
+        lastError: error.message || String(error),
+        runAt: new Date(Date.now() + backoffMinutes(attempts) * MINUTE)
+      }
+    });
+
+    console.error(`❌ Email ${job.template} (job ${job.id}) fallita, tentativo ${attempts}/${MAX_ATTEMPTS}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * 🔁 Invia i job scaduti (chiamato periodicamente dal server)
+ */
+async function processEmailQueue(prisma) {
+  const now = new Date();
+
+  const jobs = await prisma.emailJob.findMany({
+    where: {
+      OR: [
+        { status: 'pending', runAt: { lte: now } },
+        { status: 'sending', lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MINUTES * MINUTE) } }
+      ]
+    },
+    orderBy: { runAt: 'asc' },
+    take: BATCH_SIZE,
+    select: { id: true }
+  });
+
+  let sent = 0;
+  for (const job of jobs) {
+    if (await deliverEmailJob(prisma, job.id)) sent++;
+  }
+
+  if (jobs.length > 0) {
+    console.log(`📧 Coda email: ${sent}/${jobs.length} inviate`);
+  }
+
+  return { processed: jobs.length, sent };
+}
+
+/**
+ * 🔄 Rimette in coda un job fallito (da admin)
+ */
+async function retryEmailJob(prisma, jobId) {
+  return prisma.emailJob.update({
+    where: { id: jobId },
+    data: {
+      status: 'pending',
+      attempts: 0,
+      runAt: new Date(),
+      lockedAt: null
+    }
+  });
+}
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  enqueueEmail,
+  deliverEmailJob,
+  processEmailQueue,
+  retryEmailJob
+};
@@ -0,0 +1,486 @@
+// emails.js - Email transazionali
+
+// Brevo (ex-Sendinblue) per invio email
+const SibApiV3Sdk = require('sib-api-v3-sdk');
+const defaultClient = SibApiV3Sdk.ApiClient.instance;
+const apiKey = defaultClient.authentications['api-key'];
+apiKey.apiKey = process.env.BREVO_API_KEY;
+const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+
+// Testo libero del cliente dentro l'HTML (motivo annullamento, nome)
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+async function sendOrderConfirmationEmail(order) {
+  try {
+    const itemsList = order.items.map(item =>
+      `${item.quantity}x ${item.product.name} - ${item.color} (${item.size}) = €${item.lineTotal.toFixed(2)}`
+    ).join('<br>');
+
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+
+    sendSmtpEmail.subject = `Ordine #${order.orderNumber.toString().padStart(4, '0')} Confermato`;
+    sendSmtpEmail.htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h2 style="color: #000; margin-bottom: 10px;">Ordine Confermato! 🎉</h2>
+        </div>
+        
+        <p style="font-size: 16px;">Ciao <strong>${order.customerName}</strong>,</p>
+        <p style="font-size: 16px;">Il tuo ordine <strong>#${order.orderNumber.toString().padStart(4, '0')}</strong> è stato confermato!</p>
+        
+        <div style="margin: 30px 0;">
+          <h3 style="color: #333; margin-bottom: 15px;">📦 Dettagli Ordine:</h3>
+          <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; border-left: 4px solid #000;">
+            ${itemsList}
+          </div>
+        </div>
+        
+        <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <td style="padding: 8px 0; color: #666;">Subtotale:</td>
+              <td style="padding: 8px 0; text-align: right; font-weight: bold;">€${order.subtotal.toFixed(2)}</td>
+            </tr>
+            ${order.shippingCost > 0 ? `
+            <tr>
+              <td style="padding: 8px 0; color: #666;">Spedizione:</td>
+              <td style="padding: 8px 0; text-align: right; font-weight: bold;">€${order.shippingCost.toFixed(2)}</td>
+            </tr>
+            ` : ''}
+            ${order.discount > 0 ? `
+            <tr>
+              <td style="padding: 8px 0; color: #059669;">Sconto Bundle:</td>
+              <td style="padding: 8px 0; text-align: right; font-weight: bold; color: #059669;">-€${order.discount.toFixed(2)}</td>
+            </tr>
+            ` : ''}
+            ${order.promoDiscount > 0 ? `
+            <tr>
+              <td style="padding: 8px 0; color: #059669;">Codice ${order.promoCode}:</td>
+              <td style="padding: 8px 0; text-align: right; font-weight: bold; color: #059669;">-€${order.promoDiscount.toFixed(2)}</td>
+            </tr>
+            ` : ''}
+            <tr style="border-top: 2px solid #ddd;">
+              <td style="padding: 15px 0 0 0; font-size: 18px; font-weight: bold;">TOTALE:</td>
+              <td style="padding: 15px 0 0 0; text-align: right; font-size: 20px; font-weight: bold; color: #000;">€${order.total.toFixed(2)}</td>
+            </tr>
+          </table>
+        </div>
+        
+        ${order.shippingAddress ? `
+        <div style="margin: 20px 0;">
+          <h3 style="color: #333; margin-bottom: 15px;">🚚 Spedizione a:</h3>
+          <p style="margin: 0; color: #333;">
+            ${order.shippingAddress.fullName}<br>
+            ${order.shippingAddress.street}<br>
+            ${order.shippingAddress.postalCode} ${order.shippingAddress.city} (${order.shippingAddress.province})
+          </p>
+        </div>
+        ` : ''}
+
+        <div style="background: #e0f2fe; border-left: 4px solid #0284c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0; color: #0c4a6e;">
+            <strong>⏱️ Tempi di consegna:</strong> Riceverai la tua felpa entro <strong>3 settimane</strong>!
+          </p>
+        </div>
+        
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center;">
+          <p style="color: #666; margin: 5px 0;">Grazie per il tuo ordine!</p>
+          <p style="font-weight: bold; font-size: 18px; margin: 10px 0;">CLASSE VENETA</p>
+        </div>
+      </div>
+    `;
+
+    sendSmtpEmail.sender = {
+      name: "CLASSE VENETA",
+      email: "classeveneta@gmail.com"
+    };
+
+    sendSmtpEmail.to = [{
+      email: order.customerEmail,
+      name: order.customerName
+    }];
+
+    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    console.log(`✅ Email inviata a ${order.customerEmail}`);
+
+  } catch (error) {
+    console.error('❌ Errore invio email:', error);
+    if (error.response) {
+      console.error('Dettagli errore Brevo:', error.response.text);
+    }
+    throw error;
+  }
+}
+
+async function sendPaymentReminderEmail(order, { paymentUrl, bankTransfer, expiresAt }) {
+  try {
+    const orderNumber = order.orderNumber.toString().padStart(4, '0');
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+
+    // Acconto già ricevuto: si chiede solo il saldo
+    const isPartial = order.paymentStatus === 'PARTIALLY_PAID';
+    const due = isPartial ? order.total - order.amountReceived : order.total;
+
+    sendSmtpEmail.subject = `⏰ Ordine #${orderNumber} in attesa di pagamento`;
+    sendSmtpEmail.htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h2 style="color: #000; margin-bottom: 10px;">Manca solo il pagamento! ⏰</h2>
+        </div>
+
+        <p style="font-size: 16px;">Ciao <strong>${order.customerName || ''}</strong>,</p>
+        <p style="font-size: 16px;">
+          ${isPartial
+            ? `Per il tuo ordine <strong>#${orderNumber}</strong> abbiamo ricevuto €${order.amountReceived.toFixed(2)}
+          su €${order.total.toFixed(2)}: mancano <strong>€${due.toFixed(2)}</strong>.`
+            : `Il tuo ordine <strong>#${orderNumber}</strong> da <strong>€${order.total.toFixed(2)}</strong>
+          non risulta ancora pagato.`}
+        </p>
+
+        <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; border-left: 4px solid #000; margin: 30px 0;">
+          <p style="margin: 0; font-size: 14px;">
+            Ricordati di indicare il codice <strong>${order.uniqueCode}</strong> nella causale del pagamento.
+          </p>
+        </div>
+
+        ${bankTransfer ? `
+        <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin: 30px 0;">
+          <h3 style="color: #333; margin: 0 0 15px 0;">🏦 Dati per il bonifico:</h3>
+          <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+            <tr>
+              <td style="padding: 6px 0; color: #666;">Beneficiario:</td>
+              <td style="padding: 6px 0; text-align: right; font-weight: bold;">${bankTransfer.beneficiary}</td>
+            </tr>
+            <tr>
+              <td style="padding: 6px 0; color: #666;">IBAN:</td>
+              <td style="padding: 6px 0; text-align: right; font-weight: bold;">${bankTransfer.iban}</td>
+            </tr>
+            <tr>
+              <td style="padding: 6px 0; color: #666;">Importo:</td>
+              <td style="padding: 6px 0; text-align: right; font-weight: bold;">€${bankTransfer.amount.toFixed(2)}</td>
+            </tr>
+            <tr>
+              <td style="padding: 6px 0; color: #666;">Causale:</td>
+              <td style="padding: 6px 0; text-align: right; font-weight: bold;">${bankTransfer.causale}</td>
+            </tr>
+          </table>
+          <p style="margin: 15px 0 0 0; font-size: 13px; color: #666;">
+            Copia la causale così com'è: il riferimento <strong>${bankTransfer.reference}</strong> ci permette di abbinare il bonifico al tuo ordine.
+          </p>
+        </div>
+        ` : `
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${paymentUrl}"
+             style="display: inline-block; background: #000; color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
+            👉 PAGA ORA
+          </a>
+        </div>
+        `}
+
+        <div style="background: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b; margin: 20px 0;">
+          <p style="margin: 0; font-size: 14px; color: #92400e;">
+            ⚠️ Se non riceviamo il ${isPartial ? 'saldo' : 'pagamento'} entro il <strong>${expiresAt.toLocaleString('it-IT')}</strong>
+            ${isPartial ? 'il nostro staff verificherà l\'ordine e ti contatterà per il saldo o il rimborso dell\'acconto.' : 'l\'ordine verrà annullato automaticamente.'}
+          </p>
+        </div>
+
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center;">
+          <p style="color: #666; margin: 5px 0;">Grazie per il tuo ordine!</p>
+          <p style="font-weight: bold; font-size: 18px; margin: 10px 0;">CLASSE VENETA</p>
+        </div>
+      </div>
+    `;
+
+    sendSmtpEmail.sender = {
+      name: "CLASSE VENETA",
+      email: "classeveneta@gmail.com"
+    };
+
+    sendSmtpEmail.to = [{
+      email: order.customerEmail,
+      name: order.customerName
+    }];
+
+    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    console.log(`✅ Promemoria pagamento inviato a ${order.customerEmail}`);
+
+  } catch (error) {
+    console.error('❌ Errore invio promemoria pagamento:', error);
+    throw error;
+  }
+}
+
+async function sendRefundConfirmationEmail(order, refund) {
+  try {
+    const orderNumber = order.orderNumber.toString().padStart(4, '0');
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+
+    sendSmtpEmail.subject = `Rimborso ordine #${orderNumber}`;
+    sendSmtpEmail.htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h2 style="color: #000; margin-bottom: 10px;">Rimborso effettuato 💸</h2>
+        </div>
+
+        <p style="font-size: 16px;">Ciao <strong>${order.customerName || ''}</strong>,</p>
+        <p style="font-size: 16px;">
+          Abbiamo registrato un rimborso ${refund.isFull ? 'totale' : 'parziale'} per il tuo ordine <strong>#${orderNumber}</strong>.
+        </p>
+
+        <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <td style="padding: 8px 0; color: #666;">Importo rimborsato:</td>
+              <td style="padding: 8px 0; text-align: right; font-weight: bold;">€${refund.amount.toFixed(2)}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 0; color: #666;">Metodo:</td>
+              <td style="padding: 8px 0; text-align: right;">${refund.method}</td>
+            </tr>
+            ${refund.reason ? `
+            <tr>
+              <td style="padding: 8px 0; color: #666;">Motivo:</td>
+              <td style="padding: 8px 0; text-align: right;">${refund.reason}</td>
+            </tr>
+            ` : ''}
+            <tr style="border-top: 2px solid #ddd;">
+              <td style="padding: 15px 0 0 0; font-weight: bold;">Totale rimborsato sull'ordine:</td>
+              <td style="padding: 15px 0 0 0; text-align: right; font-weight: bold;">€${order.refundedAmount.toFixed(2)}</td>
+            </tr>
+          </table>
+        </div>
+
+        <p style="font-size: 14px; color: #666;">
+          I tempi di accredito dipendono dal metodo di pagamento (di solito pochi giorni lavorativi).
+        </p>
+
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center;">
+          <p style="color: #666; margin: 5px 0;">Per qualsiasi dubbio rispondi a questa email.</p>
+          <p style="font-weight: bold; font-size: 18px; margin: 10px 0;">CLASSE VENETA</p>
+        </div>
+      </div>
+    `;
+
+    sendSmtpEmail.sender = {
+      name: "CLASSE VENETA",
+      email: "classeveneta@gmail.com"
+    };
+
+    sendSmtpEmail.to = [{
+      email: order.customerEmail,
+      name: order.customerName
+    }];
+
+    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    console.log(`✅ Email rimborso inviata a ${order.customerEmail}`);
+
+  } catch (error) {
+    console.error('❌ Errore invio email rimborso:', error);
+    throw error;
+  }
+}
+
+/**
+ * 🚫 Avvisa l'admin che un cliente ha annullato un ordine non pagato
+ */
+async function sendOrderCancelledAdminEmail(order, { reason } = {}) {
+  try {
+    const orderNumber = order.orderNumber.toString().padStart(4, '0');
+    const adminEmail = process.env.ADMIN_EMAIL || 'classeveneta@gmail.com';
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+
+    sendSmtpEmail.subject = `🚫 Ordine #${orderNumber} annullato dal cliente`;
+    sendSmtpEmail.htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #000; margin-bottom: 10px;">Ordine annullato dal cliente</h2>
+
+        <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <td style="padding: 8px 0; color: #666;">Ordine:</td>
+              <td style="padding: 8px 0; text-align: right; font-weight: bold;">#${orderNumber} (${order.uniqueCode})</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 0; color: #666;">Cliente:</td>
+              <td style="padding: 8px 0; text-align: right;">${escapeHtml(order.customerName || '')} &lt;${escapeHtml(order.customerEmail)}&gt;</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 0; color: #666;">Totale:</td>
+              <td style="padding: 8px 0; text-align: right;">€${order.total.toFixed(2)}</td>
+            </tr>
+            ${reason ? `
+            <tr>
+              <td style="padding: 8px 0; color: #666;">Motivo:</td>
+              <td style="padding: 8px 0; text-align: right;">${escapeHtml(reason)}</td>
+            </tr>
+            ` : ''}
+          </table>
+        </div>
+
+        <p style="font-size: 14px; color: #666;">
+          Stock, codici promo e promozioni dell'ordine sono stati rilasciati automaticamente.
+        </p>
+      </div>
+    `;
+
+    sendSmtpEmail.sender = {
+      name: "CLASSE VENETA",
+      email: "classeveneta@gmail.com"
+    };
+
+    sendSmtpEmail.to = [{ email: adminEmail }];
+
+    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    console.log(`✅ Email annullamento ordine #${orderNumber} inviata a ${adminEmail}`);
+
+  } catch (error) {
+    console.error('❌ Errore invio email annullamento:', error);
+    throw error;
+  }
+}
+
+async function sendInterestConfirmationEmail({ email, name, productName }) {
+  try {
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+
+    sendSmtpEmail.subject = `✅ Ti avviseremo per "${productName}"`;
+    sendSmtpEmail.htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h2 style="color: #000; margin-bottom: 10px;">Grazie per l'interesse! 🙏</h2>
+        </div>
+        
+        <p style="font-size: 16px;">Ciao <strong>${name}</strong>,</p>
+        <p style="font-size: 16px;">
+          Abbiamo registrato il tuo interesse per <strong>${productName}</strong>.
+        </p>
+        
+        <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; border-left: 4px solid #000; margin: 30px 0;">
+          <p style="margin: 0; font-size: 14px;">
+            📧 Ti invieremo un'email non appena il prodotto sarà disponibile per l'acquisto!
+          </p>
+        </div>
+        
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center;">
+          <p style="color: #666; margin: 5px 0;">A presto!</p>
+          <p style="font-weight: bold; font-size: 18px; margin: 10px 0;">CLASSE VENETA</p>
+        </div>
+      </div>
+    `;
+
+    sendSmtpEmail.sender = {
+      name: "CLASSE VENETA",
+      email: "classeveneta@gmail.com"
+    };
+
+    sendSmtpEmail.to = [{ email, name }];
+
+    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    console.log(`✅ Email conferma inviata a ${email}`);
+
+  } catch (error) {
+    console.error('❌ Errore invio email conferma:', error);
+    throw error;
+  }
+}
+
+async function sendProductAvailableEmail({
+  email, name, productName, productSlug, discountCode,
+  preferredColor, preferredSize
+}) {
+  try {
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+
+    const productUrl = `${process.env.FRONTEND_URL || 'https://classeveneta.com'}/products/${productSlug}`;
+
+    let preferenceText = '';
+    if (preferredColor || preferredSize) {
+      preferenceText = '<p style="font-size: 14px; color: #666;">💡 Hai mostrato interesse per: ';
+      if (preferredColor) preferenceText += `<strong>Colore ${preferredColor}</strong>`;
+      if (preferredColor && preferredSize) preferenceText += ' - ';
+      if (preferredSize) preferenceText += `<strong>Taglia ${preferredSize}</strong>`;
+      preferenceText += '</p>';
+    }
+
+    let discountSection = '';
+    if (discountCode) {
+      discountSection = `
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; border-radius: 8px; margin: 30px 0; text-align: center;">
+          <p style="color: white; font-size: 16px; margin-bottom: 10px;">🎁 <strong>SCONTO ESCLUSIVO PER TE</strong></p>
+          <p style="color: white; font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 10px 0;">
+            ${discountCode}
+          </p>
+          <p style="color: rgba(255,255,255,0.9); font-size: 14px; margin-top: 10px;">
+            Usa questo codice al checkout per ottenere il tuo sconto!
+          </p>
+        </div>
+      `;
+    }
+
+    sendSmtpEmail.subject = `🎉 "${productName}" è finalmente disponibile!`;
+    sendSmtpEmail.htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h2 style="color: #000; margin-bottom: 10px;">È arrivato! 🚀</h2>
+        </div>
+        
+        <p style="font-size: 16px;">Ciao <strong>${name}</strong>,</p>
+        <p style="font-size: 16px;">
+          Ottima notizia! <strong>${productName}</strong> è ora disponibile per l'acquisto! 
+        </p>
+        
+        ${preferenceText}
+        
+        ${discountSection}
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${productUrl}" 
+             style="display: inline-block; background: #000; color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
+            👉 ACQUISTA ORA
+          </a>
+        </div>
+        
+        <div style="background: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b; margin: 20px 0;">
+          <p style="margin: 0; font-size: 14px; color: #92400e;">
+            ⚡ <strong>Affrettati!</strong> Le quantità potrebbero essere limitate.
+          </p>
+        </div>
+        
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center;">
+          <p style="color: #666; margin: 5px 0;">Grazie per la tua pazienza!</p>
+          <p style="font-weight: bold; font-size: 18px; margin: 10px 0;">CLASSE VENETA</p>
+        </div>
+      </div>
+    `;
+
+    sendSmtpEmail.sender = {
+      name: "CLASSE VENETA",
+      email: "classeveneta@gmail.com"
+    };
+
+    sendSmtpEmail.to = [{ email, name }];
+
+    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    console.log(`✅ Email disponibilità inviata a ${email}`);
+
+  } catch (error) {
+    console.error('❌ Errore invio email disponibilità:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  sendOrderConfirmationEmail,
+  sendPaymentReminderEmail,
+  sendRefundConfirmationEmail,
+  sendOrderCancelledAdminEmail,
+  sendInterestConfirmationEmail,
+  sendProductAvailableEmail
+};
@@ -0,0 +1,14 @@
+// errors.js - Errori applicativi con status HTTP
+
+/**
+ * Crea un errore che le route possono girare direttamente al client
+ * (status + messaggio), con campi extra opzionali (es. code, details)
+ */
+function httpError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+module.exports = { httpError };
@@ -4,25 +4,22 @@ const { PrismaClient } = require('@prisma/client');
 const fs = require('fs').promises;
 const path = require('path');
 const readline = require('readline');
+const { processIncomingPayment } = require('./order-service');
+const { PAYMENT_PARSERS, parsePaymentMessage } = require('./payment-parsers');
+const { parseGmailPayload } = require('./payment-parsers/mime');
 
 const prisma = new PrismaClient();
 
 // ==================================
 // CONFIGURAZIONE
 // ==================================
-const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
-const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 const SCOPES = ['https://www.googleapis.com/auth/gmail.readonly'];
 const CREDENTIALS_PATH = path.join(__dirname, 'gmail-credentials.json');
 
-// Verifica configurazione critica
-if (!ADMIN_TOKEN) {
-  console.warn('⚠️ ADMIN_TOKEN non configurato. Le chiamate API falliranno in produzione.');
-  if (process.env.NODE_ENV === 'production') {
-    console.error('❌ ADMIN_TOKEN è obbligatorio in produzione!');
-    process.exit(1);
-  }
-}
+// Sync incrementale: data di partenza al primo avvio (es. "2026-01-15") e limiti per giro
+const GMAIL_BACKFILL_FROM = process.env.GMAIL_BACKFILL_FROM;
+const MAX_MESSAGES_PER_RUN = 50;
+const CHECKPOINT_OVERLAP_SECONDS = 60 * 60;
 
 // ==================================
 // DATABASE TOKEN MANAGEMENT
@@ -222,407 +219,170 @@ async function testGmailConnection() {
 }
 
 // ==================================
-// EMAIL PARSING FUNCTIONS
+// EMAIL PROCESSING
 // ==================================
 
-function parsePayPalEmail(subject, body) {
-  const amountMatch = body.match(/(\d+[,\.]\d{2})\s*(EUR|€)/i);
-  const emailMatch = body.match(/[\w\.-]+@[\w\.-]+\.\w+/g);
-  const transactionMatch = body.match(/(?:Numero transazione|Transaction ID|Codice transazione):\s*([A-Z0-9]+)/i);
-  const orderMatch = body.match(/(?:Ordine|Order|MIDA)\s*#?(\d{4})/i);
-  const nameMatch = body.match(/Messaggio da\s+([^<]+)</i);
-  const uniqueCodeMatch = body.match(/CLA\$\$EV€N€TA-\d{4}-[A-Z0-9]{4}/i);
-
-  return {
-    amount: amountMatch ? parseFloat(amountMatch[1].replace(',', '.')) : null,
-    customerEmail: emailMatch?.[0],
-    transactionId: transactionMatch?.[1],
-    orderNumber: orderMatch ? parseInt(orderMatch[1]) : null,
-    customerName: nameMatch?.[1],
-    uniqueCode: uniqueCodeMatch?.[0]
-  };
-}
-
-function parseRevolutEmail(subject, body) {
-  const amountMatch = body.match(/€?\s*(\d+[,\.]\d{2})/);
-  const emailMatch = body.match(/[\w\.-]+@[\w\.-]+\.\w+/g);
-  const referenceMatch = body.match(/(?:Reference|Riferimento|Note):\s*(.+?)(?:\n|$)/i);
-  const orderMatch = body.match(/(?:Ordine|Order|MIDA)\s*#?(\d{4})/i);
-  const uniqueCodeMatch = body.match(/CLA\$\$EVÈ›NÈ›TA-\d{4}-[A-Z0-9]{4}/i);
-
-  return {
-    amount: amountMatch ? parseFloat(amountMatch[1].replace(',', '.')) : null,
-    customerEmail: emailMatch?.[0],
-    reference: referenceMatch?.[1]?.trim(),
-    orderNumber: orderMatch ? parseInt(orderMatch[1]) : null,
-    uniqueCode: uniqueCodeMatch?.[0]
-  };
-}
-
-// ==================================
-// NAME PARSING
-// ==================================
+/**
+ * 📨 Scarica un messaggio, lo passa al parser della sua sorgente
+ * e, se trova l'ordine, lo segna PAID
+ */
+async function processPaymentMessage(gmail, messageId, parser) {
+  const tag = `[${parser.label}]`;
+  const source = `gmail_parser_${parser.source}`;
 
-function splitName(fullName) {
-  if (!fullName) return { firstName: null, lastName: null };
-  
-  const cleaned = fullName.trim().replace(/\s+/g, ' ');
-  const parts = cleaned.split(' ');
-  
-  if (parts.length === 0) return { firstName: null, lastName: null };
-  if (parts.length === 1) return { firstName: parts[0], lastName: null };
-  
-  const firstName = parts[0];
-  const lastName = parts.slice(1).join(' ');
-  
-  return { firstName, lastName };
-}
+  try {
+    const msg = await gmail.users.messages.get({
+      userId: 'me',
+      id: messageId,
+      format: 'full'
+    });
 
-// ==================================
-// ORDER MATCHING
-// ==================================
+    const receivedAt = new Date(parseInt(msg.data.internalDate));
+    const message = parseGmailPayload(msg.data.payload);
+    const { subject, date } = message;
 
-async function matchOrderWithPayment(paymentData) {
-  console.log('[Match] Searching order for:', {
-    uniqueCode: paymentData.uniqueCode,
-    orderNumber: paymentData.orderNumber,
-    amount: paymentData.amount,
-    email: paymentData.customerEmail,
-    name: paymentData.customerName
-  });
+    console.log(`\n${tag} Processing email:`, subject);
 
-  // Strategia 1: Match per uniqueCode (massima priorità!)
-  if (paymentData.uniqueCode) {
-    const order = await prisma.order.findFirst({
-      where: {
-        uniqueCode: paymentData.uniqueCode,
-        paymentStatus: 'PENDING',
-        total: {
-          gte: paymentData.amount - 0.5,
-          lte: paymentData.amount + 0.5
-        }
-      }
-    });
-    if (order) {
-      console.log('[Match] ✅ Found by unique code');
-      return order;
-    }
-  }
+    const { body, paymentData } = parsePaymentMessage(message, parser);
+    console.log(`${tag} Parsed data:`, paymentData);
 
- /*  // Strategia 2: Match per orderNumber
-  if (paymentData.orderNumber) {
-    const order = await prisma.order.findFirst({
-      where: {
-        orderNumber: paymentData.orderNumber,
-        paymentStatus: 'PENDING',
-        total: paymentData.amount
-      }
+    // Stesso flusso di estratti conto e webhook: auto-match solo per codice
+    // univoco, il resto finisce nella coda di riconciliazione admin
+    const result = await processIncomingPayment(prisma, paymentData, {
+      source,
+      actor: 'gmail_parser',
+      paymentId: paymentData.transactionId || paymentData.reference || `${parser.source.toUpperCase()}-${Date.now()}`,
+      rawData: { subject, date },
+      reviewData: { body: body.substring(0, 500) },
+      referenceDate: receivedAt
     });
-    if (order) {
-      console.log('[Match] ✅ Found by order number');
-      return order;
-    }
-  }
+    const { order, outcome, outstanding } = result;
 
-  // Strategia 3: Match per email + importo
-  if (paymentData.customerEmail && paymentData.amount) {
-    const order = await prisma.order.findFirst({
-      where: {
-        customerEmail: paymentData.customerEmail,
-        total: {
-          gte: paymentData.amount - 0.5,
-          lte: paymentData.amount + 0.5
-        },
-        paymentStatus: 'PENDING',
-        createdAt: {
-          gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-        }
-      },
-      orderBy: { createdAt: 'desc' }
-    });
-    
-    if (order) {
-      console.log('[Match] ✅ Found by email + amount');
-      return order;
+    if (result.status === 'matched_but_update_failed') {
+      console.error(`${tag} ❌ Order update failed:`, result.error.message);
+      return { status: 'update_failed', receivedAt };
     }
-  }
 
-  // Strategia 4: Match per nome + importo
-  if (paymentData.customerName && paymentData.amount) {
-    const { firstName, lastName } = splitName(paymentData.customerName);
-    
-    if (firstName && lastName) {
-      console.log(`[Match] Trying name match: "${firstName} ${lastName}"`);
-      
-      const order = await prisma.order.findFirst({
-        where: {
-          OR: [
-            { customerName: { contains: `${firstName} ${lastName}`, mode: 'insensitive' } },
-            { customerName: { contains: `${lastName} ${firstName}`, mode: 'insensitive' } },
-            { customerName: { contains: lastName, mode: 'insensitive' } }
-          ],
-          total: {
-            gte: paymentData.amount - 0.5,
-            lte: paymentData.amount + 0.5
-          },
-          paymentStatus: 'PENDING',
-          createdAt: {
-            gte: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000)
-          }
-        },
-        orderBy: { createdAt: 'desc' }
-      });
-      
-      if (order) {
-        console.log('[Match] ✅ Found by name');
-        return order;
+    if (result.status === 'matched') {
+      if (outcome === 'partial') {
+        console.log(`${tag} ⚠️ Order #${order.orderNumber} PARTIALLY_PAID (mancano €${outstanding.toFixed(2)})`);
+      } else if (outcome === 'overpaid' || outcome === 'duplicate') {
+        console.log(`${tag} ⚠️ Order #${order.orderNumber} segnalato per verifica (${outcome})`);
+      } else {
+        console.log(`${tag} ✅ Order #${order.orderNumber} marked as PAID`);
       }
+    } else {
+      console.log(result.status === 'needs_review'
+        ? `${tag} 🔎 ${result.candidates.length} possible orders, sent to review queue`
+        : `${tag} ⚠️ No matching order found`);
     }
-  }
-
-  // Strategia 5: Solo importo
-  if (paymentData.amount) {
-    const order = await prisma.order.findFirst({
-      where: {
-        total: {
-          gte: paymentData.amount - 0.1,
-          lte: paymentData.amount + 0.1
-        },
-        paymentStatus: 'PENDING',
-        createdAt: {
-          gte: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000)
-        }
-      },
-      orderBy: { createdAt: 'desc' }
-    });
-    
-    if (order) {
-      console.log('[Match] ⚠️ Found by amount only (verify!)');
-      return order;
-    }
-  } */
 
-  console.log('[Match] ❌ No matching order found');
-  return null;
-}
+    return { status: result.status, receivedAt };
 
-// ==================================
-// API UPDATE HELPER
-// ==================================
-
-async function updateOrderViaAPI(orderId, updateData) {
-  try {
-    console.log(`[API] Updating order ${orderId} via backend API...`);
-    
-    const response = await fetch(`${BACKEND_URL}/api/admin/orders/${orderId}`, {
-      method: 'PUT',
-      headers: {
-        'Authorization': `Bearer ${ADMIN_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(updateData)
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || `HTTP ${response.status}`);
-    }
-
-    const result = await response.json();
-    console.log('[API] ✅ Order updated successfully');
-    return result;
   } catch (error) {
-    console.error('[API] ❌ Error updating order:', error.message);
-    
-    // Log più dettagliato per troubleshooting
-    if (error.message.includes('401')) {
-      console.error('[API] 💡 Verifica che ADMIN_TOKEN sia corretto');
-    } else if (error.message.includes('fetch')) {
-      console.error('[API] 💡 Verifica che BACKEND_URL sia raggiungibile:', BACKEND_URL);
-    }
-    
-    throw error;
+    console.error(`${tag} ❌ Error processing message:`, error.message);
+    return { status: 'error' };
   }
 }
 
 // ==================================
-// EMAIL PROCESSING
+// SYNC INCREMENTALE (solo messaggi nuovi)
 // ==================================
 
-async function processPayPalMessage(gmail, messageId) {
-  try {
-    const msg = await gmail.users.messages.get({
-      userId: 'me',
-      id: messageId,
-      format: 'full'
-    });
-
-    const headers = msg.data.payload.headers;
-    const subject = headers.find(h => h.name === 'Subject')?.value || '';
-    const date = headers.find(h => h.name === 'Date')?.value || '';
-    
-    let body = '';
-    if (msg.data.payload.parts) {
-      const textPart = msg.data.payload.parts.find(p => p.mimeType === 'text/plain');
-      if (textPart?.body?.data) {
-        body = Buffer.from(textPart.body.data, 'base64').toString();
-      }
-    } else if (msg.data.payload.body?.data) {
-      body = Buffer.from(msg.data.payload.body.data, 'base64').toString();
-    }
-
-    console.log('\n[PayPal] Processing email:', subject);
-
-    const paymentData = parsePayPalEmail(subject, body);
-    console.log('[PayPal] Parsed data:', paymentData);
-
-    const order = await matchOrderWithPayment(paymentData);
-
-    if (order) {
-      try {
-        // 🆕 Aggiorna tramite API (così invia anche l'email di conferma)
-        await updateOrderViaAPI(order.id, {
-          paymentStatus: 'PAID',
-          paymentId: paymentData.transactionId || `PAYPAL-${Date.now()}`,
-          notes: order.notes 
-            ? `${order.notes}\n\nPagamento confermato automaticamente via Gmail Parser`
-            : 'Pagamento confermato automaticamente via Gmail Parser'
-        });
-        
-        console.log(`[PayPal] ✅ Order #${order.orderNumber} marked as PAID (email sent via API)`);
-
-        // Log successo nel database
-        await prisma.paymentLog.create({
-          data: {
-            orderId: order.id,
-            source: 'gmail_parser_paypal',
-            status: 'matched',
-            rawData: { subject, date, paymentData }
-          }
-        });
-        
-        return true;
-      } catch (apiError) {
-        console.error('[PayPal] ❌ API call failed:', apiError.message);
-        
-        // Log fallimento
-        await prisma.paymentLog.create({
-          data: {
-            orderId: order.id,
-            source: 'gmail_parser_paypal',
-            status: 'matched_but_update_failed',
-            rawData: { subject, date, paymentData, error: apiError.message }
-          }
-        });
-        
-        return false;
-      }
-    } else {
-      console.log('[PayPal] ⚠️ No matching order found');
-      
-      await prisma.paymentLog.create({
-        data: {
-          source: 'gmail_parser_paypal',
-          status: 'unmatched',
-          rawData: { subject, date, paymentData, body: body.substring(0, 500) }
-        }
-      });
-
-      return false;
-    }
-
-  } catch (error) {
-    console.error('[PayPal] ❌ Error processing message:', error.message);
-    return false;
+// Primo avvio: da quando recuperare i pagamenti (default ultimi 7 giorni)
+function getBackfillStart() {
+  if (GMAIL_BACKFILL_FROM) {
+    const date = new Date(GMAIL_BACKFILL_FROM);
+    if (!isNaN(date.getTime())) return date;
+    console.warn(`⚠️ GMAIL_BACKFILL_FROM non valida (${GMAIL_BACKFILL_FROM}), uso gli ultimi 7 giorni`);
   }
+  return new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 }
 
-async function processRevolutMessage(gmail, messageId) {
-  try {
-    const msg = await gmail.users.messages.get({
+/**
+ * 📬 Tutti gli ID messaggio dopo "since", pagina per pagina
+ * (Gmail li restituisce dal più recente)
+ */
+async function listMessageIds(gmail, query, since) {
+  // after: lavora al secondo; un'ora di margine, i duplicati li filtra ProcessedGmailMessage
+  const after = Math.floor(since.getTime() / 1000) - CHECKPOINT_OVERLAP_SECONDS;
+  const ids = [];
+  let pageToken;
+
+  do {
+    const res = await gmail.users.messages.list({
       userId: 'me',
-      id: messageId,
-      format: 'full'
+      q: `${query} after:${after}`,
+      maxResults: 100,
+      pageToken
     });
 
-    const headers = msg.data.payload.headers;
-    const subject = headers.find(h => h.name === 'Subject')?.value || '';
-    const date = headers.find(h => h.name === 'Date')?.value || '';
-    
-    let body = '';
-    if (msg.data.payload.parts) {
-      const textPart = msg.data.payload.parts.find(p => p.mimeType === 'text/plain');
-      if (textPart?.body?.data) {
-        body = Buffer.from(textPart.body.data, 'base64').toString();
-      }
-    } else if (msg.data.payload.body?.data) {
-      body = Buffer.from(msg.data.payload.body.data, 'base64').toString();
-    }
-
-    console.log('\n[Revolut] Processing email:', subject);
-
-    const paymentData = parseRevolutEmail(subject, body);
-    console.log('[Revolut] Parsed data:', paymentData);
-
-    const order = await matchOrderWithPayment(paymentData);
+    ids.push(...(res.data.messages || []).map(m => m.id));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
 
-    if (order) {
-      try {
-        // 🆕 Aggiorna tramite API (così invia anche l'email di conferma)
-        await updateOrderViaAPI(order.id, {
-          paymentStatus: 'PAID',
-          paymentId: paymentData.reference || `REVOLUT-${Date.now()}`,
-          notes: order.notes 
-            ? `${order.notes}\n\nPagamento confermato automaticamente via Gmail Parser`
-            : 'Pagamento confermato automaticamente via Gmail Parser'
-        });
-
-        console.log(`[Revolut] ✅ Order #${order.orderNumber} marked as PAID (email sent via API)`);
+  return ids;
+}
 
-        // Log successo nel database
-        await prisma.paymentLog.create({
-          data: {
-            orderId: order.id,
-            source: 'gmail_parser_revolut',
-            status: 'matched',
-            rawData: { subject, date, paymentData }
-          }
-        });
+/**
+ * 🔁 Processa i messaggi nuovi di una sorgente, dal più vecchio,
+ * e avanza il checkpoint. Un errore ferma il checkpoint, così il
+ * messaggio viene ritentato al giro successivo.
+ */
+async function syncSource(gmail, parser) {
+  const { source, gmailQuery } = parser;
+  const state = await prisma.gmailSyncState.findUnique({ where: { source } });
+  const since = state?.lastReceivedAt || getBackfillStart();
+
+  const ids = (await listMessageIds(gmail, gmailQuery, since)).reverse();
+
+  const alreadyProcessed = new Map(
+    (await prisma.processedGmailMessage.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, receivedAt: true }
+    })).map(m => [m.id, m.receivedAt])
+  );
+
+  let checkpoint = since;
+  let checkpointBlocked = false;
+  let processed = 0;
+  let matched = 0;
+
+  for (const messageId of ids) {
+    let receivedAt = alreadyProcessed.get(messageId);
+
+    if (!receivedAt) {
+      if (processed >= MAX_MESSAGES_PER_RUN) break; // Il resto al prossimo giro
+
+      const result = await processPaymentMessage(gmail, messageId, parser);
+      processed++;
 
-        return true;
-      } catch (apiError) {
-        console.error('[Revolut] ❌ API call failed:', apiError.message);
-        
-        // Log fallimento
-        await prisma.paymentLog.create({
-          data: {
-            orderId: order.id,
-            source: 'gmail_parser_revolut',
-            status: 'matched_but_update_failed',
-            rawData: { subject, date, paymentData, error: apiError.message }
-          }
-        });
-        
-        return false;
+      if (result.status === 'error') {
+        checkpointBlocked = true;
+        continue;
       }
-    } else {
-      console.log('[Revolut] ⚠️ No matching order found');
-      
-      await prisma.paymentLog.create({
-        data: {
-          source: 'gmail_parser_revolut',
-          status: 'unmatched',
-          rawData: { subject, date, paymentData, body: body.substring(0, 500) }
-        }
+
+      receivedAt = result.receivedAt;
+      await prisma.processedGmailMessage.create({
+        data: { id: messageId, source, status: result.status, receivedAt }
       });
 
-      return false;
+      if (result.status === 'matched') matched++;
     }
 
-  } catch (error) {
-    console.error('[Revolut] ❌ Error processing message:', error.message);
-    return false;
+    if (!checkpointBlocked && receivedAt > checkpoint) {
+      checkpoint = receivedAt;
+    }
   }
+
+  await prisma.gmailSyncState.upsert({
+    where: { source },
+    create: { source, lastReceivedAt: checkpoint },
+    update: { lastReceivedAt: checkpoint }
+  });
+
+  const remaining = ids.filter(id => !alreadyProcessed.has(id)).length - processed;
+  return { processed, matched, remaining };
 }
 
 // ==================================
@@ -636,42 +396,16 @@ async function checkPayments() {
   try {
     const gmail = await getGmailClient();
 
-    // Query email PayPal
-    const paypalQuery = 'from:(assistenza@paypal.it OR service@paypal.com) subject:"Hai ricevuto denaro"';
-    const paypalRes = await gmail.users.messages.list({
-      userId: 'me',
-      q: paypalQuery,
-      maxResults: 5
-    });
-
-    // Query email Revolut
-    const revolutQuery = 'from:no-reply@revolut.com subject:received';
-    const revolutRes = await gmail.users.messages.list({
-      userId: 'me',
-      q: revolutQuery,
-      maxResults: 5
-    });
-
-    const paypalMessages = paypalRes.data.messages || [];
-    const revolutMessages = revolutRes.data.messages || [];
-
-    console.log(`[Gmail Parser] Found ${paypalMessages.length} PayPal + ${revolutMessages.length} Revolut emails`);
-
     let processed = 0;
     let matched = 0;
 
-    // Processa PayPal
-    for (const message of paypalMessages) {
-      const result = await processPayPalMessage(gmail, message.id);
-      processed++;
-      if (result) matched++;
-    }
+    for (const parser of PAYMENT_PARSERS) {
+      const result = await syncSource(gmail, parser);
+      console.log(`[Gmail Parser] ${parser.label}: ${result.processed} nuovi, ${result.matched} abbinati` +
+        (result.remaining > 0 ? `, ${result.remaining} al prossimo giro` : ''));
 
-    // Processa Revolut
-    for (const message of revolutMessages) {
-      const result = await processRevolutMessage(gmail, message.id);
-      processed++;
-      if (result) matched++;
+      processed += result.processed;
+      matched += result.matched;
     }
 
     console.log(`[Gmail Parser] ✅ Completed: ${processed} processed, ${matched} matched\n`);
@@ -700,8 +434,6 @@ async function checkPayments() {
 if (require.main === module) {
   console.log('🚀 Gmail Parser starting...');
   console.log('Environment:', process.env.NODE_ENV || 'development');
-  console.log('Backend URL:', BACKEND_URL);
-  console.log('Admin Token:', ADMIN_TOKEN ? '✅ Configured' : '❌ Missing');
   
   // Test connessione all'avvio
   testGmailConnection().then(ok => {
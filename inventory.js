@@ -0,0 +1,139 @@
+// inventory.js - Magazzino per variante (colore/taglia)
+const { httpError } = require('./errors');
+
+/**
+ * 🔢 Raggruppa le righe per variante (stessa variante può comparire più volte)
+ */
+function groupByVariant(items) {
+  const variants = {};
+
+  items.forEach(item => {
+    const key = `${item.productId}|${item.color}|${item.size}`;
+    if (!variants[key]) {
+      variants[key] = {
+        productId: item.productId,
+        color: item.color,
+        size: item.size,
+        quantity: 0
+      };
+    }
+    variants[key].quantity += item.quantity;
+  });
+
+  return Object.values(variants);
+}
+
+/**
+ * 🎯 Filtra solo le varianti di prodotti con magazzino attivo
+ */
+async function getTrackedVariants(db, items) {
+  const productIds = [...new Set(items.map(i => i.productId))];
+  const products = await db.product.findMany({
+    where: { id: { in: productIds }, hasInventory: true },
+    select: { id: true, name: true }
+  });
+  const productMap = Object.fromEntries(products.map(p => [p.id, p]));
+
+  return groupByVariant(items)
+    .filter(v => productMap[v.productId])
+    .map(v => ({ ...v, productName: productMap[v.productId].name }));
+}
+
+/**
+ * 📉 Scala lo stock per le righe ordine.
+ * Lancia un errore 409 (code OUT_OF_STOCK) se una variante è esaurita:
+ * va chiamata dentro una transazione per non lasciare decrementi parziali.
+ */
+async function reserveStock(db, items) {
+  const variants = await getTrackedVariants(db, items);
+
+  for (const variant of variants) {
+    // Decremento condizionale: fallisce se la quantità non basta
+    const result = await db.productStock.updateMany({
+      where: {
+        productId: variant.productId,
+        color: variant.color,
+        size: variant.size,
+        quantity: { gte: variant.quantity }
+      },
+      data: { quantity: { decrement: variant.quantity } }
+    });
+
+    if (result.count === 0) {
+      throw httpError(
+        409,
+        `${variant.productName} ${variant.color} (${variant.size}) esaurito o quantità non disponibile`,
+        {
+          code: 'OUT_OF_STOCK',
+          details: {
+            productId: variant.productId,
+            color: variant.color,
+            size: variant.size,
+            requested: variant.quantity
+          }
+        }
+      );
+    }
+  }
+}
+
+/**
+ * 📈 Restituisce al magazzino lo stock delle righe ordine
+ */
+async function releaseStock(db, items) {
+  const variants = await getTrackedVariants(db, items);
+
+  for (const variant of variants) {
+    await db.productStock.updateMany({
+      where: {
+        productId: variant.productId,
+        color: variant.color,
+        size: variant.size
+      },
+      data: { quantity: { increment: variant.quantity } }
+    });
+  }
+}
+
+/**
+ * 🛍️ Disponibilità per colore/taglia dei prodotti con magazzino
+ * Ritorna { [productId]: { [color]: { [size]: quantità } } }
+ */
+async function getAvailability(db, products) {
+  const trackedIds = products.filter(p => p.hasInventory).map(p => p.id);
+  if (trackedIds.length === 0) return {};
+
+  const rows = await db.productStock.findMany({
+    where: { productId: { in: trackedIds } }
+  });
+
+  const availability = {};
+
+  products
+    .filter(p => p.hasInventory)
+    .forEach(product => {
+      // Varianti senza riga di stock = non disponibili
+      availability[product.id] = {};
+      (product.colors || []).forEach(color => {
+        availability[product.id][color] = {};
+        (product.sizes || []).forEach(size => {
+          availability[product.id][color][size] = 0;
+        });
+      });
+    });
+
+  rows.forEach(row => {
+    if (!availability[row.productId][row.color]) {
+      availability[row.productId][row.color] = {};
+    }
+    availability[row.productId][row.color][row.size] = Math.max(0, row.quantity);
+  });
+
+  return availability;
+}
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  getAvailability
+};
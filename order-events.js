@@ -0,0 +1,56 @@
+// order-events.js - Storico eventi ordine (chi ha fatto cosa e quando)
+
+const ORDER_EVENT_TYPES = {
+  CREATED: 'CREATED',
+  STATUS_CHANGED: 'STATUS_CHANGED',
+  PAYMENT_MATCHED: 'PAYMENT_MATCHED',
+  BATCH_ASSIGNED: 'BATCH_ASSIGNED',
+  EMAIL_SENT: 'EMAIL_SENT',
+  NOTE_UPDATED: 'NOTE_UPDATED',
+  REFUND_RECORDED: 'REFUND_RECORDED',
+  TRACKING_UPDATED: 'TRACKING_UPDATED',
+  ARCHIVED: 'ARCHIVED',
+  RESTORED: 'RESTORED',
+  REVIEW_FLAGGED: 'REVIEW_FLAGGED',
+  REVIEW_RESOLVED: 'REVIEW_RESOLVED'
+};
+
+const ORDER_EVENT_ACTORS = ['admin', 'gmail_parser', 'webhook', 'system', 'customer'];
+
+// Attori che le route admin accettano dall'header X-Order-Actor
+// ("customer" lo impostano solo le route del cliente)
+const ADMIN_REQUEST_ACTORS = ['admin', 'system'];
+
+/**
+ * 📝 Registra un evento sull'ordine (db può essere prisma o una transazione)
+ */
+async function recordOrderEvent(db, { orderId, type, actor = 'system', fromStatus, toStatus, data }) {
+  return db.orderEvent.create({
+    data: {
+      orderId,
+      type,
+      actor,
+      fromStatus: fromStatus || null,
+      toStatus: toStatus || null,
+      data: data || undefined
+    }
+  });
+}
+
+/**
+ * 📜 Timeline completa di un ordine, dal più vecchio al più recente
+ */
+async function getOrderTimeline(db, orderId) {
+  return db.orderEvent.findMany({
+    where: { orderId },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+module.exports = {
+  ORDER_EVENT_TYPES,
+  ORDER_EVENT_ACTORS,
+  ADMIN_REQUEST_ACTORS,
+  recordOrderEvent,
+  getOrderTimeline
+};
@@ -0,0 +1,205 @@
+// order-lifecycle.js - Ciclo di vita ordine: transizioni ammesse + hook
+const { httpError } = require('./errors');
+const { reserveStock, releaseStock } = require('./inventory');
+const { ORDER_EVENT_TYPES, recordOrderEvent } = require('./order-events');
+const { enqueueEmail, deliverEmailJob } = require('./email-queue');
+
+// Da ogni stato si può andare SOLO verso quelli elencati
+const ORDER_TRANSITIONS = {
+  PENDING: ['PAID', 'PARTIALLY_PAID', 'FAILED', 'CANCELLED'], // CANCELLED = annullato dal cliente prima di pagare
+  PARTIALLY_PAID: ['PAID', 'REFUNDED', 'PENDING'], // Pagato meno del totale, si attende il saldo
+  PAID: ['ORDERED', 'REFUNDED', 'PENDING'], // PENDING = correzione di un pagamento segnato per errore
+  ORDERED: ['DELIVERED', 'REFUNDED'],
+  DELIVERED: ['REFUNDED'],
+  FAILED: ['PENDING'], // Riapertura (es. pagamento arrivato in ritardo)
+  REFUNDED: [], // Finale
+  CANCELLED: [] // Finale
+};
+
+// Stati con cui un admin può creare un ordine a mano
+const INITIAL_STATUSES = ['PENDING', 'PAID'];
+
+function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// ==================================
+// HOOK DI TRANSIZIONE
+// ==================================
+// - beforeUpdate(tx, ctx): gira nella transazione, può ritornare campi extra da salvare
+// - afterCommit(db, ctx): gira dopo il commit (email, notifiche), gli errori non annullano il cambio stato
+
+const TRANSITION_HOOKS = [
+  {
+    name: 'setPaidAt',
+    to: ['PAID'],
+    beforeUpdate: () => ({ paidAt: new Date() })
+  },
+  {
+    // Riapertura o correzione: promemoria e scadenza ripartono da adesso
+    name: 'setPendingSince',
+    to: ['PENDING'],
+    beforeUpdate: () => ({ pendingSince: new Date(), paymentReminderSentAt: null })
+  },
+  {
+    name: 'clearPayment',
+    from: ['PAID', 'PARTIALLY_PAID'],
+    to: ['PENDING'],
+    beforeUpdate: () => ({ paidAt: null, amountReceived: 0 })
+  },
+  {
+    // REFUNDED escluso: lo stock torna per riga rimborsata (vedi refunds.js)
+    name: 'releaseStock',
+    to: ['FAILED', 'CANCELLED'],
+    beforeUpdate: async (tx, { order }) => {
+      await releaseStock(tx, order.items);
+    }
+  },
+  {
+    name: 'releaseDiscountUsage',
+    to: ['FAILED', 'REFUNDED', 'CANCELLED'],
+    beforeUpdate: async (tx, { order }) => {
+      await releaseDiscountUsage(tx, order.id);
+    }
+  },
+  {
+    name: 'reserveStock',
+    from: ['FAILED'],
+    beforeUpdate: async (tx, { order }) => {
+      await reserveStock(tx, order.items);
+    }
+  },
+  {
+    // L'email viene messa in coda nella transazione e inviata subito dopo il commit;
+    // se Brevo fallisce ci riprova il worker della coda (vedi email-queue.js)
+    name: 'sendConfirmationEmail',
+    to: ['PAID'],
+    beforeUpdate: async (tx, ctx) => {
+      if (ctx.options.notify === false || !ctx.order.customerEmail) return;
+
+      const job = await enqueueEmail(tx, {
+        template: 'order_confirmation',
+        orderId: ctx.order.id
+      });
+      ctx.emailJobIds = [...(ctx.emailJobIds || []), job.id];
+    },
+    afterCommit: async (db, { emailJobIds = [] }) => {
+      for (const jobId of emailJobIds) {
+        await deliverEmailJob(db, jobId);
+      }
+    }
+  }
+];
+
+/**
+ * 🎟️ Restituisce codici promo e promozioni consumati dall'ordine
+ * (il cliente potrà riusarli, e usageCount torna indietro).
+ * Su riapertura FAILED → PENDING gli usi NON vengono ripresi.
+ */
+async function releaseDiscountUsage(tx, orderId) {
+  await tx.promoCodeUsage.deleteMany({
+    where: { orderId }
+  });
+
+  const promotionUsages = await tx.promotionUsage.findMany({
+    where: { orderId }
+  });
+
+  for (const usage of promotionUsages) {
+    await tx.promotion.update({
+      where: { id: usage.promotionId },
+      data: { usageCount: { decrement: 1 } }
+    });
+  }
+
+  await tx.promotionUsage.deleteMany({
+    where: { orderId }
+  });
+}
+
+function hooksFor(from, to) {
+  return TRANSITION_HOOKS.filter(hook =>
+    (!hook.from || hook.from.includes(from)) &&
+    (!hook.to || hook.to.includes(to))
+  );
+}
+
+/**
+ * 🔁 Porta un ordine da uno stato all'altro dentro una transazione esistente.
+ * Ritorna { order, afterCommit }: il chiamante deve invocare afterCommit(prisma)
+ * DOPO il commit della transazione (es. per l'email di conferma).
+ *
+ * options: { actor, data (campi extra da salvare), eventData, notify }
+ */
+async function transitionOrder(tx, orderOrId, toStatus, options = {}) {
+  const order = typeof orderOrId === 'string'
+    ? await tx.order.findUnique({ where: { id: orderOrId }, include: { items: true } })
+    : orderOrId;
+
+  if (!order) {
+    throw httpError(404, 'Ordine non trovato');
+  }
+
+  const fromStatus = order.paymentStatus;
+
+  if (!canTransition(fromStatus, toStatus)) {
+    throw httpError(400, `Transizione non valida: ${fromStatus} → ${toStatus}`, {
+      code: 'INVALID_TRANSITION',
+      details: { from: fromStatus, to: toStatus, allowed: ORDER_TRANSITIONS[fromStatus] || [] }
+    });
+  }
+
+  const ctx = { order, from: fromStatus, to: toStatus, options };
+  const hooks = hooksFor(fromStatus, toStatus);
+
+  let data = { ...(options.data || {}), paymentStatus: toStatus };
+  for (const hook of hooks.filter(h => h.beforeUpdate)) {
+    const patch = await hook.beforeUpdate(tx, ctx);
+    if (patch) data = { ...data, ...patch };
+  }
+
+  const updated = await tx.order.update({
+    where: { id: order.id },
+    data,
+    include: { items: true }
+  });
+
+  await recordOrderEvent(tx, {
+    orderId: order.id,
+    type: ORDER_EVENT_TYPES.STATUS_CHANGED,
+    actor: options.actor || 'system',
+    fromStatus,
+    toStatus,
+    data: options.eventData
+  });
+
+  const afterCommit = async (db) => {
+    for (const hook of hooks.filter(h => h.afterCommit)) {
+      try {
+        await hook.afterCommit(db, { ...ctx, order: updated });
+      } catch (error) {
+        console.error(`❌ Hook ${hook.name} fallito (ordine ${order.id}):`, error);
+      }
+    }
+  };
+
+  return { order: updated, afterCommit };
+}
+
+/**
+ * 🔁 Come transitionOrder, ma apre e chiude da sola la transazione
+ * ed esegue subito gli hook post-commit.
+ */
+async function changeOrderStatus(prisma, orderId, toStatus, options = {}) {
+  const result = await prisma.$transaction(tx => transitionOrder(tx, orderId, toStatus, options));
+  await result.afterCommit(prisma);
+  return result.order;
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  INITIAL_STATUSES,
+  canTransition,
+  transitionOrder,
+  changeOrderStatus
+};
@@ -0,0 +1,94 @@
+// order-lookup.js - Consultazione ordine self-service (codice univoco + email)
+const { generatePaymentUrl } = require('./payment-links');
+const { getBankTransferInstructions } = require('./bank-transfer');
+
+/**
+ * 🔎 Trova l'ordine solo se codice ed email corrispondono.
+ * Codice o email sbagliati danno lo stesso risultato (null),
+ * così non si può scoprire quali codici esistono.
+ */
+async function findCustomerOrder(db, { uniqueCode, email }) {
+  if (!uniqueCode || !email) return null;
+
+  const order = await db.order.findUnique({
+    where: { uniqueCode: uniqueCode.trim().toUpperCase() },
+    include: {
+      items: {
+        include: { product: true }
+      },
+      batch: true
+    }
+  });
+
+  if (!order || order.customerEmail.toLowerCase() !== email.trim().toLowerCase()) {
+    return null;
+  }
+
+  return order;
+}
+
+// "Mario Rossi" → "Mario R."
+function maskName(name) {
+  if (!name) return null;
+  const [first, ...rest] = name.trim().split(/\s+/);
+  return rest.length > 0 ? `${first} ${rest[rest.length - 1][0]}.` : first;
+}
+
+/**
+ * 🙈 Vista pubblica dell'ordine: niente email/telefono, note interne,
+ * ID pagamento o indirizzo completo
+ */
+function toPublicOrder(order) {
+  const awaitingPayment = ['PENDING', 'PARTIALLY_PAID'].includes(order.paymentStatus);
+
+  return {
+    orderNumber: order.orderNumber,
+    uniqueCode: order.uniqueCode,
+    customerName: maskName(order.customerName),
+    createdAt: order.createdAt,
+    paymentStatus: order.paymentStatus,
+    paymentMethod: order.paymentMethod,
+    paidAt: order.paidAt,
+    paymentUrl: awaitingPayment ? generatePaymentUrl(order) : null,
+    bankTransfer: awaitingPayment ? getBankTransferInstructions(order) : null,
+    amountReceived: order.amountReceived,
+    outstandingAmount: order.paymentStatus === 'PARTIALLY_PAID'
+      ? Math.round((order.total - order.amountReceived) * 100) / 100
+      : null,
+    items: order.items.map(item => ({
+      productName: item.product.name,
+      color: item.color,
+      size: item.size,
+      quantity: item.quantity,
+      lineTotal: item.lineTotal,
+      discountAmount: item.discountAmount
+    })),
+    subtotal: order.subtotal,
+    shippingCost: order.shippingCost,
+    discount: order.discount + order.promoDiscount,
+    total: order.total,
+    refundedAmount: order.refundedAmount,
+    shipping: {
+      method: order.shippingMethod,
+      city: order.shippingAddress?.city || null,
+      postalCode: order.shippingAddress?.postalCode || null
+    },
+    batch: order.batch
+      ? {
+        status: order.batch.status,
+        expectedDelivery: order.batch.expectedDelivery
+      }
+      : null,
+    tracking: order.trackingNumber
+      ? {
+        number: order.trackingNumber,
+        url: order.trackingUrl
+      }
+      : null
+  };
+}
+
+module.exports = {
+  findCustomerOrder,
+  toPublicOrder
+};
@@ -0,0 +1,257 @@
+// order-service.js - Operazioni sugli ordini condivise da server.js, gmail parser,
+// import estratti conto e webhook di pagamento
+//
+// Tutto gira in-process (niente chiamate HTTP all'API admin): cambio stato,
+// storico ed email in coda vengono salvati nella stessa transazione.
+const { httpError } = require('./errors');
+const { ORDER_EVENT_TYPES, recordOrderEvent } = require('./order-events');
+const { transitionOrder } = require('./order-lifecycle');
+const { applyPayment, findAutoMatch, findCandidateOrders } = require('./payment-matching');
+const { enqueueEmail, deliverEmailJob } = require('./email-queue');
+const { recordRefund } = require('./refunds');
+
+/**
+ * ✏️ Aggiorna stato, paymentId, note e tracking di un ordine, tutto in una transazione.
+ * Il cambio stato passa dal ciclo di vita (validazione + stock + paidAt + email);
+ * REFUNDED passa da recordRefund (rimborso del residuo con il metodo indicato,
+ * di default quello di pagamento).
+ */
+async function updateOrder(prisma, orderId, { paymentStatus, paymentId, notes, trackingNumber, trackingUrl, refundMethod, refundReason }, { actor = 'admin' } = {}) {
+  const { order, afterCommit } = await prisma.$transaction(async (tx) => {
+    // Letto nella transazione: job e webhook possono averlo appena cambiato
+    const currentOrder = await tx.order.findUnique({
+      where: { id: orderId }
+    });
+
+    if (!currentOrder) {
+      throw httpError(404, 'Ordine non trovato');
+    }
+
+    const statusChanged = paymentStatus && paymentStatus !== currentOrder.paymentStatus;
+    const notesChanged = notes !== undefined && notes !== currentOrder.notes;
+    const trackingChanged = (trackingNumber !== undefined && trackingNumber !== currentOrder.trackingNumber) ||
+      (trackingUrl !== undefined && trackingUrl !== currentOrder.trackingUrl);
+
+    let afterCommit = null;
+    if (statusChanged && paymentStatus === 'REFUNDED') {
+      // 💸 Rimborso totale: registra il Refund (importo, stock per riga, stato)
+      const result = await recordRefund(tx, orderId, {
+        method: refundMethod || currentOrder.paymentMethod,
+        reason: refundReason,
+        actor
+      });
+      afterCommit = result.afterCommit;
+    } else if (statusChanged) {
+      const result = await transitionOrder(tx, orderId, paymentStatus, {
+        actor,
+        eventData: paymentId ? { paymentId } : undefined
+      });
+      afterCommit = result.afterCommit;
+    }
+
+    const updated = await tx.order.update({
+      where: { id: orderId },
+      data: {
+        paymentId,
+        notes,
+        trackingNumber,
+        trackingUrl
+      },
+      include: {
+        items: {
+          include: { product: true }
+        }
+      }
+    });
+
+    // 📜 Storico
+    if (notesChanged) {
+      await recordOrderEvent(tx, {
+        orderId: updated.id,
+        type: ORDER_EVENT_TYPES.NOTE_UPDATED,
+        actor,
+        data: { previous: currentOrder.notes, notes }
+      });
+    }
+
+    if (trackingChanged) {
+      await recordOrderEvent(tx, {
+        orderId: updated.id,
+        type: ORDER_EVENT_TYPES.TRACKING_UPDATED,
+        actor,
+        data: { trackingNumber: updated.trackingNumber, trackingUrl: updated.trackingUrl }
+      });
+    }
+
+    return { order: updated, afterCommit };
+  });
+
+  // Email di conferma, rimborso ecc. (hook post-commit)
+  if (afterCommit) {
+    await afterCommit(prisma);
+  }
+
+  return order;
+}
+
+/**
+ * 💶 Registra un pagamento ricevuto (PAID, PARTIALLY_PAID o segnalato per verifica).
+ * Ritorna { order, outcome, outstanding } come applyPayment.
+ */
+async function recordPayment(prisma, orderId, { amount, paymentId, source, actor = 'admin' }) {
+  const result = await prisma.$transaction(async (tx) => {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: { items: true }
+    });
+
+    if (!order) {
+      throw httpError(404, 'Ordine non trovato');
+    }
+
+    return applyPayment(tx, order, {
+      amount,
+      paymentId,
+      actor,
+      eventData: source ? { source } : undefined
+    });
+  });
+
+  // Email di conferma se l'ordine è passato a PAID
+  if (result.afterCommit) {
+    await result.afterCommit(prisma);
+  }
+
+  return { order: result.order, outcome: result.outcome, outstanding: result.outstanding };
+}
+
+/**
+ * 📬 Pagamento arrivato da una sorgente automatica (email, estratto conto, webhook):
+ * con il codice univoco lo registra sull'ordine, altrimenti lo mette nella coda
+ * di riconciliazione (PaymentLog) con gli ordini candidati.
+ *
+ * Log "matched", evento e pagamento sono salvati in un'unica transazione: o tutto
+ * o niente. Il vincolo unico su externalId fa da guardia contro le notifiche
+ * doppie dello stesso pagamento (anche contemporanee): la seconda ritorna
+ * status 'duplicate_payment' senza toccare l'ordine.
+ *
+ * options: { source, actor, paymentId, externalId, rawData (salvato nel log),
+ *            reviewData (solo per i log da verificare), referenceDate }
+ * Ritorna { status, order?, outcome?, outstanding?, candidates?, error? }
+ */
+async function processIncomingPayment(prisma, paymentData, options) {
+  const { source, actor, paymentId, externalId, rawData = {}, reviewData = {}, referenceDate } = options;
+  const logData = { ...rawData, paymentData };
+  const isDuplicate = (error) => externalId && error.code === 'P2002';
+
+  const order = await findAutoMatch(prisma, paymentData);
+
+  if (!order) {
+    // Match solo euristici (importo, nome, email): mai confermati in automatico
+    const candidates = await findCandidateOrders(prisma, paymentData, { referenceDate });
+    const status = candidates.length > 0 ? 'needs_review' : 'unmatched';
+
+    try {
+      await prisma.paymentLog.create({
+        data: {
+          source,
+          externalId,
+          status,
+          rawData: { ...logData, ...reviewData, candidateOrderIds: candidates.map(c => c.order.id) }
+        }
+      });
+    } catch (error) {
+      if (isDuplicate(error)) return { status: 'duplicate_payment' };
+      throw error;
+    }
+
+    return { status, candidates };
+  }
+
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      // Per primo il log: con un externalId già visto fallisce qui, prima del pagamento
+      await tx.paymentLog.create({
+        data: { orderId: order.id, source, externalId, status: 'matched', rawData: logData }
+      });
+
+      // 📜 Storico: pagamento abbinato all'ordine
+      await recordOrderEvent(tx, {
+        orderId: order.id,
+        type: ORDER_EVENT_TYPES.PAYMENT_MATCHED,
+        actor,
+        data: { source, ...logData }
+      });
+
+      // Stato riletto nella transazione (job e altre sorgenti in parallelo)
+      const current = await tx.order.findUnique({
+        where: { id: order.id },
+        include: { items: true }
+      });
+
+      return applyPayment(tx, current, {
+        amount: paymentData.amount,
+        paymentId: paymentId || paymentData.transactionId || paymentData.reference || `${source.toUpperCase()}-${Date.now()}`,
+        actor,
+        eventData: { source }
+      });
+    });
+
+    // Email di conferma se l'ordine è passato a PAID
+    if (result.afterCommit) {
+      await result.afterCommit(prisma);
+    }
+
+    return { status: 'matched', order, outcome: result.outcome, outstanding: result.outstanding };
+  } catch (error) {
+    if (isDuplicate(error)) {
+      return { status: 'duplicate_payment', order };
+    }
+
+    // Niente è stato salvato: il log resta nella coda di riconciliazione
+    await prisma.paymentLog.create({
+      data: {
+        orderId: order.id,
+        source,
+        externalId,
+        status: 'matched_but_update_failed',
+        rawData: { ...logData, error: error.message }
+      }
+    });
+
+    return { status: 'matched_but_update_failed', order, error };
+  }
+}
+
+/**
+ * ❌ Annullamento da parte del cliente (il ciclo di vita restituisce
+ * stock, codici promo e promozioni) + avviso in coda all'admin
+ */
+async function cancelOrderByCustomer(prisma, orderId, { reason } = {}) {
+  const { order, afterCommit, emailJob } = await prisma.$transaction(async (tx) => {
+    const result = await transitionOrder(tx, orderId, 'CANCELLED', {
+      actor: 'customer',
+      eventData: reason ? { reason } : undefined
+    });
+
+    const emailJob = await enqueueEmail(tx, {
+      template: 'order_cancelled_admin',
+      orderId,
+      payload: { reason }
+    });
+
+    return { ...result, emailJob };
+  });
+
+  await afterCommit(prisma);
+  await deliverEmailJob(prisma, emailJob.id);
+
+  return order;
+}
+
+module.exports = {
+  updateOrder,
+  recordPayment,
+  processIncomingPayment,
+  cancelOrderByCustomer
+};
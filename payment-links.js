@@ -0,0 +1,26 @@
+// payment-links.js - Link di pagamento per ordine
+
+function generatePaymentUrl(order) {
+  // Bonifico: niente link, coordinate e riferimento in bank-transfer.js
+  if (order.paymentMethod === 'bonifico') {
+    return null;
+  }
+
+  // Pagamento parziale: il link chiede solo il saldo
+  const due = order.paymentStatus === 'PARTIALLY_PAID'
+    ? order.total - order.amountReceived
+    : order.total;
+  const amount = due.toFixed(2);
+  const orderId = order.orderNumber.toString().padStart(4, '0');
+  const note = `Ordine MIDA #${orderId}`;
+
+  if (order.paymentMethod === 'paypal') {
+    // Sostituisci con il tuo username PayPal
+    return `https://paypal.me/${process.env.PAYPAL_USER}/${amount}EUR?note=${encodeURIComponent(note)}`;
+  } else {
+    // Revolut Pay link (da configurare)
+    return `https://revolut.me/${process.env.REVOLUT_USER}`;
+  }
+}
+
+module.exports = { generatePaymentUrl };
@@ -0,0 +1,371 @@
+// payment-matching.js - Abbinamento pagamenti ↔ ordini e coda di riconciliazione
+const { httpError } = require('./errors');
+const { transitionOrder } = require('./order-lifecycle');
+const { ORDER_EVENT_TYPES, recordOrderEvent } = require('./order-events');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Log del parser che richiedono un intervento manuale
+const UNRESOLVED_LOG_STATUSES = ['unmatched', 'needs_review', 'matched_but_update_failed'];
+
+// Ordini che aspettano ancora (tutto o parte del) pagamento
+const AWAITING_PAYMENT_STATUSES = ['PENDING', 'PARTIALLY_PAID'];
+
+// Già incassati: un nuovo pagamento qui è un doppio pagamento
+const PAID_STATUSES = ['PAID', 'ORDERED', 'DELIVERED'];
+
+// Tolleranza su importi (commissioni, arrotondamenti)
+const AMOUNT_TOLERANCE = 0.5;
+
+function splitName(fullName) {
+  if (!fullName) return { firstName: null, lastName: null };
+
+  const parts = fullName.trim().replace(/\s+/g, ' ').split(' ');
+  if (parts.length === 1) return { firstName: parts[0], lastName: null };
+
+  return { firstName: parts[0], lastName: parts.slice(1).join(' ') };
+}
+
+function amountRange(amount, tolerance) {
+  return { gte: amount - tolerance, lte: amount + tolerance };
+}
+
+// ==================================
+// STRATEGIE DI MATCH (in ordine di affidabilità)
+// ==================================
+// Ognuna ritorna il filtro Prisma (o null se i dati del pagamento non bastano).
+// statuses: stati ordine considerati (default: in attesa di pagamento)
+
+const MATCH_STRATEGIES = [
+  {
+    // Il codice identifica l'ordine anche se l'importo non torna
+    // (pagamento parziale, in eccesso o doppio: lo gestisce applyPayment)
+    name: 'uniqueCode',
+    label: 'Codice univoco',
+    statuses: [...AWAITING_PAYMENT_STATUSES, ...PAID_STATUSES],
+    where: (p) => p.uniqueCode && {
+      uniqueCode: p.uniqueCode
+    }
+  },
+  {
+    name: 'orderNumber',
+    label: 'Numero ordine + importo',
+    where: (p) => p.orderNumber && p.amount && {
+      orderNumber: p.orderNumber,
+      total: amountRange(p.amount, AMOUNT_TOLERANCE)
+    }
+  },
+  {
+    name: 'emailAmount',
+    label: 'Email + importo',
+    where: (p, since) => p.customerEmail && p.amount && {
+      customerEmail: { equals: p.customerEmail, mode: 'insensitive' },
+      total: amountRange(p.amount, AMOUNT_TOLERANCE),
+      createdAt: { gte: since(7) }
+    }
+  },
+  {
+    name: 'nameAmount',
+    label: 'Nome + importo',
+    where: (p, since) => {
+      const { firstName, lastName } = splitName(p.customerName);
+      if (!firstName || !lastName || !p.amount) return null;
+
+      return {
+        OR: [
+          { customerName: { contains: `${firstName} ${lastName}`, mode: 'insensitive' } },
+          { customerName: { contains: `${lastName} ${firstName}`, mode: 'insensitive' } },
+          { customerName: { contains: lastName, mode: 'insensitive' } }
+        ],
+        total: amountRange(p.amount, AMOUNT_TOLERANCE),
+        createdAt: { gte: since(3) }
+      };
+    }
+  },
+  {
+    name: 'amountOnly',
+    label: 'Solo importo (verificare!)',
+    where: (p, since) => p.amount && {
+      total: amountRange(p.amount, 0.1),
+      createdAt: { gte: since(2) }
+    }
+  }
+];
+
+// Il parser conferma da solo SOLO con il codice univoco; il resto va in coda
+const AUTO_MATCH_STRATEGIES = ['uniqueCode'];
+
+/**
+ * 🔎 Ordini compatibili con un pagamento, dal più probabile.
+ * options.strategies limita le strategie usate, options.referenceDate
+ * sposta le finestre temporali (default: adesso).
+ */
+async function findCandidateOrders(db, paymentData, options = {}) {
+  const {
+    strategies = MATCH_STRATEGIES.map(s => s.name),
+    referenceDate = new Date(),
+    limit = 5
+  } = options;
+
+  const since = (days) => new Date(referenceDate.getTime() - days * DAY);
+  const candidates = [];
+  const seen = new Set();
+
+  for (const strategy of MATCH_STRATEGIES.filter(s => strategies.includes(s.name))) {
+    const where = strategy.where(paymentData, since);
+    if (!where) continue;
+
+    const orders = await db.order.findMany({
+      where: { ...where, paymentStatus: { in: strategy.statuses || AWAITING_PAYMENT_STATUSES } },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+
+    for (const order of orders) {
+      if (seen.has(order.id)) continue;
+      seen.add(order.id);
+      candidates.push({ order, strategy: strategy.name, label: strategy.label });
+    }
+
+    if (candidates.length >= limit) break;
+  }
+
+  return candidates.slice(0, limit);
+}
+
+/**
+ * 🤖 Match automatico usato dal gmail parser
+ */
+async function findAutoMatch(db, paymentData) {
+  const [candidate] = await findCandidateOrders(db, paymentData, {
+    strategies: AUTO_MATCH_STRATEGIES,
+    limit: 1
+  });
+  return candidate ? candidate.order : null;
+}
+
+/**
+ * 🧾 Riassunto leggibile di un PaymentLog (importo, mittente, riferimento)
+ */
+function describePaymentLog(log) {
+  const paymentData = log.rawData?.paymentData || {};
+
+  return {
+    amount: paymentData.amount ?? null,
+    senderName: paymentData.customerName || null,
+    senderEmail: paymentData.customerEmail || null,
+    reference: paymentData.uniqueCode || paymentData.reference || paymentData.transactionId || null,
+    subject: log.rawData?.subject || null,
+    date: log.rawData?.date || null,
+    error: log.rawData?.error || null
+  };
+}
+
+async function findUnresolvedLog(tx, logId) {
+  const log = await tx.paymentLog.findUnique({ where: { id: logId } });
+
+  if (!log) {
+    throw httpError(404, 'Pagamento non trovato');
+  }
+
+  if (log.resolvedAt || !UNRESOLVED_LOG_STATUSES.includes(log.status)) {
+    throw httpError(400, 'Pagamento già gestito');
+  }
+
+  return log;
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 💶 Registra un importo incassato sull'ordine (dentro una transazione):
+ * - raggiunto il totale → PAID (con segnalazione se pagato in eccesso)
+ * - sotto il totale → PARTIALLY_PAID con il residuo da pagare
+ * - ordine già pagato → doppio pagamento, da verificare
+ * Ritorna { order, outcome, outstanding, afterCommit }.
+ */
+async function applyPayment(tx, order, { amount, paymentId, actor = 'system', eventData }) {
+  const received = roundCents(order.amountReceived + (amount ?? order.total - order.amountReceived));
+  const outstanding = roundCents(Math.max(0, order.total - received));
+
+  const flagReview = (reason) => ({ needsReview: true, reviewReason: reason });
+
+  // Già incassato: non si cambia stato. Se supera il totale è un doppio pagamento
+  // (un ordine segnato PAID a mano prima dell'email ha ancora amountReceived = 0)
+  if (PAID_STATUSES.includes(order.paymentStatus)) {
+    if (received <= order.total + AMOUNT_TOLERANCE) {
+      const updated = await tx.order.update({
+        where: { id: order.id },
+        data: { amountReceived: received },
+        include: { items: true }
+      });
+      return { order: updated, outcome: 'paid', outstanding, afterCommit: null };
+    }
+
+    const updated = await tx.order.update({
+      where: { id: order.id },
+      data: {
+        amountReceived: received,
+        ...flagReview(`Doppio pagamento: ricevuti €${received.toFixed(2)} su €${order.total.toFixed(2)}`)
+      },
+      include: { items: true }
+    });
+
+    await recordOrderEvent(tx, {
+      orderId: order.id,
+      type: ORDER_EVENT_TYPES.REVIEW_FLAGGED,
+      actor,
+      data: { reason: 'duplicate_payment', amount, amountReceived: received, paymentId, ...eventData }
+    });
+
+    return { order: updated, outcome: 'duplicate', outstanding: 0, afterCommit: null };
+  }
+
+  if (!AWAITING_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw httpError(400, `Impossibile registrare un pagamento su un ordine ${order.paymentStatus}`, {
+      code: 'INVALID_TRANSITION'
+    });
+  }
+
+  const fullyPaid = received >= order.total - AMOUNT_TOLERANCE;
+  const overpaid = received > order.total + AMOUNT_TOLERANCE;
+  const toStatus = fullyPaid ? 'PAID' : 'PARTIALLY_PAID';
+
+  const data = {
+    amountReceived: received,
+    ...(paymentId ? { paymentId } : {}),
+    ...(overpaid ? flagReview(`Pagato in eccesso: ricevuti €${received.toFixed(2)} su €${order.total.toFixed(2)}`) : {})
+  };
+
+  let updated;
+  let afterCommit = null;
+  if (toStatus !== order.paymentStatus) {
+    const result = await transitionOrder(tx, order, toStatus, {
+      actor,
+      data,
+      eventData: { amount, amountReceived: received, outstanding, paymentId, ...eventData }
+    });
+    updated = result.order;
+    afterCommit = result.afterCommit;
+  } else {
+    // Secondo acconto che non basta ancora: resta PARTIALLY_PAID
+    updated = await tx.order.update({
+      where: { id: order.id },
+      data,
+      include: { items: true }
+    });
+  }
+
+  if (overpaid) {
+    await recordOrderEvent(tx, {
+      orderId: order.id,
+      type: ORDER_EVENT_TYPES.REVIEW_FLAGGED,
+      actor,
+      data: { reason: 'overpayment', amount, amountReceived: received, paymentId, ...eventData }
+    });
+  }
+
+  return {
+    order: updated,
+    outcome: overpaid ? 'overpaid' : fullyPaid ? 'paid' : 'partial',
+    outstanding,
+    afterCommit
+  };
+}
+
+/**
+ * ✅ Conferma a mano l'abbinamento log → ordine: l'importo del log viene
+ * registrato sull'ordine (PAID, PARTIALLY_PAID o segnalato) e il log chiuso
+ */
+async function confirmPaymentMatch(prisma, logId, { orderId, paymentId, note, actor = 'admin' }) {
+  if (!orderId) {
+    throw httpError(400, 'Ordine da abbinare obbligatorio');
+  }
+
+  const { log, outcome, afterCommit } = await prisma.$transaction(async (tx) => {
+    const log = await findUnresolvedLog(tx, logId);
+    const paymentData = log.rawData?.paymentData || {};
+
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: { items: true }
+    });
+
+    if (!order) {
+      throw httpError(404, 'Ordine non trovato');
+    }
+
+    const resolvedPaymentId = paymentId || paymentData.transactionId || paymentData.reference || null;
+
+    await recordOrderEvent(tx, {
+      orderId: order.id,
+      type: ORDER_EVENT_TYPES.PAYMENT_MATCHED,
+      actor,
+      data: { source: log.source, paymentLogId: log.id, paymentData, manual: true }
+    });
+
+    // Un log "matched_but_update_failed" può riferirsi a un pagamento già registrato
+    let result = { outcome: 'already_recorded', afterCommit: null };
+    if (log.status !== 'matched_but_update_failed' || order.paymentStatus !== 'PAID') {
+      result = await applyPayment(tx, order, {
+        amount: paymentData.amount ?? undefined,
+        paymentId: resolvedPaymentId,
+        actor,
+        eventData: { paymentLogId: log.id }
+      });
+    }
+
+    const resolved = await tx.paymentLog.update({
+      where: { id: log.id },
+      data: {
+        orderId: order.id,
+        status: 'matched',
+        resolution: 'confirmed',
+        resolutionNote: note || null,
+        resolvedBy: actor,
+        resolvedAt: new Date()
+      }
+    });
+
+    return { log: resolved, outcome: result.outcome, afterCommit: result.afterCommit };
+  });
+
+  if (afterCommit) {
+    await afterCommit(prisma);
+  }
+
+  return { ...log, outcome };
+}
+
+/**
+ * 🗑️ Scarta un log (es. pagamento non legato al merch, duplicato, rimborsato)
+ */
+async function dismissPaymentLog(prisma, logId, { note, actor = 'admin' } = {}) {
+  return prisma.$transaction(async (tx) => {
+    const log = await findUnresolvedLog(tx, logId);
+
+    return tx.paymentLog.update({
+      where: { id: log.id },
+      data: {
+        status: 'dismissed',
+        resolution: 'dismissed',
+        resolutionNote: note || null,
+        resolvedBy: actor,
+        resolvedAt: new Date()
+      }
+    });
+  });
+}
+
+module.exports = {
+  MATCH_STRATEGIES,
+  UNRESOLVED_LOG_STATUSES,
+  findCandidateOrders,
+  findAutoMatch,
+  applyPayment,
+  describePaymentLog,
+  confirmPaymentMatch,
+  dismissPaymentLog
+};
@@ -0,0 +1,85 @@
+// payment-parsers/common.js - Regex condivise tra i parser di pagamento
+
+// Codice univoco ordine (vedi generateUniqueOrderCode in server.js).
+// Accetta anche "E" al posto di "€": i clienti lo scrivono a mano nella causale.
+const UNIQUE_CODE_REGEX = /CLA\$\$EV[€E]N[€E]TA-(\d{4})-([A-Z0-9]{4})/i;
+
+const CURRENCY_SYMBOLS = { '€': 'EUR', '$': 'USD', '£': 'GBP' };
+
+/**
+ * 🔢 "1.234,56" / "1,234.56" / "30,00" / "30.00" → numero
+ */
+function parseAmount(value) {
+  if (!value) return null;
+
+  const cleaned = value.replace(/\s/g, '');
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+  const decimalSeparator = lastComma > lastDot ? ',' : '.';
+
+  const normalized = decimalSeparator === ','
+    ? cleaned.replace(/\./g, '').replace(',', '.')
+    : cleaned.replace(/,/g, '');
+
+  const amount = parseFloat(normalized);
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * 💶 Primo importo con valuta nel testo ("€30,00", "30,00 EUR", "€ 30.00")
+ */
+function findAmount(body) {
+  const before = body.match(/([€$£]|EUR|USD|GBP)\s?(\d{1,3}(?:[.,]\d{3})*[.,]\d{2})/i);
+  const after = body.match(/(\d{1,3}(?:[.,]\d{3})*[.,]\d{2})\s?([€$£]|EUR|USD|GBP)/i);
+
+  // Vince quello che compare prima nel testo
+  const useBefore = before && (!after || before.index <= after.index);
+  const [value, currency] = useBefore ? [before[2], before[1]] : after ? [after[1], after[2]] : [null, null];
+
+  if (!value) return { amount: null, currency: null };
+
+  return {
+    amount: parseAmount(value),
+    currency: CURRENCY_SYMBOLS[currency] || currency.toUpperCase()
+  };
+}
+
+function findUniqueCode(body) {
+  const match = body.match(UNIQUE_CODE_REGEX);
+  if (!match) return null;
+
+  // Forma canonica, come salvata sull'ordine
+  return `CLA$$EV€N€TA-${match[1]}-${match[2].toUpperCase()}`;
+}
+
+function findOrderNumber(body) {
+  const codeMatch = body.match(UNIQUE_CODE_REGEX);
+  if (codeMatch) return parseInt(codeMatch[1], 10);
+
+  const orderMatch = body.match(/(?:Ordine|Order|MIDA)\s*#?(\d{4})\b/i);
+  return orderMatch ? parseInt(orderMatch[1], 10) : null;
+}
+
+/**
+ * 📧 Prima email nel testo che non sia del provider stesso
+ */
+function findEmail(body, excludedDomains = []) {
+  const emails = body.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g) || [];
+  return emails.find(email =>
+    !excludedDomains.some(domain => email.toLowerCase().endsWith(domain))
+  ) || null;
+}
+
+function matchGroup(body, regex) {
+  return body.match(regex)?.[1]?.trim() || null;
+}
+
+module.exports = {
+  UNIQUE_CODE_REGEX,
+  parseAmount,
+  findAmount,
+  findUniqueCode,
+  findOrderNumber,
+  findEmail,
+  matchGroup
+};
@@ -0,0 +1,45 @@
+// payment-parsers/index.js - Registro dei parser email di pagamento
+//
+// Ogni parser è un plugin con:
+// - source: nome breve (finisce in PaymentLog.source come "gmail_parser_<source>")
+// - label: nome leggibile
+// - gmailQuery: ricerca Gmail delle sue email
+// - matches({ from, subject }): true se l'email è sua
+// - parse({ subject, body }): { amount, currency, customerName, customerEmail,
+//   transactionId, reference, orderNumber, uniqueCode } (null se assente)
+//
+// Per una nuova sorgente (Satispay, bonifici...) basta aggiungere il file qui
+// e le sue fixture .eml in test/fixtures/emails.
+const { htmlToText } = require('./mime');
+
+const PAYMENT_PARSERS = [
+  require('./paypal'),
+  require('./revolut')
+];
+
+function findParser(message) {
+  return PAYMENT_PARSERS.find(parser => parser.matches(message)) || null;
+}
+
+/**
+ * 🧾 Messaggio normalizzato ({ from, subject, text, html }) → dati pagamento.
+ * Usa il testo semplice se c'è, altrimenti l'HTML convertito in testo.
+ */
+function parsePaymentMessage(message, parser = findParser(message)) {
+  if (!parser) return null;
+
+  const body = (message.text?.trim() ? message.text : htmlToText(message.html))
+    .replace(/\r\n?/g, '\n');
+
+  return {
+    source: parser.source,
+    body,
+    paymentData: parser.parse({ subject: message.subject, body })
+  };
+}
+
+module.exports = {
+  PAYMENT_PARSERS,
+  findParser,
+  parsePaymentMessage
+};
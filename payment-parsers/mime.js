@@ -0,0 +1,187 @@
+// payment-parsers/mime.js - Estrazione testo/HTML da messaggi Gmail API e file .eml
+
+const HTML_ENTITIES = {
+  nbsp: ' ',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  euro: '€',
+  egrave: 'è',
+  eacute: 'é',
+  agrave: 'à',
+  ograve: 'ò',
+  ugrave: 'ù',
+  igrave: 'ì'
+};
+
+/**
+ * 🧹 HTML → testo semplice (basta per le regex dei parser)
+ */
+function htmlToText(html) {
+  if (!html) return '';
+
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|h\d|li|table)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (entity, name) => HTML_ENTITIES[name.toLowerCase()] ?? entity)
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function decodeCharset(buffer, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+}
+
+function decodeQuotedPrintable(input) {
+  const bytes = [];
+  const text = input.replace(/=\r?\n/g, ''); // soft line break
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-F]{2}$/i.test(text.substr(i + 1, 2))) {
+      bytes.push(parseInt(text.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(text[i], 'utf8'));
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// "=?UTF-8?B?...?=" / "=?UTF-8?Q?...?=" negli header (es. Subject)
+function decodeHeaderValue(value) {
+  return value.replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, encoding, text) => {
+    const buffer = encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : decodeQuotedPrintable(text.replace(/_/g, ' '));
+    return decodeCharset(buffer, charset);
+  });
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+
+  for (const line of unfolded.split(/\r?\n/)) {
+    const index = line.indexOf(':');
+    if (index <= 0) continue;
+    const name = line.slice(0, index).trim().toLowerCase();
+    headers[name] = decodeHeaderValue(line.slice(index + 1).trim());
+  }
+
+  return headers;
+}
+
+function headerParam(header, param) {
+  const match = header?.match(new RegExp(`${param}\\s*=\\s*"?([^";]+)"?`, 'i'));
+  return match?.[1];
+}
+
+/**
+ * 📨 Parte MIME (ricorsiva) → { text, html }
+ */
+function parseMimePart(raw) {
+  const separator = raw.match(/\r?\n\r?\n/);
+  const headerBlock = separator ? raw.slice(0, separator.index) : raw;
+  const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+
+  const headers = parseHeaders(headerBlock);
+  const contentType = headers['content-type'] || 'text/plain';
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+
+  if (mimeType.startsWith('multipart/')) {
+    const boundary = headerParam(contentType, 'boundary');
+    const result = { headers, text: '', html: '' };
+    if (!boundary) return result;
+
+    const parts = body.split(`--${boundary}`).slice(1);
+    for (const part of parts) {
+      if (part.startsWith('--')) break; // Fine multipart
+      const parsed = parseMimePart(part.replace(/^\r?\n/, ''));
+      result.text = result.text || parsed.text;
+      result.html = result.html || parsed.html;
+    }
+    return result;
+  }
+
+  const encoding = (headers['content-transfer-encoding'] || '7bit').toLowerCase();
+  const buffer = encoding === 'base64'
+    ? Buffer.from(body.replace(/\s+/g, ''), 'base64')
+    : encoding === 'quoted-printable'
+      ? decodeQuotedPrintable(body)
+      : Buffer.from(body, 'binary');
+  const content = decodeCharset(buffer, headerParam(contentType, 'charset'));
+
+  return {
+    headers,
+    text: mimeType === 'text/plain' ? content : '',
+    html: mimeType === 'text/html' ? content : ''
+  };
+}
+
+/**
+ * 📄 File .eml (fixture / export manuale) → messaggio normalizzato
+ */
+function parseEml(raw) {
+  const { headers, text, html } = parseMimePart(raw.toString('binary'));
+
+  return {
+    from: headers.from || '',
+    subject: headers.subject || '',
+    date: headers.date || '',
+    text,
+    html
+  };
+}
+
+/**
+ * 📬 Payload Gmail API (format: 'full') → messaggio normalizzato.
+ * Scende in tutte le parti annidate, testo e HTML.
+ */
+function parseGmailPayload(payload) {
+  const headerValue = (name) =>
+    payload.headers?.find(h => h.name.toLowerCase() === name)?.value || '';
+
+  let text = '';
+  let html = '';
+
+  const walk = (part) => {
+    if (part.parts) {
+      part.parts.forEach(walk);
+      return;
+    }
+    if (!part.body?.data) return;
+
+    const content = Buffer.from(part.body.data, 'base64url').toString('utf8');
+    if (part.mimeType === 'text/plain' && !text) text = content;
+    if (part.mimeType === 'text/html' && !html) html = content;
+  };
+  walk(payload);
+
+  return {
+    from: headerValue('from'),
+    subject: headerValue('subject'),
+    date: headerValue('date'),
+    text,
+    html
+  };
+}
+
+module.exports = {
+  htmlToText,
+  parseEml,
+  parseGmailPayload
+};
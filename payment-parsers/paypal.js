@@ -0,0 +1,34 @@
+// payment-parsers/paypal.js - Email "Hai ricevuto denaro" di PayPal
+const {
+  findAmount,
+  findUniqueCode,
+  findOrderNumber,
+  findEmail,
+  matchGroup
+} = require('./common');
+
+module.exports = {
+  source: 'paypal',
+  label: 'PayPal',
+  gmailQuery: 'from:(assistenza@paypal.it OR service@paypal.com) subject:"Hai ricevuto denaro"',
+
+  matches({ from, subject }) {
+    return /@paypal\.(it|com)/i.test(from) && /ricevuto denaro|received money/i.test(subject);
+  },
+
+  parse({ body }) {
+    const { amount, currency } = findAmount(body);
+
+    return {
+      amount,
+      currency,
+      customerName: matchGroup(body, /Messaggio da\s+([^<\n:]+)/i) ||
+        matchGroup(body, /^(.+?)\s+ti ha inviato/im),
+      customerEmail: findEmail(body, ['paypal.it', 'paypal.com']),
+      transactionId: matchGroup(body, /(?:Numero transazione|ID transazione|Codice transazione|Transaction ID)\s*:?\s*([A-Z0-9]{10,})/i),
+      reference: matchGroup(body, /(?:Nota|Note|Oggetto)\s*:\s*(.+?)(?:\n|$)/i),
+      orderNumber: findOrderNumber(body),
+      uniqueCode: findUniqueCode(body)
+    };
+  }
+};
@@ -0,0 +1,33 @@
+// payment-parsers/revolut.js - Notifiche "You received" / "Hai ricevuto" di Revolut
+const {
+  findAmount,
+  findUniqueCode,
+  findOrderNumber,
+  findEmail,
+  matchGroup
+} = require('./common');
+
+module.exports = {
+  source: 'revolut',
+  label: 'Revolut',
+  gmailQuery: 'from:no-reply@revolut.com subject:received',
+
+  matches({ from, subject }) {
+    return /@revolut\.com/i.test(from) && /received|ricevuto/i.test(subject);
+  },
+
+  parse({ body }) {
+    const { amount, currency } = findAmount(body);
+
+    return {
+      amount,
+      currency,
+      customerName: matchGroup(body, /\b(?:from|da)[ \t]+([A-ZÀ-Ý][\wÀ-ÿ'’-]*(?:[ \t]+[A-ZÀ-Ý][\wÀ-ÿ'’-]*)+)/),
+      customerEmail: findEmail(body, ['revolut.com']),
+      transactionId: matchGroup(body, /(?:Transaction ID|ID transazione)\s*:?\s*([\w-]{8,})/i),
+      reference: matchGroup(body, /(?:Reference|Riferimento|Note|Nota)\s*:\s*(.+?)(?:\n|$)/i),
+      orderNumber: findOrderNumber(body),
+      uniqueCode: findUniqueCode(body)
+    };
+  }
+};
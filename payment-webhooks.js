@@ -0,0 +1,295 @@
+// payment-webhooks.js - Webhook di pagamento firmati (PayPal, Revolut, ...)
+//
+// Firma: header "X-Webhook-Signature: t=<unix secondi>,v1=<hex>", dove v1 è
+// HMAC-SHA256(secret, "<t>.<body grezzo>"). Più v1 ammessi (rotazione secret).
+// Replay: t deve essere entro WEBHOOK_TOLERANCE_SECONDS e ogni evento viene
+// salvato in WebhookEvent (provider + eventId unici), quindi processato una volta.
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+const { processIncomingPayment } = require('./order-service');
+const { parseAmount, findUniqueCode, findOrderNumber, matchGroup } = require('./payment-parsers/common');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Evento rimasto "received" (processo morto a metà): il retry lo riprende dopo
+const STALE_CLAIM_MINUTES = 10;
+const MINUTE = 60 * 1000;
+
+// ==================================
+// PROVIDER
+// ==================================
+// - secretEnv: variabile con il secret condiviso
+// - eventId(payload): ID evento per l'idempotenza
+// - eventType(payload)
+// - toPaymentData(payload): paymentData come i parser email, null = evento da ignorare
+
+const WEBHOOK_PROVIDERS = {
+  paypal: {
+    secretEnv: 'WEBHOOK_SECRET_PAYPAL',
+    eventId: (payload) => payload.id,
+    eventType: (payload) => payload.event_type,
+    toPaymentData: (payload) => {
+      if (payload.event_type !== 'PAYMENT.CAPTURE.COMPLETED') return null;
+
+      const resource = payload.resource || {};
+      const text = [resource.custom_id, resource.invoice_id, resource.note_to_payer, resource.description]
+        .filter(Boolean)
+        .join(' ');
+      const name = resource.payer?.name;
+
+      return {
+        amount: parseAmount(resource.amount?.value),
+        currency: resource.amount?.currency_code || 'EUR',
+        customerName: name ? [name.given_name, name.surname].filter(Boolean).join(' ') : null,
+        customerEmail: resource.payer?.email_address || null,
+        transactionId: resource.id || null,
+        reference: resource.invoice_id || resource.custom_id || null,
+        orderNumber: findOrderNumber(text),
+        uniqueCode: findUniqueCode(text)
+      };
+    }
+  },
+
+  revolut: {
+    // Revolut Business: solo TransactionCreated in entrata e già completate
+    secretEnv: 'WEBHOOK_SECRET_REVOLUT',
+    eventId: (payload) => payload.data?.id && `${payload.event}:${payload.data.id}`,
+    eventType: (payload) => payload.event,
+    toPaymentData: (payload) => {
+      const transaction = payload.data || {};
+      const leg = transaction.legs?.[0];
+
+      if (payload.event !== 'TransactionCreated' || transaction.state !== 'completed') return null;
+      if (!leg || !(leg.amount > 0)) return null;
+
+      const text = [transaction.reference, leg.description].filter(Boolean).join(' ');
+
+      return {
+        amount: leg.amount,
+        currency: leg.currency || 'EUR',
+        customerName: matchGroup(leg.description || '', /(?:Payment|Money) from[ \t]+(.+)/i),
+        customerEmail: null,
+        transactionId: transaction.id,
+        reference: transaction.reference || null,
+        orderNumber: findOrderNumber(text),
+        uniqueCode: findUniqueCode(text)
+      };
+    }
+  }
+};
+
+// ==================================
+// FIRMA
+// ==================================
+
+function computeSignature(rawBody, secret, timestamp) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+/**
+ * ✍️ Header di firma per un payload (usato da webhook-sign.js e dai test)
+ */
+function signWebhookPayload(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(rawBody, secret, timestamp)}`;
+}
+
+function safeEqualHex(a, b) {
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(b, 'hex');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * 🔐 Verifica firma e finestra temporale. Errore 401 se non valida.
+ */
+function verifyWebhookSignature(rawBody, header, secret, { now = Date.now() } = {}) {
+  const parts = (header || '').split(',').map(part => part.trim().split('='));
+  const timestamp = parseInt(parts.find(([key]) => key === 't')?.[1], 10);
+  const signatures = parts.filter(([key, value]) => key === 'v1' && value).map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) {
+    throw httpError(401, 'Firma webhook mancante', { code: 'INVALID_SIGNATURE' });
+  }
+
+  if (Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw httpError(401, 'Webhook scaduto (timestamp fuori tolleranza)', { code: 'STALE_WEBHOOK' });
+  }
+
+  const expected = computeSignature(rawBody, secret, timestamp);
+  if (!signatures.some(signature => safeEqualHex(signature, expected))) {
+    throw httpError(401, 'Firma webhook non valida', { code: 'INVALID_SIGNATURE' });
+  }
+
+  return timestamp;
+}
+
+// ==================================
+// GESTIONE EVENTO
+// ==================================
+
+/**
+ * 🗃️ Salva l'evento; se esiste già lo riprende solo se era fallito o se è
+ * fermo in "received" da più di STALE_CLAIM_MINUTES (elaborazione interrotta).
+ * Ritorna null se è un duplicato da non rielaborare.
+ */
+async function claimWebhookEvent(prisma, { provider, eventId, eventType, payload, now }) {
+  const claimedAt = new Date(now);
+
+  try {
+    return await prisma.webhookEvent.create({
+      data: { provider, eventId, eventType, payload, claimedAt }
+    });
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const existing = await prisma.webhookEvent.findUnique({
+    where: { provider_eventId: { provider, eventId } }
+  });
+
+  // Il provider ritenta dopo un nostro errore (o dopo un crash): si riprova
+  const claimed = await prisma.webhookEvent.updateMany({
+    where: {
+      id: existing.id,
+      OR: [
+        { status: 'failed' },
+        { status: 'received', claimedAt: { lt: new Date(now - STALE_CLAIM_MINUTES * MINUTE) } }
+      ]
+    },
+    data: { status: 'received', error: null, claimedAt }
+  });
+
+  return claimed.count > 0 ? existing : null;
+}
+
+/**
+ * ♻️ Un tentativo precedente ha abbinato il pagamento ma non è riuscito a
+ * registrarlo: il log fallito si chiude (lo sostituisce questo tentativo)
+ * e libera externalId (il pagamento non era stato registrato: log e
+ * pagamento sono salvati insieme).
+ */
+async function releaseFailedPaymentLog(prisma, externalId, now) {
+  await prisma.paymentLog.updateMany({
+    where: { externalId, status: 'matched_but_update_failed', resolution: null },
+    data: {
+      externalId: null,
+      status: 'dismissed',
+      resolution: 'dismissed',
+      resolutionNote: 'Ripreso dal retry del webhook',
+      resolvedBy: 'webhook',
+      resolvedAt: new Date(now)
+    }
+  });
+}
+
+/**
+ * 📬 Webhook di pagamento: firma → evento idempotente → stesso abbinamento
+ * e passaggio a PAID del gmail parser (processIncomingPayment).
+ * Ritorna { status, duplicate? }
+ */
+async function handlePaymentWebhook(prisma, { provider, rawBody, signature, now = Date.now() }) {
+  const handler = WEBHOOK_PROVIDERS[provider];
+  if (!handler) {
+    throw httpError(404, 'Provider webhook sconosciuto');
+  }
+
+  const secret = process.env[handler.secretEnv];
+  if (!secret) {
+    throw httpError(503, 'Webhook non configurato');
+  }
+
+  verifyWebhookSignature(rawBody, signature, secret, { now });
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch {
+    throw httpError(400, 'Payload webhook non valido');
+  }
+
+  const eventId = handler.eventId(payload);
+  if (!eventId) {
+    throw httpError(400, 'ID evento mancante');
+  }
+
+  const event = await claimWebhookEvent(prisma, {
+    provider,
+    eventId,
+    eventType: handler.eventType(payload) || null,
+    payload,
+    now
+  });
+
+  if (!event) {
+    return { status: 'duplicate', duplicate: true };
+  }
+
+  const finish = (status, result) => prisma.webhookEvent.update({
+    where: { id: event.id },
+    data: { status, result, processedAt: new Date() }
+  });
+
+  try {
+    const paymentData = handler.toPaymentData(payload);
+    if (!paymentData || !paymentData.amount) {
+      await finish('ignored');
+      return { status: 'ignored' };
+    }
+
+    // Stesso pagamento notificato da più eventi (es. retry con ID diverso, anche
+    // in contemporanea): lo blocca il vincolo unico su externalId del PaymentLog,
+    // salvato nella stessa transazione del pagamento (processIncomingPayment)
+    const externalId = paymentData.transactionId ? `${provider}:${paymentData.transactionId}` : null;
+    if (externalId) {
+      await releaseFailedPaymentLog(prisma, externalId, now);
+    }
+
+    const result = await processIncomingPayment(prisma, paymentData, {
+      source: `webhook_${provider}`,
+      actor: 'webhook',
+      paymentId: paymentData.transactionId ? `${provider.toUpperCase()}-${paymentData.transactionId}` : undefined,
+      externalId,
+      rawData: { eventId, eventType: event.eventType },
+      referenceDate: new Date(now)
+    });
+
+    // Abbinato ma non registrato: errore → evento "failed" e 500, il provider ritenta
+    if (result.status === 'matched_but_update_failed') {
+      throw new Error(`Pagamento abbinato all'ordine ${result.order.id} ma non registrato: ${result.error.message}`);
+    }
+
+    if (result.status === 'duplicate_payment') {
+      await finish('processed', { status: 'duplicate_payment' });
+      return { status: 'duplicate_payment', duplicate: true };
+    }
+
+    await finish('processed', {
+      status: result.status,
+      outcome: result.outcome || null,
+      orderNumber: result.order?.orderNumber || null
+    });
+
+    return { status: result.status, outcome: result.outcome };
+  } catch (error) {
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'failed', error: error.message, processedAt: new Date() }
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  WEBHOOK_PROVIDERS,
+  WEBHOOK_TOLERANCE_SECONDS,
+  STALE_CLAIM_MINUTES,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  handlePaymentWebhook
+};
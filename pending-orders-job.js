@@ -0,0 +1,168 @@
+// pending-orders-job.js - Promemoria e scadenza ordini non pagati o non saldati
+//
+// PENDING: promemoria, poi FAILED (lo stock torna al magazzino).
+// PARTIALLY_PAID: promemoria del saldo, poi in verifica: l'acconto ricevuto va
+// restituito a mano (rimborso → REFUNDED libera lo stock), quindi niente FAILED.
+const { changeOrderStatus } = require('./order-lifecycle');
+const { ORDER_EVENT_TYPES, recordOrderEvent } = require('./order-events');
+const { enqueueEmail, deliverEmailJob } = require('./email-queue');
+
+// Default se le config non sono presenti (modificabili da /api/admin/config)
+const DEFAULT_REMINDER_HOURS = 24;
+const DEFAULT_EXPIRY_HOURS = 72;
+
+const HOUR = 60 * 60 * 1000;
+
+async function getJobConfig(prisma) {
+  const reminderConfig = await prisma.config.findUnique({
+    where: { key: 'pending_order_reminder_hours' }
+  });
+  const expiryConfig = await prisma.config.findUnique({
+    where: { key: 'pending_order_expiry_hours' }
+  });
+
+  return {
+    reminderHours: reminderConfig?.value?.hours ?? DEFAULT_REMINDER_HOURS,
+    expiryHours: expiryConfig?.value?.hours ?? DEFAULT_EXPIRY_HOURS
+  };
+}
+
+/**
+ * ⏰ Invia il promemoria agli ordini PENDING o PARTIALLY_PAID in attesa da più di reminderHours
+ * (da pendingSince: un ordine riaperto riparte da zero)
+ */
+async function sendPaymentReminders(prisma, { reminderHours, expiryHours }) {
+  const now = Date.now();
+
+  const orders = await prisma.order.findMany({
+    where: {
+      paymentStatus: { in: ['PENDING', 'PARTIALLY_PAID'] },
+      paymentReminderSentAt: null,
+      pendingSince: {
+        lte: new Date(now - reminderHours * HOUR),
+        gt: new Date(now - expiryHours * HOUR) // Quelli già scaduti vengono annullati (o messi in verifica) e basta
+      }
+    }
+  });
+
+  let sent = 0;
+  for (const order of orders) {
+    try {
+      const expiresAt = new Date(order.pendingSince.getTime() + expiryHours * HOUR);
+
+      // Segno il promemoria e lo metto in coda insieme: se l'invio fallisce
+      // lo ritenta la coda, senza rimandarlo al giro successivo del job
+      const job = await prisma.$transaction(async (tx) => {
+        await tx.order.update({
+          where: { id: order.id },
+          data: { paymentReminderSentAt: new Date() }
+        });
+
+        return enqueueEmail(tx, {
+          template: 'payment_reminder',
+          orderId: order.id,
+          payload: { expiresAt }
+        });
+      });
+
+      await deliverEmailJob(prisma, job.id);
+
+      sent++;
+    } catch (error) {
+      console.error(`❌ Promemoria ordine #${order.orderNumber} fallito:`, error.message);
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * ⌛ Porta a FAILED gli ordini PENDING in attesa da più di expiryHours
+ * (il ciclo di vita restituisce stock, codici promo e usageCount)
+ */
+async function expirePendingOrders(prisma, { expiryHours }) {
+  const orders = await prisma.order.findMany({
+    where: {
+      paymentStatus: 'PENDING',
+      pendingSince: { lte: new Date(Date.now() - expiryHours * HOUR) }
+    },
+    select: { id: true, orderNumber: true }
+  });
+
+  let expired = 0;
+  for (const order of orders) {
+    try {
+      await changeOrderStatus(prisma, order.id, 'FAILED', {
+        actor: 'system',
+        eventData: { reason: 'payment_timeout', expiryHours }
+      });
+      console.log(`⌛ Ordine #${order.orderNumber} scaduto (non pagato)`);
+      expired++;
+    } catch (error) {
+      console.error(`❌ Scadenza ordine #${order.orderNumber} fallita:`, error.message);
+    }
+  }
+
+  return expired;
+}
+
+/**
+ * 🔎 Mette in verifica (una volta sola) gli ordini PARTIALLY_PAID in attesa
+ * da più di expiryHours: lo stock resta impegnato finché l'admin non rimborsa
+ * l'acconto o non arriva il saldo
+ */
+async function flagExpiredPartialPayments(prisma, { expiryHours }) {
+  const orders = await prisma.order.findMany({
+    where: {
+      paymentStatus: 'PARTIALLY_PAID',
+      pendingSince: { lte: new Date(Date.now() - expiryHours * HOUR) },
+      events: {
+        none: { type: ORDER_EVENT_TYPES.REVIEW_FLAGGED, data: { path: ['reason'], equals: 'payment_timeout' } }
+      }
+    },
+    select: { id: true, orderNumber: true, total: true, amountReceived: true }
+  });
+
+  let flagged = 0;
+  for (const order of orders) {
+    try {
+      await prisma.$transaction(async (tx) => {
+        await tx.order.update({
+          where: { id: order.id },
+          data: {
+            needsReview: true,
+            reviewReason: `Saldo non ricevuto: incassati €${order.amountReceived.toFixed(2)} su €${order.total.toFixed(2)}, rimborsare l'acconto per liberare il magazzino`
+          }
+        });
+
+        await recordOrderEvent(tx, {
+          orderId: order.id,
+          type: ORDER_EVENT_TYPES.REVIEW_FLAGGED,
+          actor: 'system',
+          data: { reason: 'payment_timeout', amountReceived: order.amountReceived, expiryHours }
+        });
+      });
+      console.log(`⌛ Ordine #${order.orderNumber} non saldato: messo in verifica`);
+      flagged++;
+    } catch (error) {
+      console.error(`❌ Verifica ordine #${order.orderNumber} fallita:`, error.message);
+    }
+  }
+
+  return flagged;
+}
+
+async function runPendingOrdersJob(prisma) {
+  const config = await getJobConfig(prisma);
+  const reminded = await sendPaymentReminders(prisma, config);
+  const expired = await expirePendingOrders(prisma, config);
+  const flagged = await flagExpiredPartialPayments(prisma, config);
+
+  if (reminded > 0 || expired > 0 || flagged > 0) {
+    console.log(`✅ Job ordini non pagati: ${reminded} promemoria, ${expired} scaduti, ${flagged} in verifica`);
+  }
+
+  return { reminded, expired, flagged };
+}
+
+module.exports = { runPendingOrdersJob };
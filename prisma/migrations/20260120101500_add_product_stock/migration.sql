@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "ProductStock" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "color" TEXT NOT NULL,
+    "size" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProductStock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProductStock_productId_idx" ON "ProductStock"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductStock_productId_color_size_key" ON "ProductStock"("productId", "color", "size");
+
+-- AddForeignKey
+ALTER TABLE "ProductStock" ADD CONSTRAINT "ProductStock_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
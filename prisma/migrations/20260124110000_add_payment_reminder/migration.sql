@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "paymentReminderSentAt" TIMESTAMP(3);
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "shippingAddress" JSONB,
+ADD COLUMN     "shippingCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "shippingMethod" TEXT;
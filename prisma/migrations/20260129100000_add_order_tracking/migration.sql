@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "trackingNumber" TEXT,
+ADD COLUMN     "trackingUrl" TEXT;
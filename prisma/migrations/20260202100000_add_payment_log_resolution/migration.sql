@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "PaymentLog" ADD COLUMN     "resolution" TEXT,
+ADD COLUMN     "resolutionNote" TEXT,
+ADD COLUMN     "resolvedAt" TIMESTAMP(3),
+ADD COLUMN     "resolvedBy" TEXT;
+
+-- CreateIndex
+CREATE INDEX "PaymentLog_status_idx" ON "PaymentLog"("status");
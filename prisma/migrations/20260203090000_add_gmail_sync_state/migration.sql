@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "ProcessedGmailMessage" (
+    "id" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "receivedAt" TIMESTAMP(3) NOT NULL,
+    "processedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProcessedGmailMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "GmailSyncState" (
+    "source" TEXT NOT NULL,
+    "lastReceivedAt" TIMESTAMP(3) NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GmailSyncState_pkey" PRIMARY KEY ("source")
+);
+
+-- CreateIndex
+CREATE INDEX "ProcessedGmailMessage_source_receivedAt_idx" ON "ProcessedGmailMessage"("source", "receivedAt");
@@ -0,0 +1,7 @@
+-- AlterEnum
+ALTER TYPE "PaymentStatus" ADD VALUE 'PARTIALLY_PAID';
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "amountReceived" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "needsReview" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "reviewReason" TEXT;
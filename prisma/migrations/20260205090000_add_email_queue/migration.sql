@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "EmailJob" (
+    "id" TEXT NOT NULL,
+    "template" TEXT NOT NULL,
+    "orderId" TEXT,
+    "payload" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "runAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EmailJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "EmailJob_status_runAt_idx" ON "EmailJob"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "EmailJob_orderId_idx" ON "EmailJob"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "EmailJob" ADD CONSTRAINT "EmailJob_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "PaymentLog" ADD COLUMN     "externalId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentLog_externalId_key" ON "PaymentLog"("externalId");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "discountAllocations" JSONB,
+ADD COLUMN     "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "pendingSince" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Ordini esistenti: in attesa dalla creazione
+UPDATE "Order" SET "pendingSince" = "createdAt";
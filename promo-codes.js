@@ -0,0 +1,148 @@
+// promo-codes.js - Validazione e calcolo codici promozionali (con stacking)
+const { httpError } = require('./errors');
+
+/**
+ * ✂️ "promo10, SCONTO5" → ['promo10', 'SCONTO5']
+ */
+function parsePromoCodes(input) {
+  if (!input) return [];
+  return input.split(',').map(c => c.trim()).filter(c => c.length > 0);
+}
+
+function invalidCode(status, message) {
+  return httpError(status, message, { code: 'INVALID_PROMO_CODE' });
+}
+
+// "promo10 " → "PROMO10" (i codici sono salvati in maiuscolo)
+function normalizeCode(code) {
+  return code.toUpperCase().trim();
+}
+
+/**
+ * 🔎 Carica e valida un singolo codice per il cliente: al primo problema
+ * lancia un errore con status HTTP e messaggio per il cliente.
+ */
+async function loadPromoCode(db, singleCode, { customerEmail }) {
+  const promoCode = await db.promoCode.findUnique({
+    where: { code: normalizeCode(singleCode) },
+    include: {
+      usedBy: {
+        where: { customerEmail }
+      }
+    }
+  });
+
+  if (!promoCode) {
+    throw invalidCode(404, `Codice '${singleCode}' non valido`);
+  }
+
+  if (!promoCode.isActive) {
+    throw invalidCode(400, `Codice '${singleCode}' non più attivo`);
+  }
+
+  if (promoCode.expiresAt && new Date(promoCode.expiresAt) < new Date()) {
+    throw invalidCode(400, `Codice '${singleCode}' scaduto`);
+  }
+
+  if (promoCode.usedBy.length >= promoCode.maxUsesPerUser) {
+    throw invalidCode(400, `Codice '${singleCode}' già utilizzato`);
+  }
+
+  // Check email limitate
+  if (promoCode.allowedEmails && promoCode.allowedEmails.length > 0) {
+    const isAllowed = promoCode.allowedEmails.some(
+      allowedEmail => allowedEmail.toLowerCase().trim() === customerEmail.toLowerCase().trim()
+    );
+
+    if (!isAllowed) {
+      throw invalidCode(400, `Codice '${singleCode}' non valido per questo utente`);
+    }
+  }
+
+  return promoCode;
+}
+
+/**
+ * ✂️ Codici inseriti → codici normalizzati, senza doppioni
+ * (es: "TEST,TEST" non è ancora salvato tra gli usi, quindi va controllato qui)
+ */
+function normalizePromoCodes(codes) {
+  const normalized = [];
+
+  for (const singleCode of codes) {
+    if (normalized.includes(normalizeCode(singleCode))) {
+      throw invalidCode(400, `Codice '${singleCode}' inserito più volte`);
+    }
+    normalized.push(normalizeCode(singleCode));
+  }
+
+  return normalized;
+}
+
+/**
+ * 💶 Applica i codici già validati sull'importo residuo (compounding)
+ */
+function applyPromoCodes(promoCodes, amount) {
+  let currentAmount = amount;
+  let totalDiscount = 0;
+  const appliedCodes = [];
+  const messages = [];
+
+  for (const promoCode of promoCodes) {
+    let discount = 0;
+    if (promoCode.discountType === 'PERCENTAGE') {
+      discount = currentAmount * (promoCode.discountValue / 100);
+    } else {
+      discount = promoCode.discountValue;
+    }
+
+    // Non può superare il residuo
+    discount = Math.min(discount, currentAmount);
+
+    currentAmount -= discount;
+    totalDiscount += discount;
+
+    appliedCodes.push({
+      id: promoCode.id,
+      code: promoCode.code,
+      discountType: promoCode.discountType,
+      discountValue: promoCode.discountValue,
+      appliedDiscount: discount
+    });
+
+    messages.push(promoCode.discountType === 'PERCENTAGE'
+      ? `- ${promoCode.code}: ${promoCode.discountValue}%`
+      : `- ${promoCode.code}: €${promoCode.discountValue}`
+    );
+  }
+
+  return {
+    appliedCodes,
+    totalDiscount,
+    finalAmount: currentAmount,
+    messages
+  };
+}
+
+/**
+ * 🎟️ Valida i codici e calcola lo sconto su un importo già noto.
+ * Il checkout usa la pipeline completa (promotions-engine.js); questa resta
+ * per /api/validate-promo chiamata senza carrello.
+ */
+async function validatePromoCodes(db, { codes, customerEmail, amount }) {
+  const promoCodes = [];
+  for (const code of normalizePromoCodes(codes)) {
+    promoCodes.push(await loadPromoCode(db, code, { customerEmail }));
+  }
+
+  return applyPromoCodes(promoCodes, amount);
+}
+
+module.exports = {
+  parsePromoCodes,
+  normalizeCode,
+  normalizePromoCodes,
+  loadPromoCode,
+  applyPromoCodes,
+  validatePromoCodes
+};
@@ -0,0 +1,217 @@
+// promotion-simulator.js - Anteprima di una promozione non ancora salvata
+//
+// La bozza viene aggiunta alle promo attive e calculatePromotions gira due volte
+// per ogni carrello (senza e con la bozza): la differenza dice quanto costa,
+// quali promo esistenti scalza e con quali si cumula.
+const { httpError } = require('./errors');
+const { buildCart } = require('./cart-pricing');
+const { resolveShippingMethod, calculateShippingCost } = require('./shipping');
+const { parsePromoCodes, normalizeCode } = require('./promo-codes');
+const { calculatePromotions, getActivePromotions } = require('./promotions-engine');
+const { validatePromotion } = require('./promotion-validation');
+
+// Ordini storici considerati (esclusi annullati e falliti)
+const SIMULATION_ORDER_STATUSES = ['PENDING', 'PARTIALLY_PAID', 'PAID', 'ORDERED', 'DELIVERED', 'REFUNDED'];
+
+// Massimo ordini storici per simulazione
+const MAX_SIMULATED_ORDERS = 500;
+
+/**
+ * 📝 Bozza dal body admin → promo nel formato del motore.
+ * Con l'id di una promo esistente la simula modificata (la sostituisce).
+ */
+async function buildDraftPromotion(db, draft) {
+  if (!draft || !draft.type) {
+    throw httpError(400, 'Promozione da simulare mancante (serve almeno il tipo)');
+  }
+
+  const giftProduct = draft.giftProductId
+    ? await db.product.findUnique({ where: { id: draft.giftProductId } })
+    : null;
+
+  const promotion = {
+    id: draft.id || 'draft',
+    name: draft.name || 'Bozza',
+    type: draft.type,
+    priority: parseInt(draft.priority) || 0,
+    discountValue: draft.discountValue ? parseFloat(draft.discountValue) : null,
+    discountTiers: draft.discountTiers || null,
+    conditions: draft.conditions || {},
+    targetScope: draft.targetScope || null,
+    bogoConfig: draft.bogoConfig || null,
+    giftProductId: draft.giftProductId || null,
+    giftProduct,
+    maxUsesTotal: null, // Limiti di utilizzo ignorati in simulazione
+    maxUsesPerUser: null,
+    usageCount: 0,
+    combinesWith: draft.combinesWith || []
+  };
+
+  // Stesso schema del salvataggio: una bozza malformata romperebbe il calcolo
+  validatePromotion(promotion);
+
+  return promotion;
+}
+
+/**
+ * 🛒 Carrelli di prova: { items, codes?, shippingMethod? } come al checkout
+ */
+async function loadSampleCarts(db, carts) {
+  const result = [];
+  for (const [index, sample] of carts.entries()) {
+    if (!sample.items?.length) {
+      throw httpError(400, `Carrello ${index + 1} senza articoli`);
+    }
+
+    const { cart } = await buildCart(db, sample.items);
+    const method = await resolveShippingMethod(db, sample.shippingMethod);
+    cart.shippingCost = calculateShippingCost(method, cart);
+    cart.codes = parsePromoCodes(sample.codes).map(normalizeCode);
+
+    result.push({ label: sample.label || `Carrello ${index + 1}`, cart });
+  }
+  return { carts: result, truncated: false };
+}
+
+/**
+ * 📦 Ordini storici nel periodo, ricostruiti come carrelli (prezzi dell'epoca)
+ */
+async function loadOrderCarts(db, { from, to }) {
+  const fromDate = new Date(from);
+  const toDate = to ? new Date(to) : new Date();
+  if (isNaN(fromDate) || isNaN(toDate)) {
+    throw httpError(400, 'Periodo non valido (from/to)');
+  }
+
+  const orders = await db.order.findMany({
+    where: {
+      createdAt: { gte: fromDate, lte: toDate },
+      paymentStatus: { in: SIMULATION_ORDER_STATUSES }
+    },
+    include: {
+      items: {
+        include: { product: true }
+      }
+    },
+    orderBy: { createdAt: 'desc' },
+    take: MAX_SIMULATED_ORDERS + 1
+  });
+
+  const carts = orders.slice(0, MAX_SIMULATED_ORDERS).map(order => ({
+    label: `#${order.orderNumber.toString().padStart(4, '0')}`,
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    cart: {
+      items: order.items,
+      subtotal: order.subtotal,
+      totalItems: order.items.reduce((sum, item) => sum + item.quantity, 0),
+      shippingCost: order.shippingCost || 0,
+      codes: parsePromoCodes(order.promoCode).map(normalizeCode)
+    }
+  }));
+
+  return { carts, truncated: orders.length > MAX_SIMULATED_ORDERS };
+}
+
+const summarize = (result) => ({
+  totalDiscount: result.totalDiscount,
+  appliedPromotions: result.appliedPromotions.map(p => ({ id: p.id, name: p.name, discount: p.discount }))
+});
+
+// Conteggio per promo: { [id]: { name, count } }
+function countPromotion(counter, promo) {
+  counter[promo.id] = counter[promo.id] || { name: promo.name, count: 0 };
+  counter[promo.id].count++;
+}
+
+/**
+ * 🧪 Simula una bozza su carrelli di prova (carts) o ordini storici (from/to).
+ * I limiti per utente non vengono controllati (nessuna email).
+ */
+async function simulatePromotion(db, { promotion, carts, from, to, mode }) {
+  const draft = await buildDraftPromotion(db, promotion);
+
+  let source;
+  let loaded;
+  if (carts?.length) {
+    source = 'carts';
+    loaded = await loadSampleCarts(db, carts);
+  } else if (from) {
+    source = 'orders';
+    loaded = await loadOrderCarts(db, { from, to });
+  } else {
+    throw httpError(400, 'Indica dei carrelli di prova (carts) o un periodo di ordini (from/to)');
+  }
+
+  const activePromos = (await getActivePromotions(db)).filter(p => p.id !== draft.id);
+
+  // Bozza nuova: nessuna promo esistente la elenca ancora, quindi si considerano
+  // reciproche quelle in draft.combinesWith (come andranno configurate)
+  const reciprocated = promotion.id
+    ? activePromos
+    : activePromos.map(p => (draft.combinesWith.includes(p.id)
+      ? { ...p, combinesWith: [...p.combinesWith, draft.id] }
+      : p));
+  const withDraft = [...reciprocated, draft].sort((a, b) => b.priority - a.priority);
+
+  const results = [];
+  const displaced = {};
+  const stackedWith = {};
+  let triggered = 0;
+  let draftDiscount = 0;
+  let discountBefore = 0;
+  let discountAfter = 0;
+
+  for (const { cart, label, orderId, orderNumber } of loaded.carts) {
+    const before = await calculatePromotions(cart, null, db, { mode, promotions: activePromos });
+    const after = await calculatePromotions(cart, null, db, { mode, promotions: withDraft });
+
+    const draftApplied = after.appliedPromotions.find(p => p.id === draft.id);
+    const afterIds = after.appliedPromotions.map(p => p.id);
+    const cartDisplaced = before.appliedPromotions.filter(p => !afterIds.includes(p.id));
+    const cartStacked = draftApplied ? after.appliedPromotions.filter(p => p.id !== draft.id) : [];
+
+    if (draftApplied) triggered++;
+    draftDiscount += draftApplied?.discount || 0;
+    discountBefore += before.totalDiscount;
+    discountAfter += after.totalDiscount;
+    cartDisplaced.forEach(p => countPromotion(displaced, p));
+    cartStacked.forEach(p => countPromotion(stackedWith, p));
+
+    results.push({
+      label,
+      orderId,
+      orderNumber,
+      subtotal: cart.subtotal,
+      triggered: Boolean(draftApplied),
+      draftDiscount: draftApplied?.discount || 0,
+      before: summarize(before),
+      after: summarize(after),
+      displaced: cartDisplaced.map(p => ({ id: p.id, name: p.name })),
+      stackedWith: cartStacked.map(p => ({ id: p.id, name: p.name }))
+    });
+  }
+
+  return {
+    draft: { id: draft.id, name: draft.name, type: draft.type, priority: draft.priority },
+    source,
+    cartsEvaluated: results.length,
+    truncated: loaded.truncated,
+    summary: {
+      triggered,
+      draftDiscount,
+      discountBefore,
+      discountAfter,
+      additionalCost: discountAfter - discountBefore, // Sconto in più rispetto a oggi
+      displaced,
+      stackedWith
+    },
+    results
+  };
+}
+
+module.exports = {
+  SIMULATION_ORDER_STATUSES,
+  MAX_SIMULATED_ORDERS,
+  simulatePromotion
+};
@@ -0,0 +1,452 @@
+// promotion-validation.js - Schema delle promozioni per tipo e lint della configurazione
+//
+// conditions, targetScope, discountTiers e bogoConfig sono JSON liberi nel DB:
+// un refuso (es. sameSize invece di sameTaglia) non dà errori ma rompe la promo
+// al checkout. validatePromotion li controlla al salvataggio, lintPromotions
+// controlla l'insieme delle promo attive (conflitti, cumuli, promo mai applicabili).
+const { httpError } = require('./errors');
+const { getRequiredCodes, matchesScope } = require('./promotions-engine');
+
+const PROMOTION_TYPES = ['PERCENTAGE', 'FIXED', 'PRICE_FIXED', 'FREE_SHIPPING', 'FREE_GIFT', 'BOGO', 'TIERED'];
+
+const CONDITION_KEYS = ['minQuantity', 'maxQuantity', 'minCartValue', 'maxCartValue', 'categories', 'products', 'attributes', 'requiresCode'];
+const ATTRIBUTE_KEYS = ['mustContainAll', 'sameTaglia', 'sameColor', 'sameProduct'];
+const SCOPE_KEYS = ['products', 'categories', 'colors', 'sizes', 'excludeProducts'];
+const BOGO_KEYS = ['buy', 'get', 'discountOnGet', 'applyOnCheapest', 'buyScope', 'getScope'];
+const TIER_KEYS = ['threshold', 'discount', 'type'];
+const CUMULATIVE_TIER_KEYS = ['mode', 'perUnit', 'discount', 'type', 'maxDiscount'];
+const TIER_DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED'];
+
+// Refusi frequenti che la distanza di edit non trova
+const KEY_SUGGESTIONS = {
+  sameSize: 'sameTaglia',
+  sameColour: 'sameColor',
+  size: 'sizes',
+  color: 'colors',
+  category: 'categories',
+  product: 'products',
+  excludedProducts: 'excludeProducts'
+};
+
+// ==================================
+// VALIDAZIONE (create/update)
+// ==================================
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isStringArray = (value) => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestKey(key, allowed) {
+  if (allowed.includes(KEY_SUGGESTIONS[key])) return KEY_SUGGESTIONS[key];
+  return allowed.find(candidate => editDistance(key.toLowerCase(), candidate.toLowerCase()) <= 2);
+}
+
+/**
+ * 🧰 Raccoglie gli errori per campo: [{ field, message }]
+ */
+function createChecker() {
+  const errors = [];
+
+  const add = (field, message) => errors.push({ field, message });
+
+  const keys = (field, value, allowed) => {
+    if (!isObject(value)) {
+      add(field, 'Deve essere un oggetto');
+      return false;
+    }
+    for (const key of Object.keys(value)) {
+      if (!allowed.includes(key)) {
+        const suggestion = suggestKey(key, allowed);
+        add(`${field}.${key}`, `Campo sconosciuto${suggestion ? ` (forse '${suggestion}'?)` : ''}`);
+      }
+    }
+    return true;
+  };
+
+  const number = (field, value, { min, max, integer = false, exclusiveMin = false } = {}) => {
+    if (!isNumber(value) || (integer && !Number.isInteger(value))) {
+      add(field, integer ? 'Deve essere un numero intero' : 'Deve essere un numero');
+      return;
+    }
+    if (min !== undefined && (exclusiveMin ? value <= min : value < min)) {
+      add(field, `Deve essere ${exclusiveMin ? 'maggiore di' : 'almeno'} ${min}`);
+    }
+    if (max !== undefined && value > max) {
+      add(field, `Non può superare ${max}`);
+    }
+  };
+
+  const optionalNumber = (field, value, options) => {
+    if (value !== undefined && value !== null) number(field, value, options);
+  };
+
+  const stringArray = (field, value) => {
+    if (value !== undefined && !isStringArray(value)) {
+      add(field, 'Deve essere una lista di stringhe');
+    }
+  };
+
+  const boolean = (field, value) => {
+    if (value !== undefined && typeof value !== 'boolean') {
+      add(field, 'Deve essere true o false');
+    }
+  };
+
+  const scope = (field, value) => {
+    if (value === undefined || value === null) return;
+    if (!keys(field, value, SCOPE_KEYS)) return;
+    SCOPE_KEYS.forEach(key => stringArray(`${field}.${key}`, value[key]));
+  };
+
+  return { errors, add, keys, number, optionalNumber, stringArray, boolean, scope };
+}
+
+function checkConditionFields(check, conditions) {
+  if (!check.keys('conditions', conditions, CONDITION_KEYS)) return;
+
+  ['minQuantity', 'maxQuantity'].forEach(key =>
+    check.optionalNumber(`conditions.${key}`, conditions[key], { min: 0, integer: true }));
+  ['minCartValue', 'maxCartValue'].forEach(key =>
+    check.optionalNumber(`conditions.${key}`, conditions[key], { min: 0 }));
+  check.stringArray('conditions.categories', conditions.categories);
+  check.stringArray('conditions.products', conditions.products);
+
+  if (isNumber(conditions.minQuantity) && isNumber(conditions.maxQuantity) && conditions.minQuantity > conditions.maxQuantity) {
+    check.add('conditions.maxQuantity', 'Deve essere almeno minQuantity');
+  }
+  if (isNumber(conditions.minCartValue) && isNumber(conditions.maxCartValue) && conditions.minCartValue > conditions.maxCartValue) {
+    check.add('conditions.maxCartValue', 'Deve essere almeno minCartValue');
+  }
+
+  const { requiresCode } = conditions;
+  if (requiresCode !== undefined && typeof requiresCode !== 'string' && !isStringArray(requiresCode)) {
+    check.add('conditions.requiresCode', 'Deve essere un codice o una lista di codici');
+  }
+
+  if (conditions.attributes !== undefined && check.keys('conditions.attributes', conditions.attributes, ATTRIBUTE_KEYS)) {
+    ATTRIBUTE_KEYS.forEach(key => check.boolean(`conditions.attributes.${key}`, conditions.attributes[key]));
+  }
+}
+
+function checkTiers(check, tiers) {
+  if (isObject(tiers)) {
+    // Cumulativo: ogni perUnit pezzi X di sconto
+    if (!check.keys('discountTiers', tiers, CUMULATIVE_TIER_KEYS)) return;
+    if (tiers.mode !== 'cumulative') {
+      check.add('discountTiers.mode', "Un oggetto è ammesso solo con mode 'cumulative' (altrimenti una lista di soglie)");
+    }
+    check.number('discountTiers.perUnit', tiers.perUnit, { min: 1, integer: true });
+    check.number('discountTiers.discount', tiers.discount, { min: 0, exclusiveMin: true });
+    if (!TIER_DISCOUNT_TYPES.includes(tiers.type)) {
+      check.add('discountTiers.type', `Deve essere ${TIER_DISCOUNT_TYPES.join(' o ')}`);
+    }
+    check.optionalNumber('discountTiers.maxDiscount', tiers.maxDiscount, { min: 0, exclusiveMin: true });
+    return;
+  }
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    check.add('discountTiers', 'Serve una lista di soglie [{ threshold, discount, type }] o un oggetto cumulativo');
+    return;
+  }
+
+  tiers.forEach((tier, i) => {
+    const field = `discountTiers[${i}]`;
+    if (!check.keys(field, tier, TIER_KEYS)) return;
+    check.number(`${field}.threshold`, tier.threshold, { min: 1, integer: true });
+    check.number(`${field}.discount`, tier.discount, { min: 0, exclusiveMin: true, max: tier.type === 'PERCENTAGE' ? 100 : undefined });
+    if (!TIER_DISCOUNT_TYPES.includes(tier.type)) {
+      check.add(`${field}.type`, `Deve essere ${TIER_DISCOUNT_TYPES.join(' o ')}`);
+    }
+  });
+
+  const thresholds = tiers.map(t => t?.threshold);
+  if (new Set(thresholds).size !== thresholds.length) {
+    check.add('discountTiers', 'Soglie duplicate');
+  }
+}
+
+function checkBogo(check, config) {
+  if (!check.keys('bogoConfig', config, BOGO_KEYS)) return;
+  check.number('bogoConfig.buy', config.buy, { min: 0, integer: true });
+  check.number('bogoConfig.get', config.get, { min: 1, integer: true });
+  check.number('bogoConfig.discountOnGet', config.discountOnGet, { min: 0, exclusiveMin: true, max: 100 });
+  check.boolean('bogoConfig.applyOnCheapest', config.applyOnCheapest);
+  check.scope('bogoConfig.buyScope', config.buyScope);
+  check.scope('bogoConfig.getScope', config.getScope);
+}
+
+// Regole specifiche per tipo
+const TYPE_RULES = {
+  PERCENTAGE: (check, promo) => check.number('discountValue', promo.discountValue, { min: 0, exclusiveMin: true, max: 100 }),
+  FIXED: (check, promo) => check.number('discountValue', promo.discountValue, { min: 0, exclusiveMin: true }),
+  PRICE_FIXED: (check, promo) => check.number('discountValue', promo.discountValue, { min: 0 }),
+  FREE_SHIPPING: () => {},
+  FREE_GIFT: (check, promo) => {
+    if (!promo.giftProductId) check.add('giftProductId', 'Obbligatorio per FREE_GIFT');
+  },
+  BOGO: (check, promo) => checkBogo(check, promo.bogoConfig),
+  TIERED: (check, promo) => checkTiers(check, promo.discountTiers)
+};
+
+/**
+ * ✅ Errori di configurazione di una promo (dati completi, come salvati): [{ field, message }]
+ */
+function getPromotionErrors(promo) {
+  const check = createChecker();
+
+  if (!PROMOTION_TYPES.includes(promo.type)) {
+    check.add('type', `Tipo non valido (ammessi: ${PROMOTION_TYPES.join(', ')})`);
+  } else {
+    TYPE_RULES[promo.type](check, promo);
+  }
+
+  checkConditionFields(check, promo.conditions ?? {});
+  check.scope('targetScope', promo.targetScope ?? undefined);
+
+  if (promo.combinesWith !== undefined && !isStringArray(promo.combinesWith)) {
+    check.add('combinesWith', 'Deve essere una lista di ID promozione');
+  } else if (promo.id && promo.combinesWith?.includes(promo.id)) {
+    check.add('combinesWith', 'Una promozione non può combinarsi con se stessa');
+  }
+
+  if (promo.startDate && promo.endDate && new Date(promo.startDate) > new Date(promo.endDate)) {
+    check.add('endDate', 'Deve essere successiva alla data di inizio');
+  }
+
+  return check.errors;
+}
+
+/**
+ * 🚦 Lancia 400 INVALID_PROMOTION con gli errori per campo in details
+ */
+function validatePromotion(promo) {
+  const errors = getPromotionErrors(promo);
+  if (errors.length > 0) {
+    throw httpError(400, 'Configurazione promozione non valida', { code: 'INVALID_PROMOTION', details: { errors } });
+  }
+}
+
+// ==================================
+// LINT (insieme delle promo attive)
+// ==================================
+
+const canCombine = (a, b) => a.combinesWith.includes(b.id) && b.combinesWith.includes(a.id);
+
+// Riga fittizia per ogni variante di un prodotto, per riusare matchesScope
+function productVariants(product) {
+  const colors = Array.isArray(product.colors) && product.colors.length > 0 ? product.colors : [undefined];
+  const sizes = Array.isArray(product.sizes) && product.sizes.length > 0 ? product.sizes : [undefined];
+  return colors.flatMap(color => sizes.map(size => ({ productId: product.id, product, color, size })));
+}
+
+const matchesProduct = (scope, product) => productVariants(product).some(line => matchesScope(scope, line));
+
+/**
+ * 🎯 Prodotti in vendita su cui la promo sconta: targetScope, altrimenti
+ * prodotti/categorie delle condizioni, altrimenti tutti
+ */
+function targetProductIds(promo, products) {
+  const cond = promo.conditions || {};
+  const scope = promo.targetScope || { products: cond.products, categories: cond.categories };
+  return products.filter(product => matchesProduct(scope, product)).map(product => product.id);
+}
+
+// Le condizioni su prodotti/categorie sono soddisfabili con i prodotti in vendita?
+function conditionsSatisfiable(promo, products) {
+  const cond = promo.conditions || {};
+  if (cond.attributes?.mustContainAll && cond.products?.length > 0) {
+    return cond.products.every(id => products.some(p => p.id === id));
+  }
+  return products.some(product => matchesProduct({ products: cond.products, categories: cond.categories }, product));
+}
+
+/**
+ * 🚫 Motivi per cui una promo attiva non può mai applicarsi
+ */
+function neverTriggerReasons(promo, products, now) {
+  const cond = promo.conditions || {};
+  const reasons = [];
+
+  if (promo.endDate && new Date(promo.endDate) < now) reasons.push('scaduta');
+  if (promo.startDate && promo.endDate && new Date(promo.startDate) > new Date(promo.endDate)) {
+    reasons.push('data di inizio dopo la data di fine');
+  }
+  if (promo.maxUsesTotal && promo.usageCount >= promo.maxUsesTotal) reasons.push('utilizzi esauriti');
+  if (isNumber(cond.minQuantity) && isNumber(cond.maxQuantity) && cond.minQuantity > cond.maxQuantity) {
+    reasons.push('minQuantity maggiore di maxQuantity');
+  }
+  if (isNumber(cond.minCartValue) && isNumber(cond.maxCartValue) && cond.minCartValue > cond.maxCartValue) {
+    reasons.push('minCartValue maggiore di maxCartValue');
+  }
+  if (cond.attributes?.mustContainAll && cond.attributes?.sameProduct && cond.products?.length > 1) {
+    reasons.push('richiede più prodotti diversi ma anche tutti uguali (sameProduct)');
+  }
+  if (promo.type === 'BOGO' && isNumber(cond.maxQuantity) && promo.bogoConfig &&
+      promo.bogoConfig.buy + promo.bogoConfig.get > cond.maxQuantity) {
+    reasons.push('buy + get supera maxQuantity');
+  }
+  if (!conditionsSatisfiable(promo, products)) {
+    reasons.push('nessun prodotto in vendita soddisfa le condizioni su prodotti/categorie');
+  } else if (targetProductIds(promo, products).length === 0) {
+    reasons.push('nessun prodotto in vendita rientra nel targetScope');
+  }
+  if (promo.type === 'FREE_GIFT' && promo.giftProduct && (!promo.giftProduct.isActive || promo.giftProduct.archivedAt)) {
+    reasons.push('prodotto omaggio non più in vendita');
+  }
+
+  return reasons;
+}
+
+// Promo che scatta su ogni carrello con uno sconto sempre positivo
+function isUnconditional(promo) {
+  const cond = promo.conditions || {};
+  const hasConditions = CONDITION_KEYS.some(key => cond[key] !== undefined && !(Array.isArray(cond[key]) && cond[key].length === 0));
+  return !hasConditions && !promo.targetScope && !promo.maxUsesTotal && !promo.maxUsesPerUser &&
+    ['PERCENTAGE', 'FIXED'].includes(promo.type) && promo.discountValue > 0;
+}
+
+/**
+ * 🔗 Gruppi di promo PERCENTAGE tutte cumulabili tra loro (cricche massimali, Bron–Kerbosch)
+ */
+function combinableGroups(promos) {
+  const groups = [];
+  const expand = (group, candidates, excluded) => {
+    if (candidates.length === 0 && excluded.length === 0) {
+      if (group.length > 1) groups.push(group);
+      return;
+    }
+    for (const promo of [...candidates]) {
+      expand(
+        [...group, promo],
+        candidates.filter(p => p !== promo && canCombine(p, promo)),
+        excluded.filter(p => canCombine(p, promo))
+      );
+      candidates = candidates.filter(p => p !== promo);
+      excluded = [...excluded, promo];
+    }
+  };
+  expand([], promos, []);
+  return groups;
+}
+
+/**
+ * 🧹 Lint delle promo attive.
+ * Ritorna { issues: [{ severity: 'error'|'warning', code, promotionIds, message, details? }] }
+ */
+async function lintPromotions(db, { now = new Date() } = {}) {
+  const promotions = await db.promotion.findMany({
+    where: { isActive: true },
+    include: { giftProduct: true },
+    orderBy: { priority: 'desc' }
+  });
+  const products = await db.product.findMany({
+    where: { isActive: true, archivedAt: null }
+  });
+  const stacking = await db.config.findUnique({ where: { key: 'promotion_stacking' } });
+
+  const issues = [];
+  const issue = (severity, code, promos, message, details) => issues.push({
+    severity,
+    code,
+    promotionIds: promos.map(p => p.id),
+    message,
+    ...(details && { details })
+  });
+
+  const live = [];
+  for (const promo of promotions) {
+    const errors = getPromotionErrors(promo);
+    if (errors.length > 0) {
+      issue('error', 'INVALID_CONFIG', [promo], `'${promo.name}': configurazione non valida`, { errors });
+      continue;
+    }
+
+    const reasons = neverTriggerReasons(promo, products, now);
+    if (reasons.length > 0) {
+      issue('error', 'NEVER_TRIGGERS', [promo], `'${promo.name}' non può mai applicarsi: ${reasons.join(', ')}`);
+      continue;
+    }
+
+    live.push(promo);
+  }
+
+  const byId = Object.fromEntries(promotions.map(p => [p.id, p]));
+
+  // 🔗 combinesWith verso promo inesistenti o non reciproci
+  for (const promo of live) {
+    for (const otherId of promo.combinesWith) {
+      const other = byId[otherId];
+      if (!other) {
+        issue('warning', 'UNKNOWN_COMBINATION', [promo], `'${promo.name}': combinesWith contiene una promo inesistente o disattivata (${otherId})`);
+      } else if (!other.combinesWith.includes(promo.id)) {
+        issue('warning', 'ONE_WAY_COMBINATION', [promo, other],
+          `'${promo.name}' elenca '${other.name}' in combinesWith ma non viceversa: non si cumuleranno mai`);
+      }
+    }
+  }
+
+  // ⚖️ Stessa priorità, stessi prodotti, non cumulabili: vince l'ordine del DB
+  const reachable = Object.fromEntries(live.map(p => [p.id, targetProductIds(p, products)]));
+  for (const [i, a] of live.entries()) {
+    for (const b of live.slice(i + 1)) {
+      if (a.priority !== b.priority || canCombine(a, b)) continue;
+      const codesA = getRequiredCodes(a);
+      const codesB = getRequiredCodes(b);
+      if (codesA.length > 0 && codesB.length > 0 && !codesA.some(c => codesB.includes(c))) continue;
+      if (!reachable[a.id].some(id => reachable[b.id].includes(id))) continue;
+
+      issue('warning', 'SAME_PRIORITY_OVERLAP', [a, b],
+        `'${a.name}' e '${b.name}' hanno la stessa priorità (${a.priority}), prodotti in comune e non sono cumulabili: quale si applica non è definito`);
+    }
+  }
+
+  // 🌑 Promo sempre battuta da una non cumulabile con priorità più alta (modalità priority)
+  if ((stacking?.value?.mode || 'priority') === 'priority') {
+    for (const promo of live) {
+      const winner = live.find(other => other.priority > promo.priority && isUnconditional(other) &&
+        getRequiredCodes(other).length === 0 && !canCombine(other, promo));
+      if (winner) {
+        issue('warning', 'SHADOWED', [promo, winner],
+          `'${promo.name}' non si applica mai: '${winner.name}' ha priorità più alta, scatta sempre e non è cumulabile`);
+      }
+    }
+  }
+
+  // ♾️ Cumuli senza limite
+  for (const group of combinableGroups(live.filter(p => p.type === 'PERCENTAGE'))) {
+    const percentage = group.reduce((sum, p) => sum + p.discountValue, 0);
+    if (percentage >= 100) {
+      issue('error', 'ENDLESS_COMBO', group,
+        `${group.map(p => `'${p.name}'`).join(', ')} sono cumulabili tra loro per un totale del ${percentage}%: possono azzerare il carrello`);
+    }
+  }
+  for (const promo of live) {
+    if (promo.type === 'TIERED' && promo.discountTiers?.mode === 'cumulative' && !promo.discountTiers.maxDiscount) {
+      issue('warning', 'ENDLESS_COMBO', [promo],
+        `'${promo.name}': sconto cumulativo senza maxDiscount, cresce senza limite con la quantità`);
+    }
+  }
+
+  return { issues };
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  getPromotionErrors,
+  validatePromotion,
+  lintPromotions
+};
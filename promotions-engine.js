@@ -1,11 +1,27 @@
 // promotions-engine.js - Logica di calcolo sconti avanzata
+const { httpError } = require('./errors');
+const {
+  parsePromoCodes,
+  normalizeCode,
+  normalizePromoCodes,
+  loadPromoCode,
+  applyPromoCodes
+} = require('./promo-codes');
+
+// Modalità di cumulo (config promotion_stacking):
+// - priority: in ordine di priorità, ogni promo solo se compatibile con quelle già applicate
+// - best_discount: la combinazione compatibile con lo sconto più alto per il cliente
+const STACKING_MODES = ['priority', 'best_discount'];
+
+// Oltre questo numero di promo applicabili l'ottimizzatore esplora solo le
+// prime per priorità e aggiunge le altre come in modalità priority
+const MAX_OPTIMIZER_CANDIDATES = 16;
 
 /**
- * 🎯 MOTORE PRINCIPALE: Calcola tutte le promo applicabili
+ * 📋 Promo attive adesso, ordinate per priorità
  */
-async function calculatePromotions(cart, userEmail, prisma) {
-  // 1️⃣ Recupera promo attive ordinate per priorità
-  const activePromos = await prisma.promotion.findMany({
+async function getActivePromotions(prisma) {
+  return prisma.promotion.findMany({
     where: {
       isActive: true,
       OR: [
@@ -26,20 +42,26 @@ async function calculatePromotions(cart, userEmail, prisma) {
     },
     orderBy: { priority: 'desc' }
   });
+}
 
-  let totalDiscount = 0;
-  let appliedPromotions = [];
-  let giftProducts = [];
-  let processedPromoIds = new Set();
-  
-  // 2️⃣ Itera promo in ordine di priorità
+/**
+ * 🎯 MOTORE PRINCIPALE: Calcola tutte le promo applicabili
+ * options.mode forza la modalità di cumulo (default: config promotion_stacking)
+ * options.promotions sostituisce le promo attive (simulazioni), già ordinate per priorità
+ */
+async function calculatePromotions(cart, userEmail, prisma, { mode, promotions } = {}) {
+  // 1️⃣ Recupera promo attive ordinate per priorità
+  const activePromos = promotions || await getActivePromotions(prisma);
+
+  // Codici che sbloccano una promozione (conditions.requiresCode)
+  const requiredCodes = [...new Set(activePromos.flatMap(getRequiredCodes))];
+
+  // 2️⃣ Promo applicabili al carrello, in ordine di priorità
+  const candidates = [];
   for (const promo of activePromos) {
-    // Skip se già processata (per combinabilità)
-    if (processedPromoIds.has(promo.id)) continue;
-    
     // 3️⃣ Controlla limiti utilizzo
     if (promo.maxUsesTotal && promo.usageCount >= promo.maxUsesTotal) continue;
-    
+
     if (promo.maxUsesPerUser && userEmail) {
       const userUsageCount = await prisma.promotionUsage.count({
         where: {
@@ -49,55 +71,400 @@ async function calculatePromotions(cart, userEmail, prisma) {
       });
       if (userUsageCount >= promo.maxUsesPerUser) continue;
     }
-    
+
     // 4️⃣ Verifica condizioni
     if (!checkConditions(promo, cart)) continue;
-    
+
     // 5️⃣ Calcola sconto specifico
     const result = calculatePromoDiscount(promo, cart);
-    
+
     if (result.discount > 0 || result.giftProduct) {
-      totalDiscount += result.discount;
-      
-      const promoApplied = {
-        id: promo.id,
-        name: promo.name,
-        type: promo.type,
-        discount: result.discount,
-        details: result.details
-      };
-      
-      appliedPromotions.push(promoApplied);
-      processedPromoIds.add(promo.id);
-      
-      // Aggiungi regalo se presente
-      if (result.giftProduct) {
-        giftProducts.push(result.giftProduct);
-      }
-      
-      // 6️⃣ Gestione combinabilità
-      const canCombine = promo.combinesWith && promo.combinesWith.length > 0;
-      
-      if (!canCombine) {
-        // Stop: questa promo non è combinabile
-        break;
-      }
-      // Continua solo con promo nella whitelist
-      // (filtro già fatto sopra con processedPromoIds)
+      candidates.push({ promo, result });
     }
   }
-  
-  // 7️⃣ Assicura che sconto non superi subtotal
-  const maxDiscount = cart.subtotal;
+
+  // 6️⃣ Combinabilità: scelta delle promo da cumulare
+  const stackingMode = mode || await getStackingMode(prisma);
+  const selected = stackingMode === 'best_discount'
+    ? findBestCombination(candidates, cart)
+    : pickByPriority(candidates);
+
+  let totalDiscount = 0;
+  const appliedPromotions = [];
+  const giftProducts = [];
+
+  for (const { promo, result } of selected) {
+    totalDiscount += result.discount;
+
+    const promoApplied = {
+      id: promo.id,
+      name: promo.name,
+      type: promo.type,
+      discount: result.discount,
+      details: result.details,
+      allocations: allocatePromoDiscount(promo, cart, result) // Quota per riga del carrello
+    };
+
+    // Codice inserito dal cliente che ha sbloccato la promo
+    const code = getRequiredCodes(promo).find(c => cart.codes?.includes(c));
+    if (code) {
+      promoApplied.code = code;
+    }
+
+    appliedPromotions.push(promoApplied);
+
+    // Aggiungi regalo se presente
+    if (result.giftProduct) {
+      giftProducts.push(result.giftProduct);
+    }
+  }
+
+  // 7️⃣ Assicura che sconto non superi subtotal + spedizione
+  const shippingCost = cart.shippingCost || 0;
+  const maxDiscount = cart.subtotal + shippingCost;
   if (totalDiscount > maxDiscount) {
     totalDiscount = maxDiscount;
   }
-  
+
+  // Quota di sconto sulla spedizione (FREE_SHIPPING), separata da quella sui prodotti
+  const shippingDiscount = Math.min(
+    shippingCost,
+    appliedPromotions
+      .filter(p => p.type === 'FREE_SHIPPING')
+      .reduce((sum, p) => sum + p.discount, 0)
+  );
+
   return {
     totalDiscount,
+    shippingDiscount,
     appliedPromotions,
     giftProducts,
-    finalTotal: cart.subtotal - totalDiscount
+    requiredCodes,
+    // Codici di promo applicabili ma escluse dal cumulo
+    excludedCodes: candidates
+      .filter(c => !selected.includes(c))
+      .flatMap(c => getRequiredCodes(c.promo)),
+    stackingMode,
+    finalTotal: cart.subtotal + shippingCost - totalDiscount
+  };
+}
+
+async function getStackingMode(db) {
+  const config = await db.config.findUnique({
+    where: { key: 'promotion_stacking' }
+  });
+  const mode = config?.value?.mode;
+  return STACKING_MODES.includes(mode) ? mode : 'priority';
+}
+
+/**
+ * 🤝 Due promo si cumulano solo se ognuna ha l'altra in combinesWith
+ */
+function canCombine(promoA, promoB) {
+  return Boolean(
+    promoA.combinesWith?.includes(promoB.id) &&
+    promoB.combinesWith?.includes(promoA.id)
+  );
+}
+
+function isCompatibleWith(selected, candidate) {
+  return selected.every(s => canCombine(s.promo, candidate.promo));
+}
+
+/**
+ * 🔢 Modalità priority: la prima promo vince, le successive solo se compatibili
+ * con tutte quelle già applicate
+ */
+function pickByPriority(candidates, selected = []) {
+  const picked = [...selected];
+  for (const candidate of candidates) {
+    if (isCompatibleWith(picked, candidate)) {
+      picked.push(candidate);
+    }
+  }
+  return picked;
+}
+
+// Sconto effettivo di una combinazione (prodotti e spedizione limitati al loro importo)
+function combinationValue(selection, cart) {
+  let productDiscount = 0;
+  let shippingDiscount = 0;
+  for (const { promo, result } of selection) {
+    if (promo.type === 'FREE_SHIPPING') {
+      shippingDiscount += result.discount;
+    } else {
+      productDiscount += result.discount;
+    }
+  }
+  return Math.min(productDiscount, cart.subtotal) + Math.min(shippingDiscount, cart.shippingCost || 0);
+}
+
+/**
+ * 🏆 Modalità best_discount: tra tutte le combinazioni di promo compatibili a
+ * coppie sceglie quella con lo sconto più alto. A parità: più promo (es. regali),
+ * poi quella trovata prima in ordine di priorità.
+ */
+function findBestCombination(candidates, cart) {
+  const explored = candidates.slice(0, MAX_OPTIMIZER_CANDIDATES);
+  let best = { selection: [], value: 0 };
+
+  const visit = (index, selection) => {
+    if (index === explored.length) {
+      const value = combinationValue(selection, cart);
+      if (value > best.value || (value === best.value && selection.length > best.selection.length)) {
+        best = { selection, value };
+      }
+      return;
+    }
+
+    const candidate = explored[index];
+    if (isCompatibleWith(selection, candidate)) {
+      visit(index + 1, [...selection, candidate]);
+    }
+    visit(index + 1, selection);
+  };
+
+  visit(0, []);
+
+  return pickByPriority(candidates.slice(MAX_OPTIMIZER_CANDIDATES), best.selection);
+}
+
+/**
+ * 🔑 Codici richiesti da una promo (conditions.requiresCode: "CODICE" o ["A", "B"])
+ */
+function getRequiredCodes(promo) {
+  const requiresCode = promo.conditions?.requiresCode;
+  if (!requiresCode) return [];
+  return [].concat(requiresCode).map(normalizeCode);
+}
+
+// ==================================
+// RIPARTIZIONE SCONTI PER RIGA
+// ==================================
+
+/**
+ * ➗ Divide un importo in proporzione ai pesi, al centesimo: l'ultima riga
+ * con peso prende il resto così la somma torna (al centesimo)
+ */
+function distributeAmount(amount, weights) {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const shares = weights.map(() => 0);
+  if (amount <= 0 || totalWeight <= 0) return shares;
+
+  const lastIndex = weights.map(w => w > 0).lastIndexOf(true);
+  let assigned = 0;
+  weights.forEach((weight, i) => {
+    if (weight <= 0 || i === lastIndex) return;
+    shares[i] = Math.round(amount * (weight / totalWeight) * 100) / 100;
+    assigned += shares[i];
+  });
+  shares[lastIndex] = Math.round((amount - assigned) * 100) / 100;
+
+  return shares;
+}
+
+/**
+ * 🎯 Righe a cui si riferisce una promo senza targetScope: prodotti o
+ * categorie delle condizioni, altrimenti tutto il carrello
+ */
+function isTargetLine(promo, item) {
+  const cond = promo.conditions || {};
+  if (cond.products?.length > 0) return cond.products.includes(item.productId);
+  if (cond.categories?.length > 0) return cond.categories.includes(item.product?.category);
+  return true;
+}
+
+/**
+ * 🧾 Sconto di una promo diviso sulle righe del carrello (array parallelo a cart.items).
+ * BOGO sulle righe effettivamente scontate, spedizione gratuita su nessuna riga.
+ */
+function allocatePromoDiscount(promo, cart, result) {
+  if (promo.type === 'FREE_SHIPPING') {
+    return cart.items.map(() => 0);
+  }
+
+  if (promo.type === 'BOGO') {
+    const shares = cart.items.map(() => 0);
+    for (const discounted of result.details.discountedItems || []) {
+      shares[discounted.lineIndex] += discounted.discount;
+    }
+    return shares;
+  }
+
+  const targeted = cart.items.map(item => (
+    (promo.targetScope ? matchesScope(promo.targetScope, item) : isTargetLine(promo, item)) ? item.lineTotal : 0
+  ));
+  const weights = targeted.some(w => w > 0) ? targeted : cart.items.map(item => item.lineTotal);
+  return distributeAmount(result.discount, weights);
+}
+
+// ==================================
+// PIPELINE SCONTI
+// ==================================
+// Unico calcolo usato da checkout, /api/promotions/calculate e /api/validate-promo.
+// Ordine fisso, ogni passo lavora sul residuo lasciato dal precedente:
+//   1. bundle     → config bundle_discount (≥ 2 pezzi della stessa taglia)
+//   2. promotion  → promozioni automatiche e quelle sbloccate da un codice
+//   3. code       → codici promo (PromoCode), in cascata sul residuo prodotti
+// Ogni sconto applicato diventa un passo di `steps`, con il totale dopo il passo,
+// ed è ripartito sulle righe del carrello in `lines` (salvato su OrderItem).
+
+/**
+ * 📦 Sconto bundle: X% (default 5) se almeno 2 pezzi hanno la stessa taglia
+ */
+async function calculateBundleDiscount(cart, db) {
+  const sizeCounts = {};
+  cart.items.forEach(item => {
+    sizeCounts[item.size] = (sizeCounts[item.size] || 0) + item.quantity;
+  });
+
+  if (!Object.values(sizeCounts).some(count => count >= 2)) {
+    return null;
+  }
+
+  const bundleConfig = await db.config.findUnique({
+    where: { key: 'bundle_discount' }
+  });
+  const percentage = bundleConfig?.value?.percentage || 5;
+
+  return {
+    percentage,
+    discount: cart.subtotal * (percentage / 100)
+  };
+}
+
+/**
+ * 🧮 Applica tutti gli sconti al carrello.
+ * cart: { items (con product), subtotal, totalItems, shippingCost }
+ * Un codice inserito ma non valido (o non applicabile) blocca tutto con
+ * INVALID_PROMO_CODE, come prima al checkout.
+ */
+async function calculateCartDiscounts(db, cart, { customerEmail, promoCode, stackingMode } = {}) {
+  const codes = normalizePromoCodes(parsePromoCodes(promoCode));
+  if (codes.length > 0 && !customerEmail) {
+    throw httpError(400, 'Inserisci l\'email per usare un codice promo', { code: 'INVALID_PROMO_CODE' });
+  }
+
+  const shippingCost = cart.shippingCost || 0;
+  let productAmount = cart.subtotal; // Residuo prodotti
+  let shippingAmount = shippingCost; // Residuo spedizione
+  const steps = [];
+  const lines = cart.items.map(item => ({
+    productId: item.productId,
+    discountAmount: 0,
+    allocations: []
+  }));
+
+  const addStep = (step, shares = []) => {
+    steps.push({ ...step, total: productAmount + shippingAmount });
+
+    shares.forEach((amount, i) => {
+      if (amount <= 0) return;
+      lines[i].discountAmount += amount;
+      lines[i].allocations.push({ stage: step.stage, id: step.id, label: step.label, amount });
+    });
+  };
+
+  // Residuo di ogni riga, pesi per gli sconti sul totale prodotti
+  const lineResiduals = () => cart.items.map((item, i) => Math.max(0, item.lineTotal - lines[i].discountAmount));
+
+  // 1️⃣ Bundle
+  let bundleDiscount = 0;
+  const bundle = await calculateBundleDiscount(cart, db);
+  if (bundle) {
+    bundleDiscount = Math.min(bundle.discount, productAmount);
+    productAmount -= bundleDiscount;
+    addStep({
+      stage: 'bundle',
+      label: `Sconto bundle ${bundle.percentage}%`,
+      discount: bundleDiscount,
+      details: { percentage: bundle.percentage }
+    }, distributeAmount(bundleDiscount, lineResiduals()));
+  }
+
+  // 2️⃣ Promozioni (priorità e combinabilità come da calculatePromotions)
+  const promoResult = await calculatePromotions({ ...cart, codes }, customerEmail, db, { mode: stackingMode });
+  let promotionDiscount = 0;
+  let shippingDiscount = 0;
+  const appliedPromotions = [];
+
+  for (const promo of promoResult.appliedPromotions) {
+    // Nessuno sconto oltre il residuo: la spedizione gratuita copre solo la spedizione
+    const onShipping = promo.type === 'FREE_SHIPPING';
+    const discount = Math.min(promo.discount, onShipping ? shippingAmount : productAmount);
+
+    if (onShipping) {
+      shippingAmount -= discount;
+      shippingDiscount += discount;
+    } else {
+      productAmount -= discount;
+    }
+    promotionDiscount += discount;
+
+    // Ripartizione in proporzione a quella della promo, al centesimo
+    // (anche quando lo sconto è stato limitato al residuo)
+    const { allocations, ...applied } = promo;
+
+    appliedPromotions.push({ ...applied, discount });
+    addStep({
+      stage: 'promotion',
+      id: promo.id,
+      label: promo.name,
+      type: promo.type,
+      code: promo.code,
+      discount,
+      details: promo.details
+    }, distributeAmount(discount, allocations));
+  }
+
+  // 3️⃣ Codici promo: quelli già usati da una promozione sono a posto,
+  // quelli di una promozione non applicata bloccano, il resto sono PromoCode
+  const promoCodes = [];
+  for (const code of codes) {
+    if (appliedPromotions.some(p => p.code === code)) continue;
+
+    if (promoResult.excludedCodes.includes(code)) {
+      throw httpError(400, `Codice '${code}' non cumulabile con le promozioni già applicate`, { code: 'INVALID_PROMO_CODE' });
+    }
+
+    if (promoResult.requiredCodes.includes(code)) {
+      throw httpError(400, `Codice '${code}' non applicabile a questo carrello`, { code: 'INVALID_PROMO_CODE' });
+    }
+
+    promoCodes.push(await loadPromoCode(db, code, { customerEmail }));
+  }
+
+  const codeResult = applyPromoCodes(promoCodes, productAmount);
+  for (const appliedCode of codeResult.appliedCodes) {
+    const shares = distributeAmount(appliedCode.appliedDiscount, lineResiduals());
+    productAmount -= appliedCode.appliedDiscount;
+    addStep({
+      stage: 'code',
+      id: appliedCode.id,
+      label: appliedCode.code,
+      type: appliedCode.discountType,
+      code: appliedCode.code,
+      discount: appliedCode.appliedDiscount,
+      details: { discountValue: appliedCode.discountValue }
+    }, shares);
+  }
+
+  return {
+    subtotal: cart.subtotal,
+    shippingCost,
+    bundleDiscount,
+    promotionDiscount,
+    shippingDiscount,
+    codeDiscount: codeResult.totalDiscount,
+    totalDiscount: bundleDiscount + promotionDiscount + codeResult.totalDiscount,
+    total: productAmount + shippingAmount,
+    appliedPromotions,
+    giftProducts: promoResult.giftProducts,
+    appliedCodes: codeResult.appliedCodes,
+    codeMessages: codeResult.messages,
+    stackingMode: promoResult.stackingMode,
+    steps,
+    lines
   };
 }
 
@@ -106,12 +473,18 @@ async function calculatePromotions(cart, userEmail, prisma) {
  */
 function checkConditions(promo, cart) {
   const cond = promo.conditions;
+  const target = getTargetCart(promo, cart);
+
+  // 🎯 Nessuna riga nel targetScope: niente da scontare
+  if (target.items.length === 0) {
+    return false;
+  }
   
-  // 📊 Quantità prodotti
-  if (cond.minQuantity && cart.totalItems < cond.minQuantity) {
+  // 📊 Quantità prodotti (solo righe target)
+  if (cond.minQuantity && target.totalItems < cond.minQuantity) {
     return false;
   }
-  if (cond.maxQuantity && cart.totalItems > cond.maxQuantity) {
+  if (cond.maxQuantity && target.totalItems > cond.maxQuantity) {
     return false;
   }
   
@@ -123,6 +496,12 @@ function checkConditions(promo, cart) {
     return false;
   }
   
+  // 🔑 Codice richiesto (promo sbloccata solo da chi inserisce il codice)
+  const requiredCodes = getRequiredCodes(promo);
+  if (requiredCodes.length > 0 && !requiredCodes.some(c => cart.codes?.includes(c))) {
+    return false;
+  }
+
   // 🏷️ Categorie
   if (cond.categories && cond.categories.length > 0) {
     const cartCategories = cart.items.map(i => i.product.category);
@@ -180,8 +559,11 @@ function checkConditions(promo, cart) {
 
 /**
  * 💰 CALCOLA SCONTO SPECIFICO PER TIPO PROMO
+ * Importi e soglie sulle sole righe del targetScope (spedizione esclusa)
  */
-function calculatePromoDiscount(promo, cart) {
+function calculatePromoDiscount(promo, fullCart) {
+  const cart = getTargetCart(promo, fullCart);
+
   switch (promo.type) {
     case 'PERCENTAGE':
       return {
@@ -206,8 +588,14 @@ function calculatePromoDiscount(promo, cart) {
     case 'TIERED':
       return calculateTieredDiscount(promo.discountTiers, cart);
       
-    case 'BOGO':
-      return calculateBOGODiscount(promo.bogoConfig, cart);
+    case 'BOGO': {
+      // lineIndex riferito al carrello completo
+      const result = calculateBOGODiscount(promo.bogoConfig, cart);
+      result.details.discountedItems?.forEach(unit => {
+        unit.lineIndex = cart.lineIndexes[unit.lineIndex];
+      });
+      return result;
+    }
       
     case 'FREE_SHIPPING':
       return {
@@ -285,45 +673,150 @@ function calculateTieredDiscount(tiers, cart) {
 }
 
 /**
- * 🎁 BOGO (Buy X Get Y)
+ * 🔎 La riga rientra nello scope? Senza scope tutto.
+ * scope: { products?, categories?, colors?, sizes?, excludeProducts? }
+ */
+function matchesScope(scope, item) {
+  if (!scope) return true;
+  if (scope.products?.length > 0 && !scope.products.includes(item.productId)) return false;
+  if (scope.categories?.length > 0 && !scope.categories.includes(item.product?.category)) return false;
+  if (scope.colors?.length > 0 && !scope.colors.includes(item.color)) return false;
+  if (scope.sizes?.length > 0 && !scope.sizes.includes(item.size)) return false;
+  if (scope.excludeProducts?.includes(item.productId)) return false;
+  return true;
+}
+
+/**
+ * 🎯 Carrello ristretto alle righe del targetScope della promo
+ * (lineIndexes = posizione delle righe nel carrello completo)
+ */
+function getTargetCart(promo, cart) {
+  const lineIndexes = cart.items
+    .map((item, i) => i)
+    .filter(i => matchesScope(promo.targetScope, cart.items[i]));
+
+  if (!promo.targetScope) {
+    return { ...cart, lineIndexes };
+  }
+
+  const items = lineIndexes.map(i => cart.items[i]);
+  return {
+    ...cart,
+    items,
+    lineIndexes,
+    subtotal: items.reduce((sum, item) => sum + item.lineTotal, 0),
+    totalItems: items.reduce((sum, item) => sum + item.quantity, 0)
+  };
+}
+
+/**
+ * 🎁 BOGO (Buy X Get Y) a livello di singolo pezzo
+ * config: { buy, get, discountOnGet, applyOnCheapest, buyScope?, getScope? }
+ * Si ragiona per pezzi; per ogni gruppo si pagano i `buy` pezzi più
+ * cari ammessi da buyScope e si scontano `get` pezzi ammessi da getScope:
+ * - applyOnCheapest: i più economici rimasti
+ * - altrimenti: i successivi in ordine di prezzo (sconto sul più economico del gruppo)
+ * discountedItems è per blocchi di pezzi della stessa riga ({ lineIndex, unitIndex, quantity, discount }):
+ * il costo non dipende dalle quantità
  */
 function calculateBOGODiscount(config, cart) {
-  const { buy, get, discountOnGet, applyOnCheapest } = config;
-  const totalUnits = buy + get;
-  const groups = Math.floor(cart.totalItems / totalUnits);
-  
-  if (groups === 0) {
+  const { buy, get, discountOnGet, applyOnCheapest, buyScope, getScope } = config;
+
+  if (!(get > 0) || !(buy >= 0)) {
     return { discount: 0, details: {} };
   }
-  
-  // Ordina items per prezzo
-  const sortedItems = [...cart.items].sort((a, b) => {
-    const priceA = a.unitPrice;
-    const priceB = b.unitPrice;
-    return applyOnCheapest ? priceA - priceB : priceB - priceA;
-  });
-  
+
+  // Righe dal più caro al più economico; per riga si contano i pezzi presi
+  // dal fronte (front) e dal fondo (back) invece di espandere ogni pezzo
+  const lines = cart.items
+    .map((item, lineIndex) => ({
+      item,
+      lineIndex,
+      front: 0,
+      back: 0,
+      canBuy: matchesScope(buyScope, item),
+      canGet: matchesScope(getScope, item)
+    }))
+    .sort((a, b) => b.item.unitPrice - a.item.unitPrice);
+
+  const available = line => line.item.quantity - line.front - line.back;
+
+  // Prende pezzi dalle righe ammesse, dai più cari o dai più economici, a blocchi
+  // per riga. Una riga esaurita non torna disponibile: il cursore va solo avanti
+  const createPicker = (allowed, fromCheapest) => {
+    const eligible = lines.filter(allowed);
+    if (fromCheapest) eligible.reverse();
+    let cursor = 0;
+
+    const current = () => {
+      while (cursor < eligible.length && available(eligible[cursor]) === 0) cursor++;
+      return eligible[cursor] || null;
+    };
+
+    const take = (count) => {
+      const blocks = [];
+      let missing = count;
+      while (missing > 0 && current()) {
+        const line = current();
+        const quantity = Math.min(missing, available(line));
+        if (fromCheapest) line.back += quantity; else line.front += quantity;
+        const unitIndex = fromCheapest ? line.item.quantity - line.back : line.front - quantity;
+        blocks.push({ item: line.item, lineIndex: line.lineIndex, unitIndex, quantity });
+        missing -= quantity;
+      }
+      return { blocks, count: count - missing };
+    };
+
+    return { current, take };
+  };
+
+  const buyPicker = createPicker(line => line.canBuy, false);
+  const getPicker = createPicker(line => line.canGet, applyOnCheapest);
+
+  // Quanti gruppi uguali di fila si possono formare restando sulle stesse righe
+  const repeatable = () => {
+    const getLine = getPicker.current();
+    const buyLine = buy > 0 ? buyPicker.current() : null;
+    if (!getLine || (buy > 0 && !buyLine)) return 1;
+    if (buy === 0) return Math.floor(available(getLine) / get);
+    if (buyLine === getLine) return Math.floor(available(getLine) / (buy + get));
+    return Math.min(Math.floor(available(buyLine) / buy), Math.floor(available(getLine) / get));
+  };
+
+  let groups = 0;
   let totalDiscount = 0;
   const discountedItems = [];
-  
-  // Per ogni gruppo completo
-  for (let i = 0; i < groups; i++) {
-    // Sconto sul prodotto in posizione "buy" (dopo i primi N)
-    const targetIndex = i * totalUnits + buy;
-    
-    if (targetIndex < sortedItems.length) {
-      const item = sortedItems[targetIndex];
-      const itemDiscount = item.unitPrice * (discountOnGet / 100);
-      totalDiscount += itemDiscount;
-      
+
+  while (true) {
+    const repeat = Math.max(1, repeatable());
+    const bought = buyPicker.take(buy * repeat);
+    const got = getPicker.take(get * repeat);
+
+    if (bought.count < buy * repeat || got.count < get * repeat) break;
+
+    groups += repeat;
+    for (const block of got.blocks) {
+      const blockDiscount = block.item.unitPrice * (discountOnGet / 100) * block.quantity;
+      totalDiscount += blockDiscount;
+
       discountedItems.push({
-        productName: item.product.name,
-        originalPrice: item.unitPrice,
-        discount: itemDiscount
+        lineIndex: block.lineIndex,
+        unitIndex: block.unitIndex, // Pezzi da unitIndex a unitIndex + quantity - 1 della riga
+        quantity: block.quantity,
+        productId: block.item.productId,
+        productName: block.item.product.name,
+        color: block.item.color,
+        size: block.item.size,
+        originalPrice: block.item.unitPrice,
+        discount: blockDiscount
       });
     }
   }
-  
+
+  if (groups === 0) {
+    return { discount: 0, details: {} };
+  }
+
   return {
     discount: totalDiscount,
     details: {
@@ -342,6 +835,7 @@ function calculateBOGODiscount(config, cart) {
  */
 function calculateProgress(cart, promo) {
   const cond = promo.conditions;
+  const targetCart = getTargetCart(promo, cart);
   let progress = {
     percentage: 0,
     remaining: 0,
@@ -349,9 +843,9 @@ function calculateProgress(cart, promo) {
     message: ''
   };
   
-  // Progress per quantità
+  // Progress per quantità (righe target)
   if (cond.minQuantity) {
-    const current = cart.totalItems;
+    const current = targetCart.totalItems;
     const target = cond.minQuantity;
     
     if (current < target) {
@@ -385,7 +879,7 @@ function calculateProgress(cart, promo) {
   
   // Progress per tiered
   if (promo.type === 'TIERED' && Array.isArray(promo.discountTiers)) {
-    const current = cart.totalItems;
+    const current = targetCart.totalItems;
     const sortedTiers = [...promo.discountTiers].sort((a, b) => a.threshold - b.threshold);
     const nextTier = sortedTiers.find(t => current < t.threshold);
     
@@ -409,8 +903,16 @@ function calculateProgress(cart, promo) {
 }
 
 module.exports = {
+  STACKING_MODES,
+  getActivePromotions,
   calculatePromotions,
+  calculateCartDiscounts,
+  getRequiredCodes,
   checkConditions,
   calculatePromoDiscount,
+  allocatePromoDiscount,
+  distributeAmount,
+  matchesScope,
+  getTargetCart,
   calculateProgress
 };
@@ -0,0 +1,235 @@
+// refunds.js - Rimborsi totali e parziali (per riga) sugli ordini
+const { httpError } = require('./errors');
+const { transitionOrder } = require('./order-lifecycle');
+const { releaseStock } = require('./inventory');
+const { ORDER_EVENT_TYPES, recordOrderEvent } = require('./order-events');
+const { enqueueEmail, deliverEmailJob } = require('./email-queue');
+
+// Solo ordini effettivamente incassati (anche in parte) si possono rimborsare
+const REFUNDABLE_STATUSES = ['PARTIALLY_PAID', 'PAID', 'ORDERED', 'DELIVERED'];
+
+const REFUND_METHODS = ['paypal', 'revolut', 'bonifico', 'contanti'];
+
+// Tolleranza per arrotondamenti sui centesimi
+const EPSILON = 0.005;
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 💰 Importo rimborsabile in tutto: l'incassato se parziale o in eccesso,
+ * altrimenti il totale (ordini segnati PAID a mano hanno amountReceived = 0)
+ */
+function collectedAmount(order) {
+  if (order.paymentStatus === 'PARTIALLY_PAID') return order.amountReceived;
+  return Math.max(order.total, order.amountReceived);
+}
+
+/**
+ * 🚚 Spedizione effettivamente pagata (al netto di FREE_SHIPPING)
+ */
+function paidShipping(order) {
+  const shippingDiscount = (order.appliedPromotions || [])
+    .filter(p => p.type === 'FREE_SHIPPING')
+    .reduce((sum, p) => sum + p.discount, 0);
+  return Math.max(0, (order.shippingCost || 0) - shippingDiscount);
+}
+
+/**
+ * 🧾 Importo pagato per un pezzo della riga: netto della quota di sconto
+ * salvata sulla riga; per gli ordini senza ripartizione, prezzo unitario
+ * ridotto in proporzione agli sconti dell'ordine (totale prodotti / subtotal)
+ */
+function paidUnitPrice(order, item) {
+  if (item.discountAllocations) {
+    return Math.max(0, item.lineTotal - item.discountAmount) / item.quantity;
+  }
+
+  const productsTotal = order.total - paidShipping(order);
+  const ratio = order.subtotal > 0 ? Math.max(0, productsTotal) / order.subtotal : 0;
+  return item.unitPrice * ratio;
+}
+
+/**
+ * 📋 Calcola le righe del rimborso parziale a partire da
+ * [{ orderItemId, quantity, amount? }] validando quantità residue e importi
+ */
+function buildRefundLines(order, requestedLines) {
+  return requestedLines.map(line => {
+    const item = order.items.find(i => i.id === line.orderItemId);
+    if (!item) {
+      throw httpError(400, `Riga ordine ${line.orderItemId} non trovata`);
+    }
+
+    const quantity = parseInt(line.quantity);
+    const alreadyRefunded = item.refundLines.reduce((sum, l) => sum + l.quantity, 0);
+    if (!quantity || quantity < 1 || quantity > item.quantity - alreadyRefunded) {
+      throw httpError(400, `Quantità non rimborsabile per la riga ${item.id} (residuo: ${item.quantity - alreadyRefunded})`);
+    }
+
+    // Importo a mano: mai oltre quanto pagato per quei pezzi
+    const paid = paidUnitPrice(order, item) * quantity;
+    const amount = line.amount !== undefined ? parseFloat(line.amount) : paid;
+    if (!(amount > 0) || amount > paid + EPSILON) {
+      throw httpError(400, `Importo non valido per la riga ${item.id} (massimo €${paid.toFixed(2)})`);
+    }
+
+    return {
+      orderItemId: item.id,
+      quantity,
+      amount: roundCents(amount)
+    };
+  });
+}
+
+/**
+ * 📦 Pezzi da restituire al magazzino: le righe rimborsate (merce resa o mai
+ * spedita) e, con il rimborso totale, i pezzi non ancora rimborsati, salvo
+ * ordine già consegnato (la merce resta al cliente)
+ */
+function restockItems(order, refundLines, isFull) {
+  const refundedQuantity = (item) => item.refundLines.reduce((sum, l) => sum + l.quantity, 0) +
+    refundLines.filter(l => l.orderItemId === item.id).reduce((sum, l) => sum + l.quantity, 0);
+
+  const items = refundLines.map(line => ({
+    ...order.items.find(i => i.id === line.orderItemId),
+    quantity: line.quantity
+  }));
+
+  if (isFull && order.paymentStatus !== 'DELIVERED') {
+    order.items
+      .map(item => ({ ...item, quantity: item.quantity - refundedQuantity(item) }))
+      .filter(item => item.quantity > 0)
+      .forEach(item => items.push(item));
+  }
+
+  return items;
+}
+
+/**
+ * 💸 Registra un rimborso dentro una transazione esistente.
+ * Senza righe né importo = rimborso totale del residuo.
+ * Se il rimborsato raggiunge il totale l'ordine passa a REFUNDED
+ * (il ciclo di vita restituisce i codici promo, lo stock si gestisce qui).
+ * Ritorna { refund, afterCommit }: afterCommit(prisma) va chiamato DOPO il commit
+ * (hook del ciclo di vita + email di conferma).
+ */
+async function recordRefund(tx, orderId, { amount, lines, reason, method, actor = 'admin' }) {
+  if (!REFUND_METHODS.includes(method)) {
+    throw httpError(400, `Metodo di rimborso non valido (ammessi: ${REFUND_METHODS.join(', ')})`);
+  }
+
+  const order = await tx.order.findUnique({
+    where: { id: orderId },
+    include: {
+      items: {
+        include: { refundLines: true }
+      }
+    }
+  });
+
+  if (!order) {
+    throw httpError(404, 'Ordine non trovato');
+  }
+
+  if (!REFUNDABLE_STATUSES.includes(order.paymentStatus)) {
+    throw httpError(400, `Impossibile rimborsare un ordine in stato ${order.paymentStatus}`);
+  }
+
+  const collected = collectedAmount(order);
+  const remaining = roundCents(collected - order.refundedAmount);
+
+  const refundLines = lines && lines.length > 0 ? buildRefundLines(order, lines) : [];
+  const refundAmount = refundLines.length > 0
+    ? roundCents(refundLines.reduce((sum, l) => sum + l.amount, 0))
+    : roundCents(amount !== undefined ? parseFloat(amount) : remaining);
+
+  if (!(refundAmount > 0)) {
+    throw httpError(400, 'Importo rimborso non valido');
+  }
+
+  if (refundAmount > remaining + EPSILON) {
+    throw httpError(400, `Importo superiore al residuo rimborsabile (€${remaining.toFixed(2)})`);
+  }
+
+  const refundedAmount = roundCents(order.refundedAmount + refundAmount);
+  const isFull = refundedAmount >= collected - EPSILON;
+
+  const refund = await tx.refund.create({
+    data: {
+      orderId: order.id,
+      amount: refundAmount,
+      reason: reason || null,
+      method,
+      isFull,
+      lines: {
+        create: refundLines
+      }
+    },
+    include: {
+      lines: true
+    }
+  });
+
+  await tx.order.update({
+    where: { id: order.id },
+    data: { refundedAmount }
+  });
+
+  const restock = restockItems(order, refundLines, isFull);
+  if (restock.length > 0) {
+    await releaseStock(tx, restock);
+  }
+
+  await recordOrderEvent(tx, {
+    orderId: order.id,
+    type: ORDER_EVENT_TYPES.REFUND_RECORDED,
+    actor,
+    data: { refundId: refund.id, amount: refundAmount, method, reason, isFull, lines: refundLines }
+  });
+
+  // Rimborso completo → REFUNDED
+  let transitionAfterCommit = null;
+  if (isFull) {
+    const result = await transitionOrder(tx, order, 'REFUNDED', {
+      actor,
+      eventData: { refundId: refund.id }
+    });
+    transitionAfterCommit = result.afterCommit;
+  }
+
+  // Email di conferma al cliente: in coda, un errore di invio non annulla il rimborso
+  const emailJob = await enqueueEmail(tx, {
+    template: 'refund_confirmation',
+    orderId: order.id,
+    payload: { refundId: refund.id }
+  });
+
+  return {
+    refund,
+    afterCommit: async (db) => {
+      if (transitionAfterCommit) {
+        await transitionAfterCommit(db);
+      }
+      await deliverEmailJob(db, emailJob.id);
+    }
+  };
+}
+
+/**
+ * 💸 Come recordRefund, ma apre e chiude da sola la transazione
+ * ed esegue subito gli hook post-commit.
+ */
+async function createRefund(prisma, orderId, options) {
+  const { refund, afterCommit } = await prisma.$transaction(tx => recordRefund(tx, orderId, options));
+  await afterCommit(prisma);
+  return refund;
+}
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  REFUND_METHODS,
+  recordRefund,
+  createRefund
+};
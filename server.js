@@ -1,15 +1,61 @@
 // server.js - Backend principale MIDA Merch Store
 const express = require('express');
 const cors = require('cors');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 
 const app = express();
 const prisma = new PrismaClient();
 
 const {
-  calculatePromotions,
+  STACKING_MODES,
+  getRequiredCodes,
   calculateProgress
 } = require('./promotions-engine');
+const { validateCartItems, buildCart, priceCart } = require('./cart-pricing');
+const { simulatePromotion } = require('./promotion-simulator');
+const { validatePromotion, lintPromotions } = require('./promotion-validation');
+const { reserveStock, getAvailability } = require('./inventory');
+const { parsePromoCodes, validatePromoCodes } = require('./promo-codes');
+const { httpError } = require('./errors');
+const {
+  ORDER_EVENT_TYPES,
+  ADMIN_REQUEST_ACTORS,
+  recordOrderEvent,
+  getOrderTimeline
+} = require('./order-events');
+const { INITIAL_STATUSES, transitionOrder } = require('./order-lifecycle');
+const { updateOrder, recordPayment, cancelOrderByCustomer } = require('./order-service');
+const { processEmailQueue, retryEmailJob } = require('./email-queue');
+const {
+  sendInterestConfirmationEmail,
+  sendProductAvailableEmail
+} = require('./emails');
+const { generatePaymentUrl } = require('./payment-links');
+const { getBankDetails, getBankTransferInstructions } = require('./bank-transfer');
+const { importBankStatement } = require('./bank-statements');
+const { SIGNATURE_HEADER, handlePaymentWebhook } = require('./payment-webhooks');
+const { findCustomerOrder, toPublicOrder } = require('./order-lookup');
+const { runPendingOrdersJob } = require('./pending-orders-job');
+const { createRefund } = require('./refunds');
+const {
+  archivedWhere,
+  archiveOrder,
+  restoreOrder,
+  archiveProduct,
+  restoreProduct
+} = require('./archiving');
+const {
+  UNRESOLVED_LOG_STATUSES,
+  findCandidateOrders,
+  describePaymentLog,
+  confirmPaymentMatch,
+  dismissPaymentLog
+} = require('./payment-matching');
+const {
+  DEFAULT_SHIPPING_CONFIG,
+  getShippingMethods,
+  validateShippingAddress
+} = require('./shipping');
 // Middleware
 // Middleware CORS configurato per dev e production
 app.use(cors({
@@ -24,6 +70,30 @@ app.use(cors({
     : ['http://localhost:5173', 'http://localhost:5174', 'http://localhost:3001', 'http://localhost:4200'], // Dev locale
   credentials: true
 }));
+
+// ==================================
+// WEBHOOK PAGAMENTI
+// ==================================
+// Sta PRIMA di express.json(): la firma si verifica sui byte originali del body
+app.post('/api/webhooks/payments/:provider', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  try {
+    const result = await handlePaymentWebhook(prisma, {
+      provider: req.params.provider,
+      rawBody: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+      signature: req.get(SIGNATURE_HEADER)
+    });
+
+    res.json({ received: true, ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    // 500 → il provider ritenta, l'evento resta "failed" e verrà ripreso
+    console.error('Error handling payment webhook:', error);
+    res.status(500).json({ error: 'Errore nella gestione del webhook' });
+  }
+});
+
 app.use(express.json());
 
 // ==================================
@@ -56,7 +126,7 @@ if (process.env.NODE_ENV === 'production') {
 app.get('/api/products', async (req, res) => {
   try {
     const products = await prisma.product.findMany({
-      where: { isActive: true },
+      where: { isActive: true, archivedAt: null },
       orderBy: { name: 'asc' }
     });
 
@@ -74,6 +144,9 @@ app.get('/api/products', async (req, res) => {
 
     const categories = [...new Set(products.map(p => p.category).filter(Boolean))].sort();
 
+    // 📦 Disponibilità per colore/taglia (solo prodotti con magazzino)
+    const availability = await getAvailability(prisma, products);
+
     res.json({
       products: products.map(p => ({
         id: p.id,
@@ -87,7 +160,9 @@ app.get('/api/products', async (req, res) => {
         colors: p.colors,
         sizes: p.sizes,
         images: p.images || [],
-        isComingSoon: p.isComingSoon || false  // ✅ ASSICURATI CHE SIA QUI
+        isComingSoon: p.isComingSoon || false,  // ✅ ASSICURATI CHE SIA QUI
+        hasInventory: p.hasInventory,
+        availability: availability[p.id] || null
       })),
       categories,
       bundleDiscount: bundleConfig?.value?.percentage || 5,
@@ -100,31 +175,88 @@ app.get('/api/products', async (req, res) => {
   }
 });
 
+// GET metodi di spedizione attivi
+app.get('/api/shipping-methods', async (req, res) => {
+  try {
+    const { defaultMethod, methods } = await getShippingMethods(prisma);
+    res.json({ defaultMethod, methods });
+  } catch (error) {
+    console.error('Error fetching shipping methods:', error);
+    res.status(500).json({ error: 'Errore nel recupero metodi di spedizione' });
+  }
+});
+
 // POST nuovo ordine
 
-// GET dettaglio ordine
-app.get('/api/orders/:id', async (req, res) => {
+// POST consultazione ordine self-service (codice univoco + email)
+app.post('/api/orders/lookup', async (req, res) => {
   try {
-    const order = await prisma.order.findUnique({
-      where: { id: req.params.id },
-      include: {
-        items: {
-          include: { product: true }
-        }
-      }
-    });
+    const { uniqueCode, email } = req.body;
+
+    if (!uniqueCode || !email) {
+      return res.status(400).json({ error: 'Codice ordine ed email obbligatori' });
+    }
+
+    const order = await findCustomerOrder(prisma, { uniqueCode, email });
 
     if (!order) {
-      return res.status(404).json({ error: 'Ordine non trovato' });
+      return res.status(404).json({ error: 'Nessun ordine trovato con questo codice ed email' });
     }
 
-    res.json(order);
+    res.json(toPublicOrder(order));
   } catch (error) {
-    console.error('Error fetching order:', error);
+    console.error('Error looking up order:', error);
     res.status(500).json({ error: 'Errore nel recupero ordine' });
   }
 });
 
+// Lunghezza massima del motivo di annullamento scritto dal cliente
+const MAX_CANCEL_REASON_LENGTH = 500;
+
+// POST annullamento ordine da parte del cliente (solo se ancora PENDING)
+app.post('/api/orders/cancel', async (req, res) => {
+  try {
+    const { uniqueCode, email, reason } = req.body;
+
+    if (!uniqueCode || !email) {
+      return res.status(400).json({ error: 'Codice ordine ed email obbligatori' });
+    }
+
+    if (reason != null && (typeof reason !== 'string' || reason.length > MAX_CANCEL_REASON_LENGTH)) {
+      return res.status(400).json({ error: `Motivo non valido (testo, massimo ${MAX_CANCEL_REASON_LENGTH} caratteri)` });
+    }
+
+    const order = await findCustomerOrder(prisma, { uniqueCode, email });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Nessun ordine trovato con questo codice ed email' });
+    }
+
+    if (order.paymentStatus !== 'PENDING') {
+      return res.status(400).json({
+        error: 'L\'ordine non può più essere annullato: scrivici per assistenza',
+        code: 'INVALID_TRANSITION'
+      });
+    }
+
+    // Stock/codici restituiti dal ciclo di vita, avviso all'admin in coda
+    await cancelOrderByCustomer(prisma, order.id, { reason: reason?.trim() || undefined });
+
+    const fullOrder = await findCustomerOrder(prisma, { uniqueCode, email });
+    res.json(toPublicOrder(fullOrder));
+  } catch (error) {
+    // Es. pagato nel frattempo: la transizione PAID → CANCELLED non è ammessa
+    if (error.code === 'INVALID_TRANSITION') {
+      return res.status(400).json({
+        error: 'L\'ordine non può più essere annullato: scrivici per assistenza',
+        code: error.code
+      });
+    }
+    console.error('Error cancelling order:', error);
+    res.status(500).json({ error: 'Errore nell\'annullamento ordine' });
+  }
+});
+
 // ==================================
 // ADMIN API (basic auth per ora)
 // ==================================
@@ -155,12 +287,38 @@ const adminAuth = (req, res, next) => {
   next();
 };
 
+// GET dettaglio ordine (dati completi cliente: solo admin)
+app.get('/api/orders/:id', adminAuth, async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      include: {
+        items: {
+          include: { product: true }
+        }
+      }
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Ordine non trovato' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ error: 'Errore nel recupero ordine' });
+  }
+});
+
 // GET lista ordini (admin)
 app.get('/api/admin/orders', adminAuth, async (req, res) => {
   try {
-    const { status, page = 1, limit = 1000 } = req.query;
+    const { status, page = 1, limit = 1000, archived } = req.query;
 
-    const where = status ? { paymentStatus: status } : {};
+    const where = {
+      ...archivedWhere(archived),
+      ...(status ? { paymentStatus: status } : {})
+    };
 
     const orders = await prisma.order.findMany({
       where,
@@ -191,6 +349,8 @@ app.get('/api/admin/orders', adminAuth, async (req, res) => {
   }
 });
 
+const PAYMENT_METHOD_LABELS = { paypal: 'PayPal', revolut: 'Revolut', bonifico: 'Bonifico' };
+
 // GET export ordini in Excel
 // GET export ordini in Excel - UNA RIGA PER ORDINE
 app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
@@ -230,6 +390,9 @@ app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
       { header: 'Prodotti', key: 'products', width: 50 },
       { header: 'N. Articoli', key: 'totalItems', width: 12 },
       { header: 'Subtotale', key: 'subtotal', width: 12 },
+      { header: 'Spedizione', key: 'shippingMethod', width: 16 },
+      { header: 'Costo Sped.', key: 'shippingCost', width: 12 },
+      { header: 'Indirizzo', key: 'shippingAddress', width: 40 },
       { header: 'Sconto Bundle', key: 'discount', width: 14 },
       { header: 'Codice Promo', key: 'promoCode', width: 14 },
       { header: 'Sconto Promo', key: 'promoDiscount', width: 14 },
@@ -249,12 +412,18 @@ app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
     orders.forEach(order => {
       // Costruisci stringa prodotti
       const productsText = order.items.map(item =>
-        `${item.quantity}x ${item.product.name} - ${item.color} (${item.size}) = €${item.lineTotal.toFixed(2)}`
+        `${item.quantity}x ${item.product.name} - ${item.color} (${item.size}) = €${item.lineTotal.toFixed(2)}` +
+        (item.discountAmount > 0 ? ` (-€${item.discountAmount.toFixed(2)})` : '')
       ).join('\n');
 
       // Conta totale articoli
       const totalItems = order.items.reduce((sum, item) => sum + item.quantity, 0);
 
+      const address = order.shippingAddress;
+      const addressText = address
+        ? `${address.fullName}, ${address.street}, ${address.postalCode} ${address.city} (${address.province})`
+        : '';
+
       worksheet.addRow({
         orderNumber: `#${order.orderNumber.toString().padStart(4, '0')}`,
         uniqueCode: order.uniqueCode || '',
@@ -263,10 +432,13 @@ app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
         email: order.customerEmail,
         phone: order.customerPhone || '',
         status: order.paymentStatus,
-        paymentMethod: order.paymentMethod === 'paypal' ? 'PayPal' : 'Revolut',
+        paymentMethod: PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod,
         products: productsText,
         totalItems: totalItems,
         subtotal: `€${order.subtotal.toFixed(2)}`,
+        shippingMethod: order.shippingMethod || '',
+        shippingCost: order.shippingCost > 0 ? `€${order.shippingCost.toFixed(2)}` : '',
+        shippingAddress: addressText,
         discount: order.discount > 0 ? `-€${order.discount.toFixed(2)}` : '',
         promoCode: order.promoCode || '',
         promoDiscount: order.promoDiscount > 0 ? `-€${order.promoDiscount.toFixed(2)}` : '',
@@ -300,6 +472,43 @@ app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
       }
     });
 
+    // Foglio righe: UNA RIGA PER ARTICOLO, con lo sconto ripartito (margini, fatture)
+    const itemsSheet = workbook.addWorksheet('Righe');
+    itemsSheet.columns = [
+      { header: 'N. Ordine', key: 'orderNumber', width: 12 },
+      { header: 'Stato', key: 'status', width: 12 },
+      { header: 'Prodotto', key: 'product', width: 28 },
+      { header: 'Colore', key: 'color', width: 16 },
+      { header: 'Taglia', key: 'size', width: 8 },
+      { header: 'Quantità', key: 'quantity', width: 10 },
+      { header: 'Prezzo Unit.', key: 'unitPrice', width: 12 },
+      { header: 'Totale Riga', key: 'lineTotal', width: 12 },
+      { header: 'Sconto Riga', key: 'discountAmount', width: 12 },
+      { header: 'Netto Riga', key: 'netTotal', width: 12 },
+      { header: 'Dettaglio Sconti', key: 'discountDetails', width: 40 }
+    ];
+    itemsSheet.getRow(1).font = { bold: true };
+
+    orders.forEach(order => {
+      order.items.forEach(item => {
+        itemsSheet.addRow({
+          orderNumber: `#${order.orderNumber.toString().padStart(4, '0')}`,
+          status: order.paymentStatus,
+          product: item.product.name,
+          color: item.color,
+          size: item.size,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          lineTotal: item.lineTotal,
+          discountAmount: item.discountAmount,
+          netTotal: item.lineTotal - item.discountAmount,
+          discountDetails: (item.discountAllocations || [])
+            .map(a => `${a.label}: -€${a.amount.toFixed(2)}`)
+            .join('\n')
+        });
+      });
+    });
+
     // Invia file
     res.setHeader(
       'Content-Type',
@@ -318,60 +527,344 @@ app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
     res.status(500).json({ error: 'Errore nell\'esportazione: ' + error.message });
   }
 });
-// PUT aggiorna stato ordine
+// PUT aggiorna stato ordine (REFUNDED = rimborso totale, body: refundMethod?, refundReason?)
 app.put('/api/admin/orders/:id', adminAuth, async (req, res) => {
   try {
-    const { paymentStatus, paymentId, notes } = req.body;
+    const { paymentStatus, paymentId, notes, trackingNumber, trackingUrl, refundMethod, refundReason } = req.body;
+
+    const order = await updateOrder(prisma, req.params.id, {
+      paymentStatus,
+      paymentId,
+      notes,
+      trackingNumber,
+      trackingUrl,
+      refundMethod,
+      refundReason
+    }, { actor: getRequestActor(req) });
 
-    // 🆕 VALIDAZIONE: Impedisci salti di stato non validi
-    if (paymentStatus) {
-      const currentOrder = await prisma.order.findUnique({
-        where: { id: req.params.id }
-      });
+    res.json(order);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
+    console.error('Error updating order:', error);
+    res.status(500).json({ error: 'Errore nell\'aggiornamento ordine' });
+  }
+});
 
-      const invalidTransitions = {
-        'PENDING': ['ORDERED', 'DELIVERED'], // PENDING può andare solo a PAID o FAILED
-        'PAID': ['DELIVERED'], // PAID può andare solo a ORDERED
-        'ORDERED': ['PAID', 'PENDING'], // ORDERED può andare solo a DELIVERED
-        'DELIVERED': ['PENDING', 'PAID', 'ORDERED'] // DELIVERED è finale
-      };
+// GET timeline ordine (storico eventi)
+app.get('/api/admin/orders/:id/timeline', adminAuth, async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, orderNumber: true, paymentStatus: true }
+    });
 
-      if (invalidTransitions[currentOrder.paymentStatus]?.includes(paymentStatus)) {
-        return res.status(400).json({
-          error: `Transizione non valida: ${currentOrder.paymentStatus} → ${paymentStatus}`
-        });
+    if (!order) {
+      return res.status(404).json({ error: 'Ordine non trovato' });
+    }
+
+    const events = await getOrderTimeline(prisma, order.id);
+
+    res.json({
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      paymentStatus: order.paymentStatus,
+      events
+    });
+  } catch (error) {
+    console.error('Error fetching order timeline:', error);
+    res.status(500).json({ error: 'Errore nel recupero storico ordine' });
+  }
+});
+
+// POST registra rimborso (totale o parziale per riga)
+// Body: { method, reason?, amount?, lines?: [{ orderItemId, quantity, amount? }] }
+app.post('/api/admin/orders/:id/refunds', adminAuth, async (req, res) => {
+  try {
+    const { amount, lines, reason, method } = req.body;
+
+    const refund = await createRefund(prisma, req.params.id, {
+      amount,
+      lines,
+      reason,
+      method,
+      actor: 'admin'
+    });
+
+    res.json(refund);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
+    console.error('Error creating refund:', error);
+    res.status(500).json({ error: 'Errore nella registrazione del rimborso' });
+  }
+});
+
+// GET rimborsi di un ordine
+app.get('/api/admin/orders/:id/refunds', adminAuth, async (req, res) => {
+  try {
+    const refunds = await prisma.refund.findMany({
+      where: { orderId: req.params.id },
+      include: { lines: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(refunds);
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({ error: 'Errore nel recupero rimborsi' });
+  }
+});
+
+// POST registra un pagamento ricevuto (PAID, PARTIALLY_PAID o segnalato per verifica)
+app.post('/api/admin/orders/:id/payments', adminAuth, async (req, res) => {
+  try {
+    const { amount, paymentId, source } = req.body;
+    const actor = getRequestActor(req);
+
+    if (amount !== undefined && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({ error: 'Importo non valido' });
+    }
+
+    const result = await recordPayment(prisma, req.params.id, {
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      paymentId,
+      source,
+      actor
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
+    console.error('Error recording payment:', error);
+    res.status(500).json({ error: 'Errore nella registrazione del pagamento' });
+  }
+});
+
+// GET ordini da verificare (pagati in eccesso / doppio pagamento)
+app.get('/api/admin/orders/review', adminAuth, async (req, res) => {
+  try {
+    const orders = await prisma.order.findMany({
+      where: { needsReview: true },
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    res.json(orders.map(order => ({
+      ...order,
+      excessAmount: Math.round((order.amountReceived - order.total - order.refundedAmount) * 100) / 100
+    })));
+  } catch (error) {
+    console.error('Error fetching orders to review:', error);
+    res.status(500).json({ error: 'Errore nel recupero ordini da verificare' });
+  }
+});
+
+// POST chiude la verifica (es. eccedenza rimborsata o tenuta come donazione)
+app.post('/api/admin/orders/:id/review/resolve', adminAuth, async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const order = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({ where: { id: req.params.id } });
+
+      if (!order) {
+        throw httpError(404, 'Ordine non trovato');
+      }
+
+      if (!order.needsReview) {
+        throw httpError(400, 'Ordine non da verificare');
       }
+
+      const updated = await tx.order.update({
+        where: { id: order.id },
+        data: { needsReview: false, reviewReason: null }
+      });
+
+      await recordOrderEvent(tx, {
+        orderId: order.id,
+        type: ORDER_EVENT_TYPES.REVIEW_RESOLVED,
+        actor: 'admin',
+        data: { reason: order.reviewReason, note }
+      });
+
+      return updated;
+    });
+
+    res.json(order);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Error resolving review:', error);
+    res.status(500).json({ error: 'Errore nella chiusura della verifica' });
+  }
+});
 
-    const order = await prisma.order.update({
-      where: { id: req.params.id },
-      data: {
-        paymentStatus,
-        paymentId,
-        notes,
-        paidAt: paymentStatus === 'PAID' ? new Date() : undefined
+// ==================================
+// RICONCILIAZIONE PAGAMENTI (PaymentLog non abbinati)
+// ==================================
+
+// GET pagamenti da gestire, con ordini candidati in ordine di probabilità
+app.get('/api/admin/payment-logs/unresolved', adminAuth, async (req, res) => {
+  try {
+    const logs = await prisma.paymentLog.findMany({
+      where: {
+        status: { in: UNRESOLVED_LOG_STATUSES },
+        resolvedAt: null
       },
-      include: {
-        items: {
-          include: { product: true }
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const entries = [];
+    for (const log of logs) {
+      const payment = describePaymentLog(log);
+      // Estratto conto: conta la data del movimento, non quella dell'import
+      const candidates = await findCandidateOrders(prisma, log.rawData?.paymentData || {}, {
+        referenceDate: log.rawData?.bookedAt ? new Date(log.rawData.bookedAt) : log.createdAt
+      });
+
+      // Ordine già individuato dal parser (aggiornamento fallito) = primo candidato
+      if (log.orderId && !candidates.some(c => c.order.id === log.orderId)) {
+        const order = await prisma.order.findUnique({ where: { id: log.orderId } });
+        if (order) {
+          candidates.unshift({ order, strategy: 'parser', label: 'Abbinato dal parser' });
         }
       }
+
+      entries.push({
+        id: log.id,
+        source: log.source,
+        status: log.status,
+        createdAt: log.createdAt,
+        ...payment,
+        candidates: candidates.map(({ order, strategy, label }) => ({
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          uniqueCode: order.uniqueCode,
+          customerName: order.customerName,
+          customerEmail: order.customerEmail,
+          total: order.total,
+          paymentStatus: order.paymentStatus,
+          createdAt: order.createdAt,
+          strategy,
+          label
+        }))
+      });
+    }
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching payment logs:', error);
+    res.status(500).json({ error: 'Errore nel recupero pagamenti' });
+  }
+});
+
+// POST conferma abbinamento pagamento → ordine (l'ordine passa a PAID)
+app.post('/api/admin/payment-logs/:id/confirm', adminAuth, async (req, res) => {
+  try {
+    const { orderId, paymentId, note } = req.body;
+
+    const log = await confirmPaymentMatch(prisma, req.params.id, {
+      orderId,
+      paymentId,
+      note,
+      actor: 'admin'
     });
 
-    // Invia email se ordine confermato (solo PAID, non più per altri stati)
-    if (paymentStatus === 'PAID' && order.customerEmail) {
-      try {
-        await sendOrderConfirmationEmail(order);
-        console.log(`✅ Email sent to ${order.customerEmail}`);
-      } catch (emailError) {
-        console.error('❌ Email send failed:', emailError);
-      }
+    res.json(log);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
     }
+    console.error('Error confirming payment match:', error);
+    res.status(500).json({ error: 'Errore nella conferma del pagamento' });
+  }
+});
 
-    res.json(order);
+// POST scarta pagamento (non legato a un ordine)
+app.post('/api/admin/payment-logs/:id/dismiss', adminAuth, async (req, res) => {
+  try {
+    const log = await dismissPaymentLog(prisma, req.params.id, {
+      note: req.body.note,
+      actor: 'admin'
+    });
+
+    res.json(log);
   } catch (error) {
-    console.error('Error updating order:', error);
-    res.status(500).json({ error: 'Errore nell\'aggiornamento ordine' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error dismissing payment log:', error);
+    res.status(500).json({ error: 'Errore nello scarto del pagamento' });
+  }
+});
+
+// POST import estratto conto CSV (bonifici): abbina quelli con riferimento RF,
+// il resto finisce nella coda di riconciliazione. Body: CSV grezzo o { csv }
+app.post('/api/admin/bank-statements/import', adminAuth, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const content = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+    if (!content) {
+      return res.status(400).json({ error: 'Estratto conto mancante' });
+    }
+
+    const summary = await importBankStatement(prisma, content);
+    res.json(summary);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error importing bank statement:', error);
+    res.status(500).json({ error: 'Errore nell\'import dell\'estratto conto' });
+  }
+});
+
+// GET coda email (default: fallite, cioè non più ritentate in automatico)
+app.get('/api/admin/email-jobs', adminAuth, async (req, res) => {
+  try {
+    const { status = 'failed' } = req.query;
+
+    const jobs = await prisma.emailJob.findMany({
+      where: status === 'all' ? {} : { status },
+      include: {
+        order: {
+          select: { id: true, orderNumber: true, customerEmail: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 200
+    });
+
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching email jobs:', error);
+    res.status(500).json({ error: 'Errore nel recupero coda email' });
+  }
+});
+
+// POST rimette in coda un'email fallita
+app.post('/api/admin/email-jobs/:id/retry', adminAuth, async (req, res) => {
+  try {
+    const job = await prisma.emailJob.findUnique({ where: { id: req.params.id } });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Email non trovata' });
+    }
+
+    if (job.status === 'sent') {
+      return res.status(400).json({ error: 'Email già inviata' });
+    }
+
+    const updated = await retryEmailJob(prisma, job.id);
+    res.json(updated);
+  } catch (error) {
+    console.error('Error retrying email job:', error);
+    res.status(500).json({ error: 'Errore nel nuovo tentativo di invio' });
   }
 });
 
@@ -412,6 +905,7 @@ app.put('/api/admin/config', adminAuth, async (req, res) => {
 app.get('/api/admin/products', adminAuth, async (req, res) => {
   try {
     const products = await prisma.product.findMany({
+      where: archivedWhere(req.query.archived),
       orderBy: { name: 'asc' }
     });
     res.json(products);
@@ -424,198 +918,153 @@ app.get('/api/admin/products', adminAuth, async (req, res) => {
 // POST crea nuovo prodotto
 app.post('/api/orders', async (req, res) => {
   try {
-    const { customerEmail, customerName, customerPhone, items, paymentMethod, promoCode } = req.body;
+    const {
+      customerEmail,
+      customerName,
+      customerPhone,
+      items,
+      paymentMethod,
+      promoCode,
+      shippingMethod,
+      shippingAddress
+    } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key')?.trim() || null;
 
     if (!customerEmail || !items || items.length === 0) {
       return res.status(400).json({ error: 'Dati ordine incompleti' });
     }
 
-    // Recupera prodotti
-    const productIds = [...new Set(items.map(i => i.productId))];
-    const products = await prisma.product.findMany({
-      where: { id: { in: productIds } }
-    });
-    const productMap = Object.fromEntries(products.map(p => [p.id, p]));
-
-    // Check prezzi lancio
-    const launchActive = await prisma.config.findUnique({
-      where: { key: 'launch_prices_active' }
-    });
-    const useLaunchPrices = launchActive?.value?.active || false;
-
-    // Calcola subtotal
-    let subtotal = 0;
-    const orderItems = items.map(item => {
-      const product = productMap[item.productId];
-      const unitPrice = useLaunchPrices && product.launchPrice
-        ? product.launchPrice
-        : product.basePrice;
-      const lineTotal = unitPrice * item.quantity;
-      subtotal += lineTotal;
-
-      return {
-        productId: item.productId,
-        color: item.color,
-        size: item.size,
-        quantity: item.quantity,
-        unitPrice,
-        lineTotal
-      };
-    });
-
-    // 🆕 CALCOLA PROMOZIONI AUTOMATICHE
-    const cart = {
-      items: orderItems.map((item, i) => ({
-        ...item,
-        product: productMap[items[i].productId]
-      })),
-      subtotal,
-      totalItems: items.reduce((sum, i) => sum + i.quantity, 0),
-      shippingCost: 0
-    };
-
-    const promoResult = await calculatePromotions(cart, customerEmail, prisma);
-    let promotionDiscount = promoResult.totalDiscount;
+    if (paymentMethod === 'bonifico' && !getBankDetails()) {
+      return res.status(400).json({ error: 'Pagamento con bonifico non disponibile' });
+    }
 
-    // Applica vecchio bundle discount (da deprecare?)
-    let discount = 0;
-    const sizeCounts = {};
-    orderItems.forEach(item => {
-      sizeCounts[item.size] = (sizeCounts[item.size] || 0) + item.quantity;
-    });
-    const hasBundleDiscount = Object.values(sizeCounts).some(count => count >= 2);
-    if (hasBundleDiscount) {
-      const bundleConfig = await prisma.config.findUnique({
-        where: { key: 'bundle_discount' }
+    // 🔁 Checkout ripetuto (doppio click / retry): ritorna l'ordine originale
+    if (idempotencyKey) {
+      const existingOrder = await prisma.order.findUnique({
+        where: { idempotencyKey }
       });
-      const discountPercentage = bundleConfig?.value?.percentage || 5;
-      discount = subtotal * (discountPercentage / 100);
+      if (existingOrder) {
+        return replayOrderResponse(res, existingOrder, customerEmail);
+      }
     }
 
-    // Applica codice promo manuale (STACKING SUPPORT)
-    let promoDiscount = 0;
-    const usedPromoCodes = []; // Array per tracciare i codici usati
-
-    if (promoCode) {
-      const codesList = promoCode.split(',').map(c => c.trim()).filter(c => c.length > 0);
-      let currentAmount = subtotal - discount - promotionDiscount; // Base per calcolo, ridotta da sconti precedenti
-
-      for (const singleCode of codesList) {
-        const promo = await prisma.promoCode.findUnique({
-          where: { code: singleCode.toUpperCase().trim() }
+    let result;
+    try {
+      // Tutto il flusso in un'unica transazione: o si salva tutto o niente
+      result = await prisma.$transaction(async (tx) => {
+        // 💶 Prezzi, spedizione e sconti: stessa pipeline di /api/promotions/calculate
+        // (un codice non valido blocca l'ordine)
+        const { orderItems, method, pricing } = await priceCart(tx, {
+          items,
+          customerEmail,
+          promoCode,
+          shippingMethod
         });
-
-        if (promo && promo.isActive) {
-          // Check generici validità (date, usi totali user)
-          // Nota: Check allowedEmails già fatto idealmente in validate, ma qui 
-          // potremmo ri-verificare per sicurezza. Per brevità e coerenza col codice precedente,
-          // mi fido che siano validi o faccio check minimi essenziali per integrità dati.
-
-          let singleDiscount = 0;
-          if (promo.discountType === 'PERCENTAGE') {
-            singleDiscount = currentAmount * (promo.discountValue / 100);
-          } else {
-            singleDiscount = promo.discountValue;
+        const address = validateShippingAddress(method, shippingAddress);
+        const usedPromoCodes = pricing.appliedCodes.filter(c => c.appliedDiscount > 0);
+
+        // 📦 Scala magazzino (rifiuta l'ordine se una variante è esaurita)
+        await reserveStock(tx, orderItems);
+
+        // Crea ordine (uniqueCode provvisorio finché non abbiamo l'orderNumber)
+        const created = await tx.order.create({
+          data: {
+            customerEmail,
+            customerName,
+            uniqueCode: generateUniqueOrderCode(Date.now()),
+            customerPhone,
+            subtotal: pricing.subtotal,
+            discount: pricing.bundleDiscount,
+            promoCode: promoCode || null,
+            promoDiscount: pricing.codeDiscount,
+            total: pricing.total,
+            paymentMethod: paymentMethod || 'paypal',
+            shippingMethod: method.id,
+            shippingCost: pricing.shippingCost,
+            shippingAddress: address || undefined,
+            appliedPromotions: pricing.appliedPromotions, // 🆕 Salva dettagli promo
+            idempotencyKey,
+            items: {
+              // Con la quota di sconto di ogni riga (rimborsi parziali, margini, export)
+              create: orderItems.map((item, i) => ({
+                ...item,
+                discountAmount: pricing.lines[i].discountAmount,
+                discountAllocations: pricing.lines[i].allocations
+              }))
+            }
           }
+        });
 
-          singleDiscount = Math.min(singleDiscount, currentAmount);
-
-          if (singleDiscount > 0) {
-            promoDiscount += singleDiscount;
-            currentAmount -= singleDiscount;
-
-            usedPromoCodes.push(promo);
-
-            // Registra usage SUBITO o dopo create? 
-            // Il codice originale faceva create dentro l'if.
-            // Qui accumuliamo e creiamo usage dopo aver confermato tutto.
-          }
+        // 🆕 Registra utilizzi codici promo
+        for (const promo of usedPromoCodes) {
+          await tx.promoCodeUsage.create({
+            data: {
+              promoCodeId: promo.id,
+              customerEmail,
+              orderId: created.id
+            }
+          });
         }
-      }
-    }
 
-    const total = subtotal - discount - promotionDiscount - promoDiscount;
-    // Record usages separatamente dopo
-    // Nota: lo faremo dopo aver creato l'ordine per sicurezza tx, oppure qui?
-    // Il codice originale faceva: await prisma.promoCodeUsage.create(...)
-    // Facciamolo qui per mantenere logica flusso, o meglio, facciamolo dopo order create se vogliamo essere sicuri
-    // ma il codice originale lo faceva PRIMA di creare l'ordine (azzardato se order create fallisce).
-    // Spostiamolo DOPO la creazione dell'ordine per correttezza, o lasciamolo qui se vogliamo.
-    // Il codice originale era:
-    // await prisma.promoCodeUsage.create({ data: { promoCodeId: promo.id, customerEmail } });
-    // Mantengo l'ordine originale: registriamo l'uso.
-    // Crea ordine
-    const order = await prisma.order.create({
-      data: {
-        customerEmail,
-        customerName,
-        uniqueCode: generateUniqueOrderCode(Date.now()),
-        customerPhone,
-        subtotal,
-        discount,
-        // promotionDiscount, // Removed as not in schema
-        promoCode: promoCode || null,
-        promoDiscount,
-        total,
-        paymentMethod: paymentMethod || 'paypal',
-        appliedPromotions: promoResult.appliedPromotions, // 🆕 Salva dettagli promo
-        items: {
-          create: orderItems
-        }
-      },
-      include: {
-        items: {
-          include: { product: true }
-        }
-      }
-    });
+        // 🆕 Registra utilizzi promozioni
+        for (const appliedPromo of pricing.appliedPromotions) {
+          await tx.promotionUsage.create({
+            data: {
+              promotionId: appliedPromo.id,
+              orderId: created.id,
+              customerEmail,
+              discountApplied: appliedPromo.discount
+            }
+          });
 
-    // 🆕 Registra utilizzi promozioni DOPO aver creato l'ordine
-    for (const promo of usedPromoCodes) {
-      await prisma.promoCodeUsage.create({
-        data: {
-          promoCodeId: promo.id,
-          customerEmail,
-          orderId: order.id
+          // Incrementa counter
+          await tx.promotion.update({
+            where: { id: appliedPromo.id },
+            data: { usageCount: { increment: 1 } }
+          });
         }
-      });
-    }
 
-    // 🆕 Registra utilizzi promozioni
-    for (const appliedPromo of promoResult.appliedPromotions) {
-      await prisma.promotionUsage.create({
-        data: {
-          promotionId: appliedPromo.id,
+        const order = await tx.order.update({
+          where: { id: created.id },
+          data: { uniqueCode: generateUniqueOrderCode(created.orderNumber) }
+        });
+
+        await recordOrderEvent(tx, {
           orderId: order.id,
-          customerEmail,
-          discountApplied: appliedPromo.discount
-        }
-      });
+          type: ORDER_EVENT_TYPES.CREATED,
+          actor: 'system',
+          toStatus: order.paymentStatus,
+          data: { source: 'checkout', total: order.total }
+        });
 
-      // Incrementa counter
-      await prisma.promotion.update({
-        where: { id: appliedPromo.id },
-        data: { usageCount: { increment: 1 } }
-      });
+        return { order, pricing };
+      }, { timeout: 15000 });
+    } catch (error) {
+      // Due richieste in parallelo con la stessa chiave: vince la prima
+      if (idempotencyKey && error.code === 'P2002' && error.meta?.target?.includes('idempotencyKey')) {
+        const existingOrder = await prisma.order.findUnique({
+          where: { idempotencyKey }
+        });
+        return replayOrderResponse(res, existingOrder, customerEmail);
+      }
+      // Stesso codice usato in parallelo da un altro checkout della stessa email
+      if (error.code === 'P2002' && error.meta?.target?.includes('promoCodeId')) {
+        return res.status(400).json({ error: 'Codice promo già utilizzato', code: 'INVALID_PROMO_CODE' });
+      }
+      throw error;
     }
 
-    const uniqueCode = generateUniqueOrderCode(order.orderNumber);
-    await prisma.order.update({
-      where: { id: order.id },
-      data: { uniqueCode }
-    });
-
-    res.json({
-      orderId: order.id,
-      orderNumber: order.orderNumber,
-      uniqueCode: uniqueCode,
-      total: order.total,
-      appliedPromotions: promoResult.appliedPromotions, // 🆕 Invia info al frontend
-      giftProducts: promoResult.giftProducts, // 🆕
-      paymentUrl: generatePaymentUrl(order)
-    });
+    res.json(buildOrderResponse(
+      result.order,
+      result.pricing.appliedPromotions,
+      result.pricing.giftProducts,
+      result.pricing
+    ));
 
   } catch (error) {
+    if (['OUT_OF_STOCK', 'INVALID_PROMO_CODE', 'INVALID_SHIPPING', 'INVALID_CART'].includes(error.code)) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error('Error creating order:', error);
     res.status(500).json({ error: 'Errore nella creazione dell\'ordine' });
   }
@@ -632,6 +1081,20 @@ app.post('/api/admin/orders/manual', adminAuth, async (req, res) => {
   } = req.body;
 
   try {
+    // Stato iniziale: l'ordine nasce PENDING e passa dal ciclo di vita
+    const initialStatus = paymentStatus || 'PENDING';
+    if (!INITIAL_STATUSES.includes(initialStatus)) {
+      return res.status(400).json({
+        error: `Stato iniziale non valido: ${initialStatus} (ammessi: ${INITIAL_STATUSES.join(', ')})`
+      });
+    }
+
+    // Righe: stesse regole del carrello (quantità intere da 1 in su)
+    if (!items || items.length === 0) {
+      throw httpError(400, 'Nessun articolo nell\'ordine', { code: 'INVALID_CART' });
+    }
+    validateCartItems(items);
+
     // Genera orderNumber progressivo
     const lastOrder = await prisma.order.findFirst({
       orderBy: { orderNumber: 'desc' }
@@ -645,6 +1108,11 @@ app.post('/api/admin/orders/manual', adminAuth, async (req, res) => {
     });
     const productMap = Object.fromEntries(products.map(p => [p.id, p]));
 
+    const missing = productIds.filter(id => !productMap[id]);
+    if (missing.length > 0) {
+      throw httpError(400, 'Prodotto non trovato', { code: 'INVALID_CART', details: { productIds: missing } });
+    }
+
     // Calcola totale
     let total = customTotal || 0;
     if (!customTotal) {
@@ -655,47 +1123,73 @@ app.post('/api/admin/orders/manual', adminAuth, async (req, res) => {
       }, 0);
     }
 
+    // Crea ordine (scalando il magazzino)
+    const order = await prisma.$transaction(async (tx) => {
+      await reserveStock(tx, items);
 
-
-    // Crea ordine
-    const order = await prisma.order.create({
-      data: {
-        orderNumber,
-        uniqueCode: generateUniqueOrderCode(orderNumber),
-        customerName,
-        customerEmail,
-        customerPhone,
-        paymentMethod,
-        paymentStatus,
-        total,
-        subtotal: total,
-        discount: 0,
-        promoDiscount: 0,
-        paidAt: paymentStatus !== 'PENDING' ? new Date() : null,
-        items: {
-          create: items.map(item => {
-            const product = productMap[item.productId]; // Ora product esiste
-            const unitPrice = item.customPrice || product.launchPrice || product.basePrice;
-            return {
-              productId: item.productId,
-              quantity: item.quantity,
-              color: item.color,
-              size: item.size,
-              unitPrice,
-              lineTotal: unitPrice * item.quantity
-            };
-          })
-        }
-      },
-      include: {
-        items: {
-          include: { product: true }
+      const created = await tx.order.create({
+        data: {
+          orderNumber,
+          uniqueCode: generateUniqueOrderCode(orderNumber),
+          customerName,
+          customerEmail,
+          customerPhone,
+          paymentMethod,
+          paymentStatus: 'PENDING',
+          total,
+          subtotal: total,
+          discount: 0,
+          promoDiscount: 0,
+          items: {
+            create: items.map(item => {
+              const product = productMap[item.productId]; // Ora product esiste
+              const unitPrice = item.customPrice || product.launchPrice || product.basePrice;
+              return {
+                productId: item.productId,
+                quantity: item.quantity,
+                color: item.color,
+                size: item.size,
+                unitPrice,
+                lineTotal: unitPrice * item.quantity
+              };
+            })
+          }
+        },
+        include: {
+          items: {
+            include: { product: true }
+          }
         }
+      });
+
+      await recordOrderEvent(tx, {
+        orderId: created.id,
+        type: ORDER_EVENT_TYPES.CREATED,
+        actor: 'admin',
+        toStatus: created.paymentStatus,
+        data: { source: 'manual', total: created.total }
+      });
+
+      // Ordine già pagato (es. vendita diretta): niente email di conferma
+      if (initialStatus !== 'PENDING') {
+        await transitionOrder(tx, created, initialStatus, { actor: 'admin', notify: false });
       }
+
+      return tx.order.findUnique({
+        where: { id: created.id },
+        include: {
+          items: {
+            include: { product: true }
+          }
+        }
+      });
     });
 
     res.json(order);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error('Error creating manual order:', error);
     res.status(500).json({ error: error.message });
   }
@@ -709,7 +1203,7 @@ app.post('/api/admin/products', adminAuth, async (req, res) => {
     const {
       name, slug, basePrice, launchPrice,
       colors, sizes, isActive, images,
-      description, sizeGuide, category, isComingSoon
+      description, sizeGuide, category, isComingSoon, hasInventory
     } = req.body;
 
     if (!name || !slug || !basePrice) {
@@ -729,6 +1223,7 @@ app.post('/api/admin/products', adminAuth, async (req, res) => {
         sizes: sizes || ['S', 'M', 'L', 'XL', 'XXL'],
         isActive: isActive !== undefined ? isActive : true,
         isComingSoon: isComingSoon !== undefined ? isComingSoon : false,  // ✅ AGGIUNGI QUESTO
+        hasInventory: hasInventory || false,
         images: images || []
       }
     });
@@ -748,7 +1243,7 @@ app.put('/api/admin/products/:id', adminAuth, async (req, res) => {
     const {
       name, basePrice, launchPrice,
       colors, sizes, isActive, images,
-      description, sizeGuide, category, isComingSoon
+      description, sizeGuide, category, isComingSoon, hasInventory
     } = req.body;
 
     const product = await prisma.product.update({
@@ -764,50 +1259,190 @@ app.put('/api/admin/products/:id', adminAuth, async (req, res) => {
         ...(sizes && { sizes }),
         ...(isActive !== undefined && { isActive }),
         ...(isComingSoon !== undefined && { isComingSoon }),
+        ...(hasInventory !== undefined && { hasInventory }),
         ...(images !== undefined && { images })
       }
     });
 
-    console.log('✅ Prodotto aggiornato:', product.name, 'Coming Soon:', product.isComingSoon);
-    res.json(product);
+    console.log('✅ Prodotto aggiornato:', product.name, 'Coming Soon:', product.isComingSoon);
+    res.json(product);
+  } catch (error) {
+    console.error('Error updating product:', error);
+    res.status(500).json({ error: 'Errore nell\'aggiornamento prodotto' });
+  }
+});
+
+// DELETE elimina prodotto
+// DELETE prodotto = archiviazione (gli ordini collegati restano intatti)
+app.delete('/api/admin/products/:id', adminAuth, async (req, res) => {
+  try {
+    await archiveProduct(prisma, req.params.id);
+    res.json({ success: true, archived: true });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting product:', error);
+    res.status(500).json({ error: 'Errore nell\'eliminazione prodotto' });
+  }
+});
+
+// POST archivia prodotto
+app.post('/api/admin/products/:id/archive', adminAuth, async (req, res) => {
+  try {
+    const product = await archiveProduct(prisma, req.params.id);
+    res.json(product);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error archiving product:', error);
+    res.status(500).json({ error: 'Errore nell\'archiviazione prodotto' });
+  }
+});
+
+// POST ripristina prodotto archiviato
+app.post('/api/admin/products/:id/restore', adminAuth, async (req, res) => {
+  try {
+    const product = await restoreProduct(prisma, req.params.id);
+    res.json(product);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error restoring product:', error);
+    res.status(500).json({ error: 'Errore nel ripristino prodotto' });
+  }
+});
+
+// GET magazzino prodotto (una riga per colore/taglia)
+app.get('/api/admin/products/:id/stock', adminAuth, async (req, res) => {
+  try {
+    const product = await prisma.product.findUnique({
+      where: { id: req.params.id },
+      include: {
+        stock: {
+          orderBy: [{ color: 'asc' }, { size: 'asc' }]
+        }
+      }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Prodotto non trovato' });
+    }
+
+    res.json({
+      productId: product.id,
+      hasInventory: product.hasInventory,
+      stock: product.stock
+    });
   } catch (error) {
-    console.error('Error updating product:', error);
-    res.status(500).json({ error: 'Errore nell\'aggiornamento prodotto' });
+    console.error('Error fetching stock:', error);
+    res.status(500).json({ error: 'Errore nel recupero magazzino' });
   }
 });
 
-// DELETE elimina prodotto
-app.delete('/api/admin/products/:id', adminAuth, async (req, res) => {
+// PUT imposta quantità disponibili per variante
+// Body: { stock: [{ color, size, quantity }] }
+app.put('/api/admin/products/:id/stock', adminAuth, async (req, res) => {
   try {
-    await prisma.product.delete({
+    const { stock } = req.body;
+
+    if (!Array.isArray(stock) || stock.length === 0) {
+      return res.status(400).json({ error: 'Nessuna variante specificata' });
+    }
+
+    const invalid = stock.find(s =>
+      !s.color || !s.size || !Number.isInteger(s.quantity) || s.quantity < 0
+    );
+    if (invalid) {
+      return res.status(400).json({ error: 'Ogni variante richiede colore, taglia e quantità intera >= 0' });
+    }
+
+    const product = await prisma.product.findUnique({
       where: { id: req.params.id }
     });
-    res.json({ success: true });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Prodotto non trovato' });
+    }
+
+    const rows = await prisma.$transaction(stock.map(s =>
+      prisma.productStock.upsert({
+        where: {
+          productId_color_size: {
+            productId: product.id,
+            color: s.color,
+            size: s.size
+          }
+        },
+        create: {
+          productId: product.id,
+          color: s.color,
+          size: s.size,
+          quantity: s.quantity
+        },
+        update: { quantity: s.quantity }
+      })
+    ));
+
+    console.log(`✅ Magazzino aggiornato: ${product.name} (${rows.length} varianti)`);
+    res.json(rows);
   } catch (error) {
-    console.error('Error deleting product:', error);
-    res.status(500).json({ error: 'Errore nell\'eliminazione prodotto' });
+    console.error('Error updating stock:', error);
+    res.status(500).json({ error: 'Errore nell\'aggiornamento magazzino' });
   }
 });
 
 // 🆕 DELETE cancella ordine (admin)
+// DELETE ordine = archiviazione (resta in analytics, report ed export)
 app.delete('/api/admin/orders/:id', adminAuth, async (req, res) => {
   try {
-    await prisma.order.delete({
-      where: { id: req.params.id }
-    });
-    res.json({ success: true });
+    await archiveOrder(prisma, req.params.id, { actor: 'admin' });
+    res.json({ success: true, archived: true });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Error deleting order:', error);
     res.status(500).json({ error: 'Errore nell\'eliminazione ordine' });
   }
 });
 
+// POST archivia ordine (se PENDING viene prima annullato)
+app.post('/api/admin/orders/:id/archive', adminAuth, async (req, res) => {
+  try {
+    const order = await archiveOrder(prisma, req.params.id, { actor: 'admin' });
+    res.json(order);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error archiving order:', error);
+    res.status(500).json({ error: 'Errore nell\'archiviazione ordine' });
+  }
+});
+
+// POST ripristina ordine archiviato
+app.post('/api/admin/orders/:id/restore', adminAuth, async (req, res) => {
+  try {
+    const order = await restoreOrder(prisma, req.params.id, { actor: 'admin' });
+    res.json(order);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error restoring order:', error);
+    res.status(500).json({ error: 'Errore nel ripristino ordine' });
+  }
+});
+
 //GET ordini con ricerca
 app.get('/api/admin/orders', adminAuth, async (req, res) => {
   try {
-    const { status, page = 1, limit = 20, search } = req.query;
+    const { status, page = 1, limit = 20, search, archived } = req.query;
 
-    const where = {};
+    const where = archivedWhere(archived);
 
     if (status) {
       where.paymentStatus = status;
@@ -857,12 +1492,27 @@ app.get('/api/admin/analytics', adminAuth, async (req, res) => {
     const paidOrders = await prisma.order.count({ where: { paymentStatus: 'PAID' } });
     const deliveredOrders = await prisma.order.count({ where: { paymentStatus: 'DELIVERED' } });
     const orderedOrders = await prisma.order.count({ where: { paymentStatus: 'ORDERED' } });
+    const partiallyPaidOrders = await prisma.order.count({ where: { paymentStatus: 'PARTIALLY_PAID' } });
+
+    // Incasso netto = totale ordini incassati + acconti degli ordini PARTIALLY_PAID
+    // - rimborsi parziali (gli ordini rimborsati del tutto sono REFUNDED e già esclusi)
+    const netRevenue = async (where = {}) => {
+      const paid = await prisma.order.aggregate({
+        where: { ...where, paymentStatus: { in: ['PAID', 'ORDERED', 'DELIVERED'] } },
+        _sum: { total: true, refundedAmount: true }
+      });
+      const partial = await prisma.order.aggregate({
+        where: { ...where, paymentStatus: 'PARTIALLY_PAID' },
+        _sum: { amountReceived: true, refundedAmount: true }
+      });
 
-    const revenue = await prisma.order.aggregate({
-      where: {
-        paymentStatus: { in: ['PAID', 'ORDERED', 'DELIVERED'] }
-      },
-      _sum: { total: true }
+      return (paid._sum.total || 0) - (paid._sum.refundedAmount || 0) +
+        (partial._sum.amountReceived || 0) - (partial._sum.refundedAmount || 0);
+    };
+
+    // Rimborsi (totali + parziali) registrati
+    const refunds = await prisma.refund.aggregate({
+      _sum: { amount: true }
     });
 
     const topProducts = await prisma.orderItem.groupBy({
@@ -886,33 +1536,23 @@ app.get('/api/admin/analytics', adminAuth, async (req, res) => {
       }
     });
 
-    const paypalRevenue = await prisma.order.aggregate({
-      where: {
-        paymentMethod: 'paypal',
-        paymentStatus: { in: ['PAID', 'ORDERED', 'DELIVERED'] }
-      },
-      _sum: { total: true }
-    });
-
-    const revolutRevenue = await prisma.order.aggregate({
-      where: {
-        paymentMethod: 'revolut',
-        paymentStatus: { in: ['PAID', 'ORDERED', 'DELIVERED'] }
-      },
-      _sum: { total: true }
-    });
+    const revenue = await netRevenue();
+    const paypalRevenue = await netRevenue({ paymentMethod: 'paypal' });
+    const revolutRevenue = await netRevenue({ paymentMethod: 'revolut' });
 
     res.json({
       totalOrders,
       paidOrders,
       deliveredOrders,
       orderedOrders,
-      revenue: revenue._sum.total || 0,
+      partiallyPaidOrders,
+      revenue,
+      refundedTotal: refunds._sum.amount || 0,
       topProducts,
       paypalOrders,
       revolutOrders,
-      paypalRevenue: paypalRevenue._sum.total || 0,
-      revolutRevenue: revolutRevenue._sum.total || 0
+      paypalRevenue,
+      revolutRevenue
     });
   } catch (error) {
     console.error('Error fetching analytics:', error);
@@ -990,111 +1630,58 @@ app.put('/api/admin/promo-codes/:id', adminAuth, async (req, res) => {
 });
 
 // POST Valida codice promozionale - SUPPORTA MULTIPLI CODICI (STACKING)
+// Con `items` passa dalla pipeline del checkout (bundle e promozioni prima dei
+// codici) e ritorna lo stesso totale; solo con `subtotal` applica i codici a
+// quell'importo (vecchi client).
 app.post('/api/validate-promo', async (req, res) => {
   try {
-    const { code, customerEmail, subtotal } = req.body;
+    const { code, customerEmail, subtotal, items, shippingMethod } = req.body;
 
-    if (!code || !customerEmail || !subtotal) {
+    if (!code || !customerEmail || (!subtotal && !items?.length)) {
       return res.status(400).json({ error: 'Dati mancanti' });
     }
 
-    // Gestione multipli codici (separati da virgola)
-    const codesList = code.split(',').map(c => c.trim()).filter(c => c.length > 0);
-
-    let currentSubtotal = parseFloat(subtotal);
-    let totalDiscount = 0;
-    const appliedCodes = [];
-    const messages = [];
-
-    for (const singleCode of codesList) {
-      // Cerca codice
-      const promoCode = await prisma.promoCode.findUnique({
-        where: { code: singleCode.toUpperCase().trim() },
-        include: {
-          usedBy: {
-            where: { customerEmail }
-          }
-        }
+    if (items?.length) {
+      const { pricing } = await priceCart(prisma, {
+        items,
+        customerEmail,
+        promoCode: code,
+        shippingMethod
       });
+      // Passi sbloccati dai codici: promozioni con requiresCode + PromoCode
+      const codeSteps = pricing.steps.filter(step => step.code);
+      const codes = codeSteps.map(step => step.code);
 
-      // Validazioni base (se un codice fallisce, lo ignoriamo o ritorniamo errore?
-      // Qui decido di ritornare errore al primo fallimento per chiarezza,
-      // oppure potremmo saltarlo. Dato che l'utente li inserisce uno alla volta, 
-      // meglio essere strict.)
-
-      if (!promoCode) {
-        return res.status(404).json({ error: `Codice '${singleCode}' non valido` });
-      }
-
-      if (!promoCode.isActive) {
-        return res.status(400).json({ error: `Codice '${singleCode}' non più attivo` });
-      }
-
-      if (promoCode.expiresAt && new Date(promoCode.expiresAt) < new Date()) {
-        return res.status(400).json({ error: `Codice '${singleCode}' scaduto` });
-      }
-
-      // Check se già usato da questa email
-      // NOTA: Se sta usando lo stesso codice due volte nella stessa richiesta (es: "TEST,TEST"),
-      // dobbiamo contare anche gli usi correnti? Per ora assumiamo che non passi lo stesso codice 2 volte.
-      // Se lo passa, il check database `usedBy` non basta perché non è ancora salvato.
-      // Aggiungiamo check duplicati nella lista input.
-      if (appliedCodes.some(ac => ac.code === promoCode.code)) {
-        return res.status(400).json({ error: `Codice '${singleCode}' inserito più volte` });
-      }
-
-      if (promoCode.usedBy.length >= promoCode.maxUsesPerUser) {
-        return res.status(400).json({ error: `Codice '${singleCode}' già utilizzato` });
-      }
-
-      // Check email limitate
-      if (promoCode.allowedEmails && promoCode.allowedEmails.length > 0) {
-        const isAllowed = promoCode.allowedEmails.some(
-          allowedEmail => allowedEmail.toLowerCase().trim() === customerEmail.toLowerCase().trim()
-        );
-
-        if (!isAllowed) {
-          return res.status(400).json({ error: `Codice '${singleCode}' non valido per questo utente` });
-        }
-      }
-
-      // Calcola sconto su SUBTOTALE RESIDUO (Compounding)
-      let discount = 0;
-      if (promoCode.discountType === 'PERCENTAGE') {
-        discount = currentSubtotal * (promoCode.discountValue / 100);
-      } else {
-        discount = promoCode.discountValue;
-      }
-
-      // Non può superare il residuo
-      discount = Math.min(discount, currentSubtotal);
-
-      // Aggiorna totali
-      currentSubtotal -= discount;
-      totalDiscount += discount;
-
-      appliedCodes.push({
-        code: promoCode.code,
-        discountType: promoCode.discountType,
-        discountValue: promoCode.discountValue,
-        appliedDiscount: parseFloat(discount.toFixed(2))
+      return res.json({
+        valid: true,
+        codes,
+        overallDiscount: parseFloat(codeSteps.reduce((sum, step) => sum + step.discount, 0).toFixed(2)),
+        newSubtotal: parseFloat((pricing.total - (pricing.shippingCost - pricing.shippingDiscount)).toFixed(2)),
+        total: parseFloat(pricing.total.toFixed(2)),
+        message: `Codici applicati:\n${codes.map(c => `- ${c}`).join('\n')}`,
+        pricing: describePricing(pricing)
       });
-
-      messages.push(promoCode.discountType === 'PERCENTAGE'
-        ? `- ${promoCode.code}: ${promoCode.discountValue}%`
-        : `- ${promoCode.code}: €${promoCode.discountValue}`
-      );
     }
 
+    // Gestione multipli codici (separati da virgola)
+    const { appliedCodes, totalDiscount, finalAmount, messages } = await validatePromoCodes(prisma, {
+      codes: parsePromoCodes(code),
+      customerEmail,
+      amount: parseFloat(subtotal)
+    });
+
     res.json({
       valid: true,
       codes: appliedCodes.map(c => c.code), // Ritorna lista codici validi
       overallDiscount: parseFloat(totalDiscount.toFixed(2)), // Sconto totale accumulato
-      newSubtotal: parseFloat(currentSubtotal.toFixed(2)),
+      newSubtotal: parseFloat(finalAmount.toFixed(2)),
       message: `Codici applicati:\n${messages.join('\n')}`
     });
 
   } catch (error) {
+    if (['INVALID_PROMO_CODE', 'INVALID_SHIPPING', 'INVALID_CART'].includes(error.code)) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error('Error validating promo:', error);
     res.status(500).json({ error: 'Errore nella validazione' });
   }
@@ -1207,28 +1794,57 @@ app.post('/api/admin/batches', adminAuth, async (req, res) => {
       return res.status(400).json({ error: 'Nessun ordine selezionato' });
     }
 
-    // Crea il lotto
-    const batch = await prisma.batch.create({
-      data: {
-        status: 'DRAFT',
-        supplierName,
-        supplierCost: supplierCost ? parseFloat(supplierCost) : null,
-        expectedDelivery: expectedDelivery ? new Date(expectedDelivery) : null,
-        notes
+    const batch = await prisma.$transaction(async (tx) => {
+      // Crea il lotto
+      const batch = await tx.batch.create({
+        data: {
+          status: 'DRAFT',
+          supplierName,
+          supplierCost: supplierCost ? parseFloat(supplierCost) : null,
+          expectedDelivery: expectedDelivery ? new Date(expectedDelivery) : null,
+          notes
+        }
+      });
+
+      const orders = await tx.order.findMany({
+        where: { id: { in: orderIds } },
+        include: { items: true }
+      });
+
+      if (orders.length !== orderIds.length) {
+        throw httpError(404, 'Uno o più ordini non trovati');
       }
-    });
 
-    // Aggiorna ordini
-    await prisma.order.updateMany({
-      where: { id: { in: orderIds } },
-      data: {
-        batchId: batch.id,
-        paymentStatus: 'ORDERED'
+      // Aggiorna ordini: PAID → ORDERED tramite ciclo di vita
+      for (const order of orders) {
+        if (order.paymentStatus !== 'ORDERED') {
+          await transitionOrder(tx, order, 'ORDERED', {
+            actor: 'admin',
+            eventData: { batchId: batch.id }
+          });
+        }
+
+        await tx.order.update({
+          where: { id: order.id },
+          data: { batchId: batch.id }
+        });
+
+        await recordOrderEvent(tx, {
+          orderId: order.id,
+          type: ORDER_EVENT_TYPES.BATCH_ASSIGNED,
+          actor: 'admin',
+          data: { batchId: batch.id, batchNumber: batch.batchNumber }
+        });
       }
-    });
+
+      return batch;
+    }, { timeout: 15000 });
 
     res.json(batch);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error('Error creating batch:', error);
     res.status(500).json({ error: 'Errore nella creazione lotto' });
   }
@@ -1364,98 +1980,6 @@ app.get('/api/admin/products/stats', adminAuth, async (req, res) => {
 });
 
 
-// Brevo (ex-Sendinblue) per invio email
-const SibApiV3Sdk = require('sib-api-v3-sdk');
-const defaultClient = SibApiV3Sdk.ApiClient.instance;
-const apiKey = defaultClient.authentications['api-key'];
-apiKey.apiKey = process.env.BREVO_API_KEY;
-const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
-
-async function sendOrderConfirmationEmail(order) {
-  try {
-    const itemsList = order.items.map(item =>
-      `${item.quantity}x ${item.product.name} - ${item.color} (${item.size}) = €${item.lineTotal.toFixed(2)}`
-    ).join('<br>');
-
-    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
-
-    sendSmtpEmail.subject = `Ordine #${order.orderNumber.toString().padStart(4, '0')} Confermato`;
-    sendSmtpEmail.htmlContent = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="text-align: center; margin-bottom: 30px;">
-          <h2 style="color: #000; margin-bottom: 10px;">Ordine Confermato! 🎉</h2>
-        </div>
-        
-        <p style="font-size: 16px;">Ciao <strong>${order.customerName}</strong>,</p>
-        <p style="font-size: 16px;">Il tuo ordine <strong>#${order.orderNumber.toString().padStart(4, '0')}</strong> è stato confermato!</p>
-        
-        <div style="margin: 30px 0;">
-          <h3 style="color: #333; margin-bottom: 15px;">📦 Dettagli Ordine:</h3>
-          <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; border-left: 4px solid #000;">
-            ${itemsList}
-          </div>
-        </div>
-        
-        <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <table style="width: 100%; border-collapse: collapse;">
-            <tr>
-              <td style="padding: 8px 0; color: #666;">Subtotale:</td>
-              <td style="padding: 8px 0; text-align: right; font-weight: bold;">€${order.subtotal.toFixed(2)}</td>
-            </tr>
-            ${order.discount > 0 ? `
-            <tr>
-              <td style="padding: 8px 0; color: #059669;">Sconto Bundle:</td>
-              <td style="padding: 8px 0; text-align: right; font-weight: bold; color: #059669;">-€${order.discount.toFixed(2)}</td>
-            </tr>
-            ` : ''}
-            ${order.promoDiscount > 0 ? `
-            <tr>
-              <td style="padding: 8px 0; color: #059669;">Codice ${order.promoCode}:</td>
-              <td style="padding: 8px 0; text-align: right; font-weight: bold; color: #059669;">-€${order.promoDiscount.toFixed(2)}</td>
-            </tr>
-            ` : ''}
-            <tr style="border-top: 2px solid #ddd;">
-              <td style="padding: 15px 0 0 0; font-size: 18px; font-weight: bold;">TOTALE:</td>
-              <td style="padding: 15px 0 0 0; text-align: right; font-size: 20px; font-weight: bold; color: #000;">€${order.total.toFixed(2)}</td>
-            </tr>
-          </table>
-        </div>
-        
-        <div style="background: #e0f2fe; border-left: 4px solid #0284c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
-          <p style="margin: 0; color: #0c4a6e;">
-            <strong>⏱️ Tempi di consegna:</strong> Riceverai la tua felpa entro <strong>3 settimane</strong>!
-          </p>
-        </div>
-        
-        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center;">
-          <p style="color: #666; margin: 5px 0;">Grazie per il tuo ordine!</p>
-          <p style="font-weight: bold; font-size: 18px; margin: 10px 0;">CLASSE VENETA</p>
-        </div>
-      </div>
-    `;
-
-    sendSmtpEmail.sender = {
-      name: "CLASSE VENETA",
-      email: "classeveneta@gmail.com"
-    };
-
-    sendSmtpEmail.to = [{
-      email: order.customerEmail,
-      name: order.customerName
-    }];
-
-    await apiInstance.sendTransacEmail(sendSmtpEmail);
-    console.log(`✅ Email inviata a ${order.customerEmail}`);
-
-  } catch (error) {
-    console.error('❌ Errore invio email:', error);
-    if (error.response) {
-      console.error('Dettagli errore Brevo:', error.response.text);
-    }
-    throw error;
-  }
-}
-
 // ==================================
 // HELPER: Genera Codice Univoco Ordine
 // ==================================
@@ -1475,18 +1999,77 @@ function generateUniqueOrderCode(orderNumber) {
   return `CLA$$EV€N€TA-${paddedNumber}-${hash}`;
 }
 
-function generatePaymentUrl(order) {
-  const amount = order.total.toFixed(2);
-  const orderId = order.orderNumber.toString().padStart(4, '0');
-  const note = `Ordine MIDA #${orderId}`;
+// ==================================
+// HELPER: Risposta checkout
+// ==================================
+function buildOrderResponse(order, appliedPromotions, giftProducts, pricing) {
+  return {
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    uniqueCode: order.uniqueCode,
+    total: order.total,
+    shippingMethod: order.shippingMethod,
+    shippingCost: order.shippingCost,
+    appliedPromotions: appliedPromotions || [], // 🆕 Invia info al frontend
+    giftProducts: giftProducts || [], // 🆕
+    pricing: pricing ? describePricing(pricing) : undefined, // Dettaglio sconti (non nei replay)
+    paymentUrl: generatePaymentUrl(order),
+    bankTransfer: getBankTransferInstructions(order)
+  };
+}
+
+// Riepilogo della pipeline sconti per il frontend (importi arrotondati al centesimo)
+function describePricing(pricing) {
+  const round = (value) => parseFloat(value.toFixed(2));
+  return {
+    subtotal: round(pricing.subtotal),
+    shippingCost: round(pricing.shippingCost),
+    bundleDiscount: round(pricing.bundleDiscount),
+    promotionDiscount: round(pricing.promotionDiscount),
+    shippingDiscount: round(pricing.shippingDiscount),
+    codeDiscount: round(pricing.codeDiscount),
+    totalDiscount: round(pricing.totalDiscount),
+    total: round(pricing.total),
+    stackingMode: pricing.stackingMode,
+    steps: pricing.steps.map(step => ({
+      ...step,
+      discount: round(step.discount),
+      total: round(step.total)
+    }))
+  };
+}
+
+// Chi sta facendo la modifica (script esterni possono identificarsi come "system"
+// via header X-Order-Actor; mai come cliente)
+function getRequestActor(req) {
+  const requestedActor = req.get('X-Order-Actor');
+  return ADMIN_REQUEST_ACTORS.includes(requestedActor) ? requestedActor : 'admin';
+}
 
-  if (order.paymentMethod === 'paypal') {
-    // Sostituisci con il tuo username PayPal
-    return `https://paypal.me/${process.env.PAYPAL_USER}/${amount}EUR?note=${encodeURIComponent(note)}`;
-  } else {
-    // Revolut Pay link (da configurare)
-    return `https://revolut.me/${process.env.REVOLUT_USER}`;
+// Ritorna la stessa risposta del checkout originale per un Idempotency-Key già visto
+async function replayOrderResponse(res, order, customerEmail) {
+  if (order.customerEmail.toLowerCase() !== customerEmail.toLowerCase()) {
+    return res.status(409).json({ error: 'Idempotency-Key già usata per un altro ordine' });
   }
+
+  const appliedPromotions = order.appliedPromotions || [];
+  const giftPromoIds = appliedPromotions
+    .filter(p => p.type === 'FREE_GIFT')
+    .map(p => p.id);
+
+  const giftPromotions = giftPromoIds.length > 0
+    ? await prisma.promotion.findMany({
+      where: { id: { in: giftPromoIds } },
+      include: { giftProduct: true }
+    })
+    : [];
+
+  console.log(`🔁 Checkout ripetuto: ritorno ordine #${order.orderNumber}`);
+  return res.json(buildOrderResponse(
+    order,
+    appliedPromotions,
+    giftPromotions.map(p => p.giftProduct).filter(Boolean)
+  ));
 }
 
 // ==================================
@@ -1509,6 +2092,63 @@ async function initializeDefaultConfigs() {
       });
       console.log('✅ Config promo_codes_visible inizializzata');
     }
+
+    // Config scadenza ordini non pagati
+    const pendingOrderDefaults = [
+      {
+        key: 'pending_order_reminder_hours',
+        value: { hours: 24 },
+        description: 'Ore dopo cui inviare il promemoria di pagamento agli ordini PENDING'
+      },
+      {
+        key: 'pending_order_expiry_hours',
+        value: { hours: 72 },
+        description: 'Ore dopo cui un ordine PENDING non pagato passa a FAILED'
+      }
+    ];
+
+    for (const config of pendingOrderDefaults) {
+      const existing = await prisma.config.findUnique({
+        where: { key: config.key }
+      });
+
+      if (!existing) {
+        await prisma.config.create({ data: config });
+        console.log(`✅ Config ${config.key} inizializzata`);
+      }
+    }
+
+    // Config cumulo promozioni
+    const stackingConfig = await prisma.config.findUnique({
+      where: { key: 'promotion_stacking' }
+    });
+
+    if (!stackingConfig) {
+      await prisma.config.create({
+        data: {
+          key: 'promotion_stacking',
+          value: { mode: 'priority' },
+          description: 'Cumulo promozioni: priority (ordine di priorità) o best_discount (combinazione più conveniente)'
+        }
+      });
+      console.log('✅ Config promotion_stacking inizializzata');
+    }
+
+    // Config metodi di spedizione
+    const shippingConfig = await prisma.config.findUnique({
+      where: { key: 'shipping_methods' }
+    });
+
+    if (!shippingConfig) {
+      await prisma.config.create({
+        data: {
+          key: 'shipping_methods',
+          value: DEFAULT_SHIPPING_CONFIG,
+          description: 'Metodi di spedizione (ritiro evento, punto di ritiro, corriere con tariffe per n. articoli)'
+        }
+      });
+      console.log('✅ Config shipping_methods inizializzata');
+    }
   } catch (error) {
     console.error('❌ Errore inizializzazione config:', error);
   }
@@ -1697,138 +2337,6 @@ app.post('/api/admin/products/:productId/notify-interested', adminAuth, async (r
   }
 });
 
-// ==================== EMAIL FUNCTIONS ====================
-
-async function sendInterestConfirmationEmail({ email, name, productName }) {
-  try {
-    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
-
-    sendSmtpEmail.subject = `✅ Ti avviseremo per "${productName}"`;
-    sendSmtpEmail.htmlContent = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="text-align: center; margin-bottom: 30px;">
-          <h2 style="color: #000; margin-bottom: 10px;">Grazie per l'interesse! 🙏</h2>
-        </div>
-        
-        <p style="font-size: 16px;">Ciao <strong>${name}</strong>,</p>
-        <p style="font-size: 16px;">
-          Abbiamo registrato il tuo interesse per <strong>${productName}</strong>.
-        </p>
-        
-        <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; border-left: 4px solid #000; margin: 30px 0;">
-          <p style="margin: 0; font-size: 14px;">
-            📧 Ti invieremo un'email non appena il prodotto sarà disponibile per l'acquisto!
-          </p>
-        </div>
-        
-        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center;">
-          <p style="color: #666; margin: 5px 0;">A presto!</p>
-          <p style="font-weight: bold; font-size: 18px; margin: 10px 0;">CLASSE VENETA</p>
-        </div>
-      </div>
-    `;
-
-    sendSmtpEmail.sender = {
-      name: "CLASSE VENETA",
-      email: "classeveneta@gmail.com"
-    };
-
-    sendSmtpEmail.to = [{ email, name }];
-
-    await apiInstance.sendTransacEmail(sendSmtpEmail);
-    console.log(`✅ Email conferma inviata a ${email}`);
-
-  } catch (error) {
-    console.error('❌ Errore invio email conferma:', error);
-    throw error;
-  }
-}
-
-async function sendProductAvailableEmail({
-  email, name, productName, productSlug, discountCode,
-  preferredColor, preferredSize
-}) {
-  try {
-    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
-
-    const productUrl = `${process.env.FRONTEND_URL || 'https://classeveneta.com'}/products/${productSlug}`;
-
-    let preferenceText = '';
-    if (preferredColor || preferredSize) {
-      preferenceText = '<p style="font-size: 14px; color: #666;">💡 Hai mostrato interesse per: ';
-      if (preferredColor) preferenceText += `<strong>Colore ${preferredColor}</strong>`;
-      if (preferredColor && preferredSize) preferenceText += ' - ';
-      if (preferredSize) preferenceText += `<strong>Taglia ${preferredSize}</strong>`;
-      preferenceText += '</p>';
-    }
-
-    let discountSection = '';
-    if (discountCode) {
-      discountSection = `
-        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; border-radius: 8px; margin: 30px 0; text-align: center;">
-          <p style="color: white; font-size: 16px; margin-bottom: 10px;">🎁 <strong>SCONTO ESCLUSIVO PER TE</strong></p>
-          <p style="color: white; font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 10px 0;">
-            ${discountCode}
-          </p>
-          <p style="color: rgba(255,255,255,0.9); font-size: 14px; margin-top: 10px;">
-            Usa questo codice al checkout per ottenere il tuo sconto!
-          </p>
-        </div>
-      `;
-    }
-
-    sendSmtpEmail.subject = `🎉 "${productName}" è finalmente disponibile!`;
-    sendSmtpEmail.htmlContent = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="text-align: center; margin-bottom: 30px;">
-          <h2 style="color: #000; margin-bottom: 10px;">È arrivato! 🚀</h2>
-        </div>
-        
-        <p style="font-size: 16px;">Ciao <strong>${name}</strong>,</p>
-        <p style="font-size: 16px;">
-          Ottima notizia! <strong>${productName}</strong> è ora disponibile per l'acquisto! 
-        </p>
-        
-        ${preferenceText}
-        
-        ${discountSection}
-        
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${productUrl}" 
-             style="display: inline-block; background: #000; color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
-            👉 ACQUISTA ORA
-          </a>
-        </div>
-        
-        <div style="background: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b; margin: 20px 0;">
-          <p style="margin: 0; font-size: 14px; color: #92400e;">
-            ⚡ <strong>Affrettati!</strong> Le quantità potrebbero essere limitate.
-          </p>
-        </div>
-        
-        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center;">
-          <p style="color: #666; margin: 5px 0;">Grazie per la tua pazienza!</p>
-          <p style="font-weight: bold; font-size: 18px; margin: 10px 0;">CLASSE VENETA</p>
-        </div>
-      </div>
-    `;
-
-    sendSmtpEmail.sender = {
-      name: "CLASSE VENETA",
-      email: "classeveneta@gmail.com"
-    };
-
-    sendSmtpEmail.to = [{ email, name }];
-
-    await apiInstance.sendTransacEmail(sendSmtpEmail);
-    console.log(`✅ Email disponibilità inviata a ${email}`);
-
-  } catch (error) {
-    console.error('❌ Errore invio email disponibilità:', error);
-    throw error;
-  }
-}
-
 // ==================================
 // START SERVER
 // ==================================
@@ -1841,6 +2349,20 @@ app.listen(PORT, () => {
   initializeDefaultConfigs().catch(err => {
     console.error('❌ Errore inizializzazione config:', err);
   });
+
+  // Promemoria + scadenza ordini non pagati (PENDING) o non saldati (PARTIALLY_PAID)
+  setInterval(() => {
+    runPendingOrdersJob(prisma).catch(err => {
+      console.error('❌ Job ordini PENDING fallito:', err);
+    });
+  }, 15 * 60 * 1000); // Ogni 15 minuti
+
+  // Coda email: ritenta gli invii falliti
+  setInterval(() => {
+    processEmailQueue(prisma).catch(err => {
+      console.error('❌ Coda email fallita:', err);
+    });
+  }, 60 * 1000); // Ogni minuto
 });
 
 // Graceful shutdown
@@ -1881,7 +2403,7 @@ app.post('/api/admin/promotions', adminAuth, async (req, res) => {
   try {
     const {
       name, slug, description, type, isActive, priority,
-      discountValue, discountTiers, conditions, bogoConfig,
+      discountValue, discountTiers, conditions, targetScope, bogoConfig,
       giftProductId, startDate, endDate,
       badgeText, badgeColor, showProgressBar, progressBarText,
       showPopup, popupText, maxUsesTotal, maxUsesPerUser,
@@ -1892,31 +2414,37 @@ app.post('/api/admin/promotions', adminAuth, async (req, res) => {
       return res.status(400).json({ error: 'Dati incompleti' });
     }
 
+    const data = {
+      name,
+      slug,
+      description,
+      type,
+      isActive: isActive !== undefined ? isActive : true,
+      priority: priority || 0,
+      discountValue: discountValue ? parseFloat(discountValue) : null,
+      discountTiers: discountTiers || null,
+      conditions: conditions || {},
+      targetScope: targetScope || undefined, // Assente = tutto il carrello
+      bogoConfig: bogoConfig || null,
+      giftProductId: giftProductId || null,
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null,
+      badgeText,
+      badgeColor: badgeColor || '#FF0000',
+      showProgressBar: showProgressBar || false,
+      progressBarText,
+      showPopup: showPopup || false,
+      popupText,
+      maxUsesTotal: maxUsesTotal ? parseInt(maxUsesTotal) : null,
+      maxUsesPerUser: maxUsesPerUser ? parseInt(maxUsesPerUser) : null,
+      combinesWith: combinesWith || []
+    };
+
+    // Schema per tipo: errori per campo in details.errors
+    validatePromotion(data);
+
     const promotion = await prisma.promotion.create({
-      data: {
-        name,
-        slug,
-        description,
-        type,
-        isActive: isActive !== undefined ? isActive : true,
-        priority: priority || 0,
-        discountValue: discountValue ? parseFloat(discountValue) : null,
-        discountTiers: discountTiers || null,
-        conditions: conditions || {},
-        bogoConfig: bogoConfig || null,
-        giftProductId: giftProductId || null,
-        startDate: startDate ? new Date(startDate) : null,
-        endDate: endDate ? new Date(endDate) : null,
-        badgeText,
-        badgeColor: badgeColor || '#FF0000',
-        showProgressBar: showProgressBar || false,
-        progressBarText,
-        showPopup: showPopup || false,
-        popupText,
-        maxUsesTotal: maxUsesTotal ? parseInt(maxUsesTotal) : null,
-        maxUsesPerUser: maxUsesPerUser ? parseInt(maxUsesPerUser) : null,
-        combinesWith: combinesWith || []
-      },
+      data,
       include: {
         giftProduct: true
       }
@@ -1924,6 +2452,9 @@ app.post('/api/admin/promotions', adminAuth, async (req, res) => {
 
     res.json(promotion);
   } catch (error) {
+    if (error.code === 'INVALID_PROMOTION') {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error('Error creating promotion:', error);
     if (error.code === 'P2002') {
       res.status(400).json({ error: 'Slug già esistente' });
@@ -1938,47 +2469,65 @@ app.put('/api/admin/promotions/:id', adminAuth, async (req, res) => {
   try {
     const {
       name, description, isActive, priority,
-      discountValue, discountTiers, conditions, bogoConfig,
+      discountValue, discountTiers, conditions, targetScope, bogoConfig,
       giftProductId, startDate, endDate,
       badgeText, badgeColor, showProgressBar, progressBarText,
       showPopup, popupText, maxUsesTotal, maxUsesPerUser,
       combinesWith
     } = req.body;
 
+    const data = {
+      ...(name !== undefined && { name }),
+      ...(description !== undefined && { description }),
+      ...(isActive !== undefined && { isActive }),
+      ...(priority !== undefined && { priority }),
+      ...(discountValue !== undefined && {
+        discountValue: discountValue ? parseFloat(discountValue) : null
+      }),
+      ...(discountTiers !== undefined && { discountTiers }),
+      ...(conditions !== undefined && { conditions }),
+      ...(targetScope !== undefined && { targetScope: targetScope || Prisma.DbNull }),
+      ...(bogoConfig !== undefined && { bogoConfig }),
+      ...(giftProductId !== undefined && { giftProductId }),
+      ...(startDate !== undefined && {
+        startDate: startDate ? new Date(startDate) : null
+      }),
+      ...(endDate !== undefined && {
+        endDate: endDate ? new Date(endDate) : null
+      }),
+      ...(badgeText !== undefined && { badgeText }),
+      ...(badgeColor !== undefined && { badgeColor }),
+      ...(showProgressBar !== undefined && { showProgressBar }),
+      ...(progressBarText !== undefined && { progressBarText }),
+      ...(showPopup !== undefined && { showPopup }),
+      ...(popupText !== undefined && { popupText }),
+      ...(maxUsesTotal !== undefined && {
+        maxUsesTotal: maxUsesTotal ? parseInt(maxUsesTotal) : null
+      }),
+      ...(maxUsesPerUser !== undefined && {
+        maxUsesPerUser: maxUsesPerUser ? parseInt(maxUsesPerUser) : null
+      }),
+      ...(combinesWith !== undefined && { combinesWith })
+    };
+
+    const current = await prisma.promotion.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!current) {
+      return res.status(404).json({ error: 'Promozione non trovata' });
+    }
+
+    // Valida la promo come risulterà dopo la modifica
+    validatePromotion({
+      ...current,
+      ...data,
+      targetScope: data.targetScope === Prisma.DbNull ? null : (data.targetScope ?? current.targetScope)
+    });
+
     const promotion = await prisma.promotion.update({
       where: { id: req.params.id },
-      data: {
-        ...(name !== undefined && { name }),
-        ...(description !== undefined && { description }),
-        ...(isActive !== undefined && { isActive }),
-        ...(priority !== undefined && { priority }),
-        ...(discountValue !== undefined && {
-          discountValue: discountValue ? parseFloat(discountValue) : null
-        }),
-        ...(discountTiers !== undefined && { discountTiers }),
-        ...(conditions !== undefined && { conditions }),
-        ...(bogoConfig !== undefined && { bogoConfig }),
-        ...(giftProductId !== undefined && { giftProductId }),
-        ...(startDate !== undefined && {
-          startDate: startDate ? new Date(startDate) : null
-        }),
-        ...(endDate !== undefined && {
-          endDate: endDate ? new Date(endDate) : null
-        }),
-        ...(badgeText !== undefined && { badgeText }),
-        ...(badgeColor !== undefined && { badgeColor }),
-        ...(showProgressBar !== undefined && { showProgressBar }),
-        ...(progressBarText !== undefined && { progressBarText }),
-        ...(showPopup !== undefined && { showPopup }),
-        ...(popupText !== undefined && { popupText }),
-        ...(maxUsesTotal !== undefined && {
-          maxUsesTotal: maxUsesTotal ? parseInt(maxUsesTotal) : null
-        }),
-        ...(maxUsesPerUser !== undefined && {
-          maxUsesPerUser: maxUsesPerUser ? parseInt(maxUsesPerUser) : null
-        }),
-        ...(combinesWith !== undefined && { combinesWith })
-      },
+      data,
       include: {
         giftProduct: true
       }
@@ -1986,11 +2535,48 @@ app.put('/api/admin/promotions/:id', adminAuth, async (req, res) => {
 
     res.json(promotion);
   } catch (error) {
+    if (error.code === 'INVALID_PROMOTION') {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error('Error updating promotion:', error);
     res.status(500).json({ error: 'Errore nell\'aggiornamento' });
   }
 });
 
+// GET lint promozioni attive (admin): configurazioni non valide, promo che non
+// scattano mai, stessa priorità sugli stessi prodotti, cumuli senza limite
+app.get('/api/admin/promotions/lint', adminAuth, async (req, res) => {
+  try {
+    const report = await lintPromotions(prisma);
+    res.json(report);
+  } catch (error) {
+    console.error('Error linting promotions:', error);
+    res.status(500).json({ error: 'Errore nel controllo promozioni' });
+  }
+});
+
+// POST simula una promozione non salvata (admin)
+// Body: { promotion, carts: [{ label?, items, codes?, shippingMethod? }] } oppure
+//       { promotion, from, to? } per gli ordini storici del periodo; mode? = priority | best_discount
+app.post('/api/admin/promotions/simulate', adminAuth, async (req, res) => {
+  try {
+    const { promotion, carts, from, to, mode } = req.body;
+
+    if (mode && !STACKING_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Modalità non valida (ammesse: ${STACKING_MODES.join(', ')})` });
+    }
+
+    const report = await simulatePromotion(prisma, { promotion, carts, from, to, mode });
+    res.json(report);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
+    console.error('Error simulating promotion:', error);
+    res.status(500).json({ error: 'Errore nella simulazione' });
+  }
+});
+
 // DELETE elimina promozione (admin)
 app.delete('/api/admin/promotions/:id', adminAuth, async (req, res) => {
   try {
@@ -2059,6 +2645,7 @@ app.get('/api/promotions/active', async (req, res) => {
         badgeText: true,
         badgeColor: true,
         conditions: true,
+        targetScope: true,
         discountValue: true,
         discountTiers: true,
         endDate: true
@@ -2066,54 +2653,53 @@ app.get('/api/promotions/active', async (req, res) => {
       orderBy: { priority: 'desc' }
     });
 
-    res.json(promotions);
+    // Le promo con codice non sono pubbliche (le condizioni rivelerebbero il codice)
+    res.json(promotions.filter(promo => getRequiredCodes(promo).length === 0));
   } catch (error) {
     console.error('Error fetching active promotions:', error);
     res.status(500).json({ error: 'Errore nel recupero promozioni attive' });
   }
 });
 
-// POST calcola sconti per carrello
+// POST calcola sconti per carrello (stessa pipeline e stessi totali del checkout)
 app.post('/api/promotions/calculate', async (req, res) => {
   try {
-    const { items, userEmail } = req.body;
+    const { items, userEmail, promoCode, shippingMethod } = req.body;
 
     if (!items || items.length === 0) {
       return res.json({
         totalDiscount: 0,
+        shippingDiscount: 0,
+        shippingCost: 0,
         appliedPromotions: [],
+        appliedCodes: [],
         giftProducts: [],
         finalTotal: 0
       });
     }
 
-    // Arricchisci items con dati prodotto
-    const productIds = [...new Set(items.map(i => i.productId))];
-    const products = await prisma.product.findMany({
-      where: { id: { in: productIds } }
+    const { method, pricing } = await priceCart(prisma, {
+      items,
+      customerEmail: userEmail,
+      promoCode,
+      shippingMethod
     });
-    const productMap = Object.fromEntries(products.map(p => [p.id, p]));
-
-    // Costruisci cart object
-    const cart = {
-      items: items.map(item => ({
-        ...item,
-        product: productMap[item.productId],
-        unitPrice: item.unitPrice || productMap[item.productId]?.basePrice || 0
-      })),
-      subtotal: items.reduce((sum, item) => {
-        const price = item.unitPrice || productMap[item.productId]?.basePrice || 0;
-        return sum + (price * item.quantity);
-      }, 0),
-      totalItems: items.reduce((sum, item) => sum + item.quantity, 0),
-      shippingCost: 5 // Da parametrizzare
-    };
-
-    // Calcola promozioni
-    const result = await calculatePromotions(cart, userEmail, prisma);
 
-    res.json(result);
+    res.json({
+      totalDiscount: pricing.totalDiscount,
+      shippingDiscount: pricing.shippingDiscount,
+      appliedPromotions: pricing.appliedPromotions,
+      appliedCodes: pricing.appliedCodes.map(c => c.code),
+      giftProducts: pricing.giftProducts,
+      finalTotal: pricing.total,
+      shippingMethod: method.id,
+      shippingCost: pricing.shippingCost,
+      pricing: describePricing(pricing)
+    });
   } catch (error) {
+    if (['INVALID_SHIPPING', 'INVALID_PROMO_CODE', 'INVALID_CART'].includes(error.code)) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error('Error calculating promotions:', error);
     res.status(500).json({ error: 'Errore nel calcolo sconti' });
   }
@@ -2149,27 +2735,11 @@ app.post('/api/promotions/progress', async (req, res) => {
       orderBy: { priority: 'desc' }
     });
 
-    // Costruisci cart
-    const productIds = [...new Set(items.map(i => i.productId))];
-    const products = await prisma.product.findMany({
-      where: { id: { in: productIds } }
-    });
-    const productMap = Object.fromEntries(products.map(p => [p.id, p]));
-
-    const cart = {
-      items: items.map(item => ({
-        ...item,
-        product: productMap[item.productId]
-      })),
-      subtotal: items.reduce((sum, item) => {
-        const price = productMap[item.productId]?.basePrice || 0;
-        return sum + (price * item.quantity);
-      }, 0),
-      totalItems: items.reduce((sum, item) => sum + item.quantity, 0)
-    };
+    // Costruisci cart (stessi prezzi e righe del checkout)
+    const { cart } = await buildCart(prisma, items);
 
-    // Calcola progress per ogni promo
-    const progress = promotions.map(promo => ({
+    // Calcola progress per ogni promo (escluse quelle con codice)
+    const progress = promotions.filter(promo => getRequiredCodes(promo).length === 0).map(promo => ({
       id: promo.id,
       name: promo.name,
       ...calculateProgress(cart, promo)
@@ -2177,6 +2747,9 @@ app.post('/api/promotions/progress', async (req, res) => {
 
     res.json({ progress });
   } catch (error) {
+    if (error.code === 'INVALID_CART') {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error('Error calculating progress:', error);
     res.status(500).json({ error: 'Errore nel calcolo progresso' });
   }
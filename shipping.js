@@ -0,0 +1,150 @@
+// shipping.js - Metodi di spedizione configurabili e indirizzi di consegna
+const { httpError } = require('./errors');
+
+const SHIPPING_TYPES = {
+  EVENT_PICKUP: 'EVENT_PICKUP', // Ritiro all'evento
+  PICKUP_POINT: 'PICKUP_POINT', // Ritiro presso punto fisso
+  COURIER: 'COURIER' // Corriere a domicilio (tariffa per n. articoli)
+};
+
+// Usati se la config "shipping_methods" non esiste ancora
+const DEFAULT_SHIPPING_CONFIG = {
+  defaultMethod: 'event_pickup',
+  methods: [
+    {
+      id: 'event_pickup',
+      type: SHIPPING_TYPES.EVENT_PICKUP,
+      label: 'Ritiro all\'evento',
+      cost: 0,
+      isActive: true
+    },
+    {
+      id: 'local_pickup',
+      type: SHIPPING_TYPES.PICKUP_POINT,
+      label: 'Ritiro al punto di raccolta',
+      address: '',
+      cost: 0,
+      isActive: false
+    },
+    {
+      id: 'courier',
+      type: SHIPPING_TYPES.COURIER,
+      label: 'Spedizione con corriere',
+      // Prima fascia con maxItems >= articoli nel carrello (null = illimitato)
+      rates: [
+        { maxItems: 2, cost: 5 },
+        { maxItems: 5, cost: 8 },
+        { maxItems: null, cost: 12 }
+      ],
+      freeAbove: null, // Spedizione gratis sopra questo subtotale (null = mai)
+      isActive: false
+    }
+  ]
+};
+
+async function getShippingConfig(db) {
+  const config = await db.config.findUnique({
+    where: { key: 'shipping_methods' }
+  });
+  return config?.value?.methods ? config.value : DEFAULT_SHIPPING_CONFIG;
+}
+
+/**
+ * 🚚 Metodi attivi (per lo store)
+ */
+async function getShippingMethods(db) {
+  const config = await getShippingConfig(db);
+  return {
+    defaultMethod: config.defaultMethod,
+    methods: config.methods.filter(m => m.isActive)
+  };
+}
+
+/**
+ * 🔎 Metodo scelto dal cliente (o quello di default se non indicato)
+ */
+async function resolveShippingMethod(db, methodId) {
+  const { defaultMethod, methods } = await getShippingMethods(db);
+  const id = methodId || defaultMethod;
+  const method = methods.find(m => m.id === id);
+
+  if (!method) {
+    throw httpError(400, `Metodo di spedizione '${id}' non disponibile`, { code: 'INVALID_SHIPPING' });
+  }
+
+  return method;
+}
+
+/**
+ * 💶 Costo spedizione per il carrello
+ */
+function calculateShippingCost(method, { subtotal, totalItems }) {
+  if (method.type !== SHIPPING_TYPES.COURIER) {
+    return method.cost || 0;
+  }
+
+  if (method.freeAbove && subtotal >= method.freeAbove) {
+    return 0;
+  }
+
+  const rates = [...(method.rates || [])].sort((a, b) =>
+    (a.maxItems ?? Infinity) - (b.maxItems ?? Infinity)
+  );
+  const rate = rates.find(r => r.maxItems === null || r.maxItems === undefined || totalItems <= r.maxItems);
+
+  return rate ? rate.cost : 0;
+}
+
+/**
+ * 🏠 Valida e normalizza l'indirizzo (obbligatorio solo per il corriere)
+ */
+function validateShippingAddress(method, address) {
+  if (method.type !== SHIPPING_TYPES.COURIER) {
+    return null;
+  }
+
+  if (!address) {
+    throw httpError(400, 'Indirizzo di spedizione obbligatorio', { code: 'INVALID_SHIPPING' });
+  }
+
+  const required = {
+    fullName: 'Nome destinatario',
+    street: 'Indirizzo',
+    city: 'Città',
+    postalCode: 'CAP',
+    province: 'Provincia'
+  };
+
+  const missing = Object.keys(required).filter(field => !address[field] || !String(address[field]).trim());
+  if (missing.length > 0) {
+    throw httpError(400, `Indirizzo incompleto: ${missing.map(f => required[f]).join(', ')}`, {
+      code: 'INVALID_SHIPPING',
+      details: { missing }
+    });
+  }
+
+  const country = (address.country || 'IT').toUpperCase();
+  const postalCode = String(address.postalCode).trim();
+  if (country === 'IT' && !/^\d{5}$/.test(postalCode)) {
+    throw httpError(400, 'CAP non valido', { code: 'INVALID_SHIPPING', details: { field: 'postalCode' } });
+  }
+
+  return {
+    fullName: String(address.fullName).trim(),
+    street: String(address.street).trim(),
+    city: String(address.city).trim(),
+    postalCode,
+    province: String(address.province).trim().toUpperCase(),
+    country,
+    notes: address.notes ? String(address.notes).trim() : null
+  };
+}
+
+module.exports = {
+  SHIPPING_TYPES,
+  DEFAULT_SHIPPING_CONFIG,
+  getShippingMethods,
+  resolveShippingMethod,
+  calculateShippingCost,
+  validateShippingAddress
+};
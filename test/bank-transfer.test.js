@@ -0,0 +1,70 @@
+// test/bank-transfer.test.js - Riferimento RF e import estratti conto CSV (offline)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  buildPaymentReference,
+  isValidReference,
+  findPaymentReference
+} = require('../bank-transfer');
+const { parseBankStatement } = require('../bank-statements');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'bank-statements');
+
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+test('isValidReference verifica il check digit ISO 11649', () => {
+  assert.equal(isValidReference('RF18 5390 0754 7034'), true);
+  assert.equal(isValidReference('RF18 5390 0754 7035'), false);
+});
+
+test('buildPaymentReference ricava il riferimento dal codice univoco', () => {
+  const reference = buildPaymentReference('CLA$$EV€N€TA-0042-AB7K');
+
+  assert.equal(reference, 'RF740042AB7K');
+  assert.equal(isValidReference(reference), true);
+  assert.equal(buildPaymentReference('codice-a-caso'), null);
+});
+
+test('findPaymentReference ritrova il codice anche con spazi e minuscole', () => {
+  const expected = { reference: 'RF740042AB7K', uniqueCode: 'CLA$$EV€N€TA-0042-AB7K' };
+
+  assert.deepEqual(findPaymentReference('BONIFICO DA MARIO ROSSI CAUSALE RF74 0042 AB7K ORDINE'), expected);
+  assert.deepEqual(findPaymentReference('caus: rf74 00 42ab7k'), expected);
+  assert.equal(findPaymentReference('RF75 0042 AB7K'), null); // Check digit sbagliato
+});
+
+test('estratto con colonne Accrediti/Addebiti e righe di intestazione', () => {
+  const entries = parseBankStatement(readFixture('accrediti-addebiti.csv'));
+
+  assert.deepEqual(entries.map(e => [e.date.toISOString().slice(0, 10), e.amount]), [
+    ['2026-02-02', 30],
+    ['2026-02-04', 1234.56]
+  ]);
+  assert.match(entries[0].description, /RF74 0042 AB7K/);
+  assert.equal(findPaymentReference(entries[0].description).uniqueCode, 'CLA$$EV€N€TA-0042-AB7K');
+});
+
+test('estratto con importo unico con segno (solo accrediti)', () => {
+  const entries = parseBankStatement(readFixture('importo-unico.csv'));
+
+  assert.deepEqual(entries.map(e => [e.date.toISOString().slice(0, 10), e.amount]), [
+    ['2026-02-05', 45],
+    ['2026-02-06', 20]
+  ]);
+  assert.equal(findPaymentReference(entries[0].description).reference, 'RF740042AB7K');
+});
+
+test('estratto separato da virgole con date ISO', () => {
+  const entries = parseBankStatement(readFixture('virgola.csv'));
+
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].amount, 30);
+  assert.equal(entries[0].description, 'Bonifico Bonifico RF74 0042AB7K');
+});
+
+test('formato sconosciuto → errore 400', () => {
+  assert.throws(() => parseBankStatement('foo;bar\n1;2\n'), { status: 400 });
+});
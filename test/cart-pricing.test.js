@@ -0,0 +1,49 @@
+// test/cart-pricing.test.js - Carrello dal DB: quantità e prezzi (offline)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildCart } = require('../cart-pricing');
+const { calculatePromoDiscount } = require('../promotions-engine');
+
+const hoodie = { id: 'hoodie', name: 'Felpa', category: 'Felpe', basePrice: 45, launchPrice: null, isActive: true, archivedAt: null };
+
+const db = {
+  product: { findMany: async () => [hoodie] },
+  config: { findUnique: async () => null }
+};
+
+test('quantità non intere o minori di 1 → 400 INVALID_CART', async () => {
+  for (const quantity of [0, -1, 1.5, '2', '1e8', null]) {
+    await assert.rejects(
+      buildCart(db, [{ productId: 'hoodie', size: 'M', color: 'nero', quantity }]),
+      { status: 400, code: 'INVALID_CART' }
+    );
+  }
+  await assert.rejects(buildCart(db, 'hoodie'), { status: 400, code: 'INVALID_CART' });
+});
+
+test('prodotti archiviati o disattivati → 400 INVALID_CART', async () => {
+  for (const changes of [{ archivedAt: new Date() }, { isActive: false }]) {
+    const unavailableDb = { ...db, product: { findMany: async () => [{ ...hoodie, ...changes }] } };
+    await assert.rejects(
+      buildCart(unavailableDb, [{ productId: 'hoodie', size: 'M', color: 'nero', quantity: 1 }]),
+      { status: 400, code: 'INVALID_CART', details: { productIds: ['hoodie'] } }
+    );
+  }
+});
+
+test('BOGO su quantità grandi: gruppi a blocchi, un elemento scontato per riga', async () => {
+  const quantity = 1000000;
+  const { cart } = await buildCart(db, [
+    { productId: 'hoodie', size: 'M', color: 'nero', quantity },
+    { productId: 'hoodie', size: 'L', color: 'nero', quantity }
+  ]);
+  assert.equal(cart.subtotal, 45 * 2 * quantity);
+
+  const promo = { type: 'BOGO', conditions: {}, bogoConfig: { buy: 2, get: 1, discountOnGet: 100, applyOnCheapest: true } };
+  const result = calculatePromoDiscount(promo, cart);
+  assert.equal(result.details.groups, Math.floor((2 * quantity) / 3));
+  assert.equal(result.discount, 45 * result.details.groups);
+  assert.ok(result.details.discountedItems.length <= 4);
+  assert.equal(result.details.discountedItems.reduce((sum, unit) => sum + unit.quantity, 0), result.details.groups);
+});
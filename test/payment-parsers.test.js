@@ -0,0 +1,81 @@
+// test/payment-parsers.test.js - Fixture .eml → parser di pagamento (offline)
+//
+// Ogni test/fixtures/emails/<nome>.eml ha accanto <nome>.expected.json con
+// { source, paymentData }: source null = nessun parser deve riconoscerla.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { findParser, parsePaymentMessage } = require('../payment-parsers');
+const { parseEml, parseGmailPayload, htmlToText } = require('../payment-parsers/mime');
+const { parseAmount } = require('../payment-parsers/common');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'emails');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.eml'))
+  .map(file => file.replace(/\.eml$/, ''));
+
+for (const name of fixtures) {
+  test(`fixture ${name}`, () => {
+    const raw = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.eml`));
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.expected.json`), 'utf8'));
+
+    const message = parseEml(raw);
+    const parser = findParser(message);
+
+    assert.equal(parser?.source ?? null, expected.source);
+    if (!expected.source) return;
+
+    const { paymentData } = parsePaymentMessage(message, parser);
+    assert.deepEqual(paymentData, expected.paymentData);
+  });
+}
+
+test('ogni fixture .eml ha il suo .expected.json', () => {
+  for (const name of fixtures) {
+    assert.ok(fs.existsSync(path.join(FIXTURES_DIR, `${name}.expected.json`)), name);
+  }
+});
+
+test('parseAmount gestisce separatori italiani e inglesi', () => {
+  assert.equal(parseAmount('30,00'), 30);
+  assert.equal(parseAmount('30.00'), 30);
+  assert.equal(parseAmount('1.234,56'), 1234.56);
+  assert.equal(parseAmount('1,234.56'), 1234.56);
+  assert.equal(parseAmount(''), null);
+});
+
+test('htmlToText decodifica entità e separa le righe', () => {
+  assert.equal(htmlToText('<p>Totale&nbsp;&euro;10,00</p><p>Grazie</p>'), 'Totale €10,00\nGrazie');
+});
+
+test('parseGmailPayload legge testo e HTML dalle parti annidate', () => {
+  const encode = (text) => Buffer.from(text, 'utf8').toString('base64url');
+  const payload = {
+    mimeType: 'multipart/mixed',
+    headers: [
+      { name: 'From', value: 'Revolut <no-reply@revolut.com>' },
+      { name: 'Subject', value: 'You have received money' }
+    ],
+    parts: [
+      {
+        mimeType: 'multipart/alternative',
+        parts: [
+          { mimeType: 'text/plain', body: { data: encode('You received €12.00 from Anna Neri') } },
+          { mimeType: 'text/html', body: { data: encode('<p>You received €12.00</p>') } }
+        ]
+      }
+    ]
+  };
+
+  const message = parseGmailPayload(payload);
+  assert.equal(message.subject, 'You have received money');
+  assert.equal(message.html, '<p>You received €12.00</p>');
+
+  const { source, paymentData } = parsePaymentMessage(message);
+  assert.equal(source, 'revolut');
+  assert.equal(paymentData.amount, 12);
+  assert.equal(paymentData.customerName, 'Anna Neri');
+});
@@ -0,0 +1,223 @@
+// test/payment-webhooks.test.js - Firma webhook, mappatura payload e ripresa eventi (offline)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  WEBHOOK_PROVIDERS,
+  STALE_CLAIM_MINUTES,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  handlePaymentWebhook
+} = require('../payment-webhooks');
+const { processIncomingPayment } = require('../order-service');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'webhooks');
+const SECRET = 'test-secret';
+const NOW = Date.UTC(2026, 1, 7, 10, 15);
+const TIMESTAMP = Math.floor(NOW / 1000);
+
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name));
+
+test('firma valida accettata', () => {
+  const body = readFixture('paypal-capture-completed.json');
+  const header = signWebhookPayload(body, SECRET, TIMESTAMP);
+
+  assert.equal(verifyWebhookSignature(body, header, SECRET, { now: NOW }), TIMESTAMP);
+});
+
+test('body modificato o secret sbagliato → 401', () => {
+  const body = readFixture('paypal-capture-completed.json');
+  const header = signWebhookPayload(body, SECRET, TIMESTAMP);
+  const tampered = Buffer.from(body.toString('utf8').replace('30.00', '3.00'));
+
+  assert.throws(() => verifyWebhookSignature(tampered, header, SECRET, { now: NOW }), { code: 'INVALID_SIGNATURE' });
+  assert.throws(() => verifyWebhookSignature(body, header, 'altro', { now: NOW }), { code: 'INVALID_SIGNATURE' });
+  assert.throws(() => verifyWebhookSignature(body, undefined, SECRET, { now: NOW }), { status: 401 });
+});
+
+test('timestamp fuori tolleranza → replay rifiutato', () => {
+  const body = readFixture('paypal-capture-completed.json');
+  const header = signWebhookPayload(body, SECRET, TIMESTAMP - 10 * 60);
+
+  assert.throws(() => verifyWebhookSignature(body, header, SECRET, { now: NOW }), { code: 'STALE_WEBHOOK' });
+});
+
+test('più firme v1 (rotazione secret): basta una valida', () => {
+  const body = readFixture('revolut-transaction-created.json');
+  const valid = signWebhookPayload(body, SECRET, TIMESTAMP).split(',')[1];
+  const header = `t=${TIMESTAMP},v1=${'0'.repeat(64)},${valid}`;
+
+  assert.equal(verifyWebhookSignature(body, header, SECRET, { now: NOW }), TIMESTAMP);
+});
+
+test('PayPal PAYMENT.CAPTURE.COMPLETED → paymentData', () => {
+  const payload = JSON.parse(readFixture('paypal-capture-completed.json'));
+  const { paypal } = WEBHOOK_PROVIDERS;
+
+  assert.equal(paypal.eventId(payload), 'WH-4RT67890AB123456C-0AB12345CD678901E');
+  assert.deepEqual(paypal.toPaymentData(payload), {
+    amount: 30,
+    currency: 'EUR',
+    customerName: 'Mario Rossi',
+    customerEmail: 'mario.rossi@example.com',
+    transactionId: '8MC585209K746392H',
+    reference: 'MIDA-0042',
+    orderNumber: 42,
+    uniqueCode: 'CLA$$EV€N€TA-0042-AB7K'
+  });
+  assert.equal(paypal.toPaymentData({ ...payload, event_type: 'PAYMENT.CAPTURE.REFUNDED' }), null);
+});
+
+test('Revolut TransactionCreated → paymentData', () => {
+  const payload = JSON.parse(readFixture('revolut-transaction-created.json'));
+  const { revolut } = WEBHOOK_PROVIDERS;
+
+  assert.equal(revolut.eventId(payload), 'TransactionCreated:63f1c4a2-9b7e-4d2a-8f51-2c0d3e4b5a61');
+  assert.deepEqual(revolut.toPaymentData(payload), {
+    amount: 45.5,
+    currency: 'EUR',
+    customerName: 'Giulia Bianchi',
+    customerEmail: null,
+    transactionId: '63f1c4a2-9b7e-4d2a-8f51-2c0d3e4b5a61',
+    reference: 'CLA$$EVENETA-0043-XY9Z',
+    orderNumber: 43,
+    uniqueCode: 'CLA$$EV€N€TA-0043-XY9Z'
+  });
+
+  const pending = { ...payload, data: { ...payload.data, state: 'pending' } };
+  assert.equal(revolut.toPaymentData(pending), null);
+});
+
+// DB in memoria per handlePaymentWebhook: eventi, log pagamenti, un ordine
+function fakeWebhookDb({ events = [], orders = [], failPayment = false } = {}) {
+  orders = orders.map(o => ({ paymentStatus: 'PENDING', total: 30, amountReceived: 0, items: [], customerEmail: null, ...o }));
+
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => {
+    if (key === 'OR') return value.some(w => matches(row, w));
+    if (value && value.lt) return row[key] < value.lt;
+    return row[key] === value;
+  });
+
+  const db = {
+    events,
+    logs: [],
+    webhookEvent: {
+      create: async ({ data }) => {
+        if (events.some(e => e.provider === data.provider && e.eventId === data.eventId)) {
+          throw Object.assign(new Error('Unique constraint'), { code: 'P2002' });
+        }
+        const event = { id: `e${events.length + 1}`, status: 'received', ...data };
+        events.push(event);
+        return event;
+      },
+      findUnique: async ({ where }) => events.find(e =>
+        e.provider === where.provider_eventId.provider && e.eventId === where.provider_eventId.eventId),
+      updateMany: async ({ where, data }) => {
+        const rows = events.filter(e => matches(e, where));
+        rows.forEach(e => Object.assign(e, data));
+        return { count: rows.length };
+      },
+      update: async ({ where, data }) => Object.assign(events.find(e => e.id === where.id), data)
+    },
+    paymentLog: {
+      findUnique: async ({ where }) => db.logs.find(l => l.externalId === where.externalId) || null,
+      updateMany: async ({ where, data }) => {
+        const rows = db.logs.filter(l => matches({ resolution: null, ...l }, where));
+        rows.forEach(l => Object.assign(l, data));
+        return { count: rows.length };
+      },
+      create: async ({ data }) => {
+        if (data.externalId && db.logs.some(l => l.externalId === data.externalId)) {
+          throw Object.assign(new Error('Unique constraint'), { code: 'P2002' });
+        }
+        db.logs.push(data);
+        return data;
+      }
+    },
+    order: {
+      findMany: async () => orders,
+      findUnique: async ({ where }) => orders.find(o => o.id === where.id),
+      update: async ({ where, data }) => Object.assign(orders.find(o => o.id === where.id), data)
+    },
+    orders,
+    orderEvent: { create: async () => ({}) },
+    $transaction: async (fn) => {
+      if (failPayment) throw new Error('DB non raggiungibile');
+      return fn(db);
+    }
+  };
+  return db;
+}
+
+function signedRequest(name) {
+  const rawBody = readFixture(name);
+  return { provider: 'paypal', rawBody, signature: signWebhookPayload(rawBody, SECRET, TIMESTAMP), now: NOW };
+}
+
+test('evento fermo in "received" ripreso solo dopo STALE_CLAIM_MINUTES', async () => {
+  process.env[WEBHOOK_PROVIDERS.paypal.secretEnv] = SECRET;
+  const eventId = 'WH-4RT67890AB123456C-0AB12345CD678901E';
+  const stuck = (minutesAgo) => [{
+    id: 'e1', provider: 'paypal', eventId, status: 'received',
+    claimedAt: new Date(NOW - minutesAgo * 60 * 1000)
+  }];
+
+  const recent = fakeWebhookDb({ events: stuck(1) });
+  assert.equal((await handlePaymentWebhook(recent, signedRequest('paypal-capture-completed.json'))).status, 'duplicate');
+
+  const stale = fakeWebhookDb({ events: stuck(STALE_CLAIM_MINUTES + 1), orders: [{ id: 'o42', orderNumber: 42 }] });
+  const result = await handlePaymentWebhook(stale, signedRequest('paypal-capture-completed.json'));
+  assert.equal(result.status, 'matched');
+  assert.equal(stale.events[0].status, 'processed');
+});
+
+test('abbinato ma non registrato → evento failed, il retry lo ripete', async () => {
+  process.env[WEBHOOK_PROVIDERS.paypal.secretEnv] = SECRET;
+  const orders = [{ id: 'o42', orderNumber: 42 }];
+  const db = fakeWebhookDb({ orders, failPayment: true });
+
+  await assert.rejects(handlePaymentWebhook(db, signedRequest('paypal-capture-completed.json')), /non registrato/);
+  assert.equal(db.events[0].status, 'failed');
+  assert.equal(db.logs[0].status, 'matched_but_update_failed');
+
+  // Retry del provider: il log fallito viene chiuso e il pagamento registrato
+  const retry = fakeWebhookDb({ events: db.events, orders });
+  retry.logs = db.logs;
+  const result = await handlePaymentWebhook(retry, signedRequest('paypal-capture-completed.json'));
+  assert.equal(result.status, 'matched');
+  assert.deepEqual(retry.logs.map(l => [l.status, l.externalId]), [
+    ['dismissed', null],
+    ['matched', 'paypal:8MC585209K746392H']
+  ]);
+});
+
+test('pagamento già registrato (externalId visto) → duplicate_payment, ordine intatto', async () => {
+  const db = fakeWebhookDb({ orders: [{ id: 'o42', orderNumber: 42 }] });
+  db.logs.push({ externalId: 'bank:1', status: 'matched' });
+
+  const result = await processIncomingPayment(db, { amount: 30, uniqueCode: 'X' }, { source: 'bank_statement', actor: 'system', externalId: 'bank:1' });
+  assert.equal(result.status, 'duplicate_payment');
+  assert.equal(db.orders[0].amountReceived, 0);
+  assert.equal(db.logs.length, 1);
+});
+
+test('due eventi dello stesso pagamento in contemporanea: registrato una volta', async () => {
+  process.env[WEBHOOK_PROVIDERS.paypal.secretEnv] = SECRET;
+  const db = fakeWebhookDb({ orders: [{ id: 'o42', orderNumber: 42 }] });
+  const payload = JSON.parse(readFixture('paypal-capture-completed.json'));
+  const request = (id) => {
+    const rawBody = Buffer.from(JSON.stringify({ ...payload, id }));
+    return { provider: 'paypal', rawBody, signature: signWebhookPayload(rawBody, SECRET, TIMESTAMP), now: NOW };
+  };
+
+  const results = await Promise.all([
+    handlePaymentWebhook(db, request('WH-A')),
+    handlePaymentWebhook(db, request('WH-B'))
+  ]);
+
+  assert.deepEqual(results.map(r => r.status).sort(), ['duplicate_payment', 'matched']);
+  assert.equal(db.orders[0].amountReceived, 30);
+  assert.deepEqual(db.events.map(e => e.status), ['processed', 'processed']);
+});
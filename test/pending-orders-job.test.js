@@ -0,0 +1,78 @@
+// test/pending-orders-job.test.js - Promemoria e scadenza ordini non pagati (offline)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runPendingOrdersJob } = require('../pending-orders-job');
+const { changeOrderStatus } = require('../order-lifecycle');
+
+const HOUR = 60 * 60 * 1000;
+
+// Filtri Prisma usati dal job: uguaglianza, { in }, { lte, gt }
+function matches(row, where) {
+  return Object.entries(where).every(([key, value]) => {
+    if (key === 'events') return true;
+    if (value === null || typeof value !== 'object' || value instanceof Date) return row[key] === value;
+    if (value.in) return value.in.includes(row[key]);
+    return (!value.lte || row[key] <= value.lte) && (!value.gt || row[key] > value.gt);
+  });
+}
+
+// DB in memoria: ordini senza magazzino, email in coda mai inviate
+function fakeDb(orders) {
+  const db = {
+    orders,
+    emails: [],
+    config: { findUnique: async () => null },
+    order: {
+      findMany: async ({ where }) => orders.filter(o => matches(o, where)),
+      findUnique: async ({ where }) => orders.find(o => o.id === where.id),
+      update: async ({ where, data }) => Object.assign(orders.find(o => o.id === where.id), data)
+    },
+    product: { findMany: async () => [] },
+    orderEvent: { create: async () => ({}) },
+    emailJob: {
+      create: async ({ data }) => {
+        db.emails.push(data);
+        return { id: `job${db.emails.length}` };
+      },
+      updateMany: async () => ({ count: 0 })
+    },
+    promoCodeUsage: { deleteMany: async () => ({}) },
+    promotionUsage: { findMany: async () => [], deleteMany: async () => ({}) }
+  };
+  db.$transaction = (fn) => fn(db);
+  return db;
+}
+
+function order(fields) {
+  const createdAt = new Date(Date.now() - 10 * 24 * HOUR);
+  return { orderNumber: 1, items: [], createdAt, pendingSince: createdAt, paymentReminderSentAt: null, ...fields };
+}
+
+test('ordine PENDING scaduto → FAILED', async () => {
+  const db = fakeDb([order({ id: 'o1', paymentStatus: 'PENDING' })]);
+
+  const result = await runPendingOrdersJob(db);
+  assert.equal(result.expired, 1);
+  assert.equal(db.orders[0].paymentStatus, 'FAILED');
+});
+
+test('ordine FAILED vecchio riaperto: il giro successivo lo lascia PENDING', async () => {
+  const db = fakeDb([order({ id: 'o1', paymentStatus: 'FAILED', paymentReminderSentAt: new Date(Date.now() - 9 * 24 * HOUR) })]);
+
+  await changeOrderStatus(db, 'o1', 'PENDING', { actor: 'admin' });
+  const result = await runPendingOrdersJob(db);
+
+  assert.deepEqual(result, { reminded: 0, expired: 0, flagged: 0 });
+  assert.equal(db.orders[0].paymentStatus, 'PENDING');
+  assert.equal(db.orders[0].paymentReminderSentAt, null);
+});
+
+test('promemoria con scadenza da pendingSince', async () => {
+  const pendingSince = new Date(Date.now() - 30 * HOUR);
+  const db = fakeDb([order({ id: 'o1', paymentStatus: 'PENDING', pendingSince })]);
+
+  const result = await runPendingOrdersJob(db);
+  assert.equal(result.reminded, 1);
+  assert.deepEqual(db.emails[0].payload.expiresAt, new Date(pendingSince.getTime() + 72 * HOUR));
+});
@@ -0,0 +1,58 @@
+// test/promotion-simulator.test.js - Anteprima bozza promozione su ordini storici (offline)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { simulatePromotion } = require('../promotion-simulator');
+
+const hoodie = { id: 'hoodie', name: 'Felpa', category: 'Felpe' };
+
+function order(orderNumber, quantity) {
+  return {
+    id: `o${orderNumber}`,
+    orderNumber,
+    subtotal: 45 * quantity,
+    shippingCost: 0,
+    promoCode: null,
+    items: [{ productId: 'hoodie', size: 'M', color: 'nero', quantity, unitPrice: 45, lineTotal: 45 * quantity, product: hoodie }]
+  };
+}
+
+// Promo attiva oggi: -5€ su tutto, non cumulabile
+const existing = { id: 'five', name: '-5€', type: 'FIXED', discountValue: 5, priority: 1, conditions: {}, combinesWith: [], usageCount: 0 };
+
+const db = {
+  promotion: { findMany: async () => [existing] },
+  order: { findMany: async () => [order(1, 1), order(2, 3)] },
+  product: { findUnique: async () => null },
+  config: { findUnique: async () => null }
+};
+
+test('bozza con priorità più alta scalza la promo esistente dove scatta', async () => {
+  const report = await simulatePromotion(db, {
+    promotion: { name: '3 felpe -20%', type: 'PERCENTAGE', discountValue: 20, priority: 5, conditions: { minQuantity: 3 } },
+    from: '2026-01-01'
+  });
+
+  assert.equal(report.source, 'orders');
+  assert.equal(report.cartsEvaluated, 2);
+  assert.deepEqual(report.results.map(r => [r.label, r.triggered, r.draftDiscount]), [
+    ['#0001', false, 0],
+    ['#0002', true, 27]
+  ]);
+  assert.deepEqual(report.summary.displaced, { five: { name: '-5€', count: 1 } });
+  assert.equal(report.summary.additionalCost, 22);
+});
+
+test('bozza nuova cumulabile: combinesWith considerato reciproco', async () => {
+  const report = await simulatePromotion(db, {
+    promotion: { name: 'Spedizione', type: 'FIXED', discountValue: 2, priority: 0, combinesWith: ['five'] },
+    from: '2026-01-01'
+  });
+
+  assert.deepEqual(report.summary.stackedWith, { five: { name: '-5€', count: 2 } });
+  assert.deepEqual(report.summary.displaced, {});
+});
+
+test('senza carrelli né periodo → 400', async () => {
+  await assert.rejects(simulatePromotion(db, { promotion: { type: 'FIXED', discountValue: 5 } }), { status: 400 });
+});
@@ -0,0 +1,88 @@
+// test/promotion-validation.test.js - Schema promozioni per tipo e lint (offline)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getPromotionErrors, validatePromotion, lintPromotions } = require('../promotion-validation');
+
+const fields = (errors) => errors.map(e => e.field);
+
+test('refuso nelle condizioni → errore sul campo con suggerimento', () => {
+  const errors = getPromotionErrors({
+    type: 'PERCENTAGE',
+    discountValue: 10,
+    conditions: { attributes: { sameSize: true } }
+  });
+
+  assert.deepEqual(fields(errors), ['conditions.attributes.sameSize']);
+  assert.match(errors[0].message, /sameTaglia/);
+});
+
+test('TIERED: oggetto non cumulativo e soglie malformate', () => {
+  assert.deepEqual(
+    fields(getPromotionErrors({ type: 'TIERED', conditions: {}, discountTiers: { threshold: 3, discount: 10 } })),
+    ['discountTiers.threshold', 'discountTiers.mode', 'discountTiers.perUnit', 'discountTiers.type']
+  );
+  assert.deepEqual(
+    fields(getPromotionErrors({
+      type: 'TIERED',
+      conditions: {},
+      discountTiers: [{ threshold: 3, discount: 10, type: 'PERCENTAGE' }, { threshold: 0, discount: 120, type: 'PERCENTAGE' }]
+    })),
+    ['discountTiers[1].threshold', 'discountTiers[1].discount']
+  );
+});
+
+test('regole per tipo: PERCENTAGE, BOGO, FREE_GIFT', () => {
+  assert.deepEqual(fields(getPromotionErrors({ type: 'PERCENTAGE', discountValue: 150, conditions: {} })), ['discountValue']);
+  assert.deepEqual(
+    fields(getPromotionErrors({ type: 'BOGO', conditions: {}, bogoConfig: { buy: 2, get: 0, discountOnGet: 100, getScope: { category: ['Felpe'] } } })),
+    ['bogoConfig.get', 'bogoConfig.getScope.category']
+  );
+  assert.deepEqual(fields(getPromotionErrors({ type: 'FREE_GIFT', conditions: {} })), ['giftProductId']);
+  assert.throws(() => validatePromotion({ type: 'FIXED', conditions: {} }), { status: 400, code: 'INVALID_PROMOTION' });
+});
+
+const products = [
+  { id: 'hoodie', category: 'Felpe', colors: ['nero'], sizes: ['M', 'L'], isActive: true, archivedAt: null },
+  { id: 'tee', category: 'T-shirt', colors: ['nero'], sizes: ['M'], isActive: true, archivedAt: null }
+];
+
+function promo(fields) {
+  return { isActive: true, priority: 0, conditions: {}, combinesWith: [], usageCount: 0, targetScope: null, ...fields };
+}
+
+function fakeDb(promotions) {
+  return {
+    promotion: { findMany: async () => promotions },
+    product: { findMany: async () => products },
+    config: { findUnique: async () => null }
+  };
+}
+
+test('lint: promo mai applicabili, combinazioni non reciproche e cumuli senza limite', async () => {
+  const { issues } = await lintPromotions(fakeDb([
+    promo({ id: 'a', name: 'A', type: 'PERCENTAGE', discountValue: 60, priority: 2, conditions: { minQuantity: 2 }, combinesWith: ['b'] }),
+    promo({ id: 'b', name: 'B', type: 'PERCENTAGE', discountValue: 50, priority: 1, conditions: { minQuantity: 2 }, combinesWith: ['a', 'c'] }),
+    promo({ id: 'c', name: 'C', type: 'FIXED', discountValue: 5, priority: 0, conditions: { minQuantity: 2 }, combinesWith: [] }),
+    promo({ id: 'd', name: 'D', type: 'FIXED', discountValue: 5, targetScope: { categories: ['Cappelli'] } })
+  ]));
+
+  assert.deepEqual(issues.map(i => [i.code, i.promotionIds]), [
+    ['NEVER_TRIGGERS', ['d']],
+    ['ONE_WAY_COMBINATION', ['b', 'c']],
+    ['ENDLESS_COMBO', ['a', 'b']]
+  ]);
+});
+
+test('lint: stessa priorità sugli stessi prodotti e promo sempre battuta', async () => {
+  const { issues } = await lintPromotions(fakeDb([
+    promo({ id: 'all', name: 'Tutto -10%', type: 'PERCENTAGE', discountValue: 10, priority: 5 }),
+    promo({ id: 'felpe', name: 'Felpe -5€', type: 'FIXED', discountValue: 5, priority: 1, targetScope: { categories: ['Felpe'] } }),
+    promo({ id: 'felpe2', name: 'Felpe -3€', type: 'FIXED', discountValue: 3, priority: 1, conditions: { categories: ['Felpe'] } }),
+    promo({ id: 'tee', name: 'T-shirt -2€', type: 'FIXED', discountValue: 2, priority: 1, targetScope: { categories: ['T-shirt'] } })
+  ]));
+
+  const codes = issues.map(i => [i.code, i.promotionIds]);
+  assert.deepEqual(codes.filter(([code]) => code === 'SAME_PRIORITY_OVERLAP'), [['SAME_PRIORITY_OVERLAP', ['felpe', 'felpe2']]]);
+  assert.deepEqual(codes.filter(([code]) => code === 'SHADOWED').map(([, ids]) => ids[0]), ['felpe', 'felpe2', 'tee']);
+});
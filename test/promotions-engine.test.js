@@ -0,0 +1,316 @@
+// test/promotions-engine.test.js - Pipeline sconti: bundle → promozioni → codici (offline)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculatePromotions, calculateCartDiscounts, calculatePromoDiscount, calculateProgress } = require('../promotions-engine');
+
+const tee = { id: 'tee', name: 'T-shirt', category: 'abbigliamento' };
+
+// DB in memoria con solo quello che serve alla pipeline
+function fakeDb({ promotions = [], promoCodes = [], bundlePercentage } = {}) {
+  return {
+    config: {
+      findUnique: async ({ where }) => (where.key === 'bundle_discount' && bundlePercentage
+        ? { value: { percentage: bundlePercentage } }
+        : null)
+    },
+    promotion: {
+      findMany: async () => [...promotions].sort((a, b) => b.priority - a.priority)
+    },
+    promotionUsage: {
+      count: async () => 0
+    },
+    promoCode: {
+      findUnique: async ({ where }) => {
+        const promoCode = promoCodes.find(c => c.code === where.code);
+        return promoCode ? { usedBy: [], allowedEmails: null, ...promoCode } : null;
+      }
+    }
+  };
+}
+
+function promotion(fields) {
+  return { priority: 0, combinesWith: [], conditions: {}, usageCount: 0, ...fields };
+}
+
+// 2 T-shirt M da 20€ + 1 L da 20€, spedizione 5€
+const cart = {
+  items: [
+    { productId: 'tee', size: 'M', color: 'nero', quantity: 2, unitPrice: 20, lineTotal: 40, product: tee },
+    { productId: 'tee', size: 'L', color: 'nero', quantity: 1, unitPrice: 20, lineTotal: 20, product: tee }
+  ],
+  subtotal: 60,
+  totalItems: 3,
+  shippingCost: 5
+};
+
+test('passi in ordine: bundle, promozione, codice sul residuo', async () => {
+  const db = fakeDb({
+    bundlePercentage: 10,
+    promotions: [promotion({ id: 'p1', name: '-5€ sopra 50€', type: 'FIXED', discountValue: 5, conditions: { minCartValue: 50 } })],
+    promoCodes: [{ id: 'c1', code: 'PROMO10', discountType: 'PERCENTAGE', discountValue: 10, isActive: true, maxUsesPerUser: 1 }]
+  });
+
+  const pricing = await calculateCartDiscounts(db, cart, { customerEmail: 'a@b.it', promoCode: 'promo10' });
+
+  assert.deepEqual(pricing.steps.map(s => [s.stage, s.discount, s.total]), [
+    ['bundle', 6, 59],
+    ['promotion', 5, 54],
+    ['code', 4.9, 49.1]
+  ]);
+  assert.equal(pricing.bundleDiscount, 6);
+  assert.equal(pricing.promotionDiscount, 5);
+  assert.equal(pricing.codeDiscount, 4.9);
+  assert.equal(pricing.total, 60 + 5 - pricing.totalDiscount);
+});
+
+test('promozione con requiresCode: solo con il codice inserito', async () => {
+  const db = fakeDb({
+    promotions: [promotion({ id: 'p2', name: 'Spedizione gratis', type: 'FREE_SHIPPING', conditions: { requiresCode: 'SHIPFREE' } })]
+  });
+
+  const without = await calculateCartDiscounts(db, cart, { customerEmail: 'a@b.it' });
+  assert.equal(without.appliedPromotions.length, 0);
+  assert.equal(without.total, 62); // Solo bundle (5% di default)
+
+  const withCode = await calculateCartDiscounts(db, cart, { customerEmail: 'a@b.it', promoCode: 'shipfree' });
+  assert.deepEqual(withCode.steps.map(s => [s.stage, s.code, s.discount]), [
+    ['bundle', undefined, 3],
+    ['promotion', 'SHIPFREE', 5]
+  ]);
+  assert.equal(withCode.shippingDiscount, 5);
+  assert.equal(withCode.total, 57);
+});
+
+test('codice di una promozione non applicabile al carrello → errore', async () => {
+  const db = fakeDb({
+    promotions: [promotion({ id: 'p3', name: 'VIP', type: 'PERCENTAGE', discountValue: 20, conditions: { requiresCode: 'VIP', minQuantity: 5 } })]
+  });
+
+  await assert.rejects(
+    calculateCartDiscounts(db, cart, { customerEmail: 'a@b.it', promoCode: 'VIP' }),
+    { code: 'INVALID_PROMO_CODE', status: 400 }
+  );
+});
+
+test('codice inesistente o senza email → INVALID_PROMO_CODE', async () => {
+  const db = fakeDb();
+
+  await assert.rejects(
+    calculateCartDiscounts(db, cart, { customerEmail: 'a@b.it', promoCode: 'NONESISTE' }),
+    { code: 'INVALID_PROMO_CODE', status: 404 }
+  );
+  await assert.rejects(
+    calculateCartDiscounts(db, cart, { promoCode: 'PROMO10' }),
+    { code: 'INVALID_PROMO_CODE', status: 400 }
+  );
+});
+
+// A (-10%, priorità alta) si cumula con B; C (-15€) si cumula con B ma non con A
+const stackable = [
+  promotion({ id: 'A', name: 'A', type: 'PERCENTAGE', discountValue: 10, priority: 3, combinesWith: ['B'] }),
+  promotion({ id: 'B', name: 'B', type: 'FIXED', discountValue: 2, priority: 2, combinesWith: ['A', 'C'] }),
+  promotion({ id: 'C', name: 'C', type: 'FIXED', discountValue: 15, priority: 1, combinesWith: ['B'] })
+];
+
+test('combinesWith a coppie: C non si cumula con A già applicata', async () => {
+  const result = await calculatePromotions(cart, null, fakeDb({ promotions: stackable }), { mode: 'priority' });
+
+  assert.deepEqual(result.appliedPromotions.map(p => p.id), ['A', 'B']);
+  assert.equal(result.totalDiscount, 8);
+});
+
+test('combinesWith deve essere reciproco', async () => {
+  const oneWay = [
+    promotion({ id: 'A', name: 'A', type: 'FIXED', discountValue: 5, priority: 2, combinesWith: ['B'] }),
+    promotion({ id: 'B', name: 'B', type: 'FIXED', discountValue: 5, priority: 1, combinesWith: [] })
+  ];
+  const result = await calculatePromotions(cart, null, fakeDb({ promotions: oneWay }), { mode: 'priority' });
+
+  assert.deepEqual(result.appliedPromotions.map(p => p.id), ['A']);
+});
+
+test('best_discount sceglie la combinazione più conveniente', async () => {
+  const result = await calculatePromotions(cart, null, fakeDb({ promotions: stackable }), { mode: 'best_discount' });
+
+  assert.deepEqual(result.appliedPromotions.map(p => p.id), ['B', 'C']);
+  assert.equal(result.totalDiscount, 17);
+  assert.equal(result.stackingMode, 'best_discount');
+});
+
+test('codice di una promo esclusa dal cumulo → errore esplicito', async () => {
+  const promotions = [
+    promotion({ id: 'auto', name: 'Auto', type: 'PERCENTAGE', discountValue: 10, priority: 2 }),
+    promotion({ id: 'vip', name: 'VIP', type: 'FIXED', discountValue: 3, priority: 1, conditions: { requiresCode: 'VIP' } })
+  ];
+
+  await assert.rejects(
+    calculateCartDiscounts(fakeDb({ promotions }), cart, { customerEmail: 'a@b.it', promoCode: 'VIP', stackingMode: 'priority' }),
+    { code: 'INVALID_PROMO_CODE', message: /non cumulabile/ }
+  );
+});
+
+test('ripartizione per riga: somma = sconti prodotti, categorie come target', async () => {
+  const mug = { id: 'mug', name: 'Tazza', category: 'accessori' };
+  const mixedCart = {
+    items: [
+      { productId: 'tee', size: 'M', color: 'nero', quantity: 1, unitPrice: 30, lineTotal: 30, product: tee },
+      { productId: 'mug', size: 'U', color: 'bianco', quantity: 1, unitPrice: 10, lineTotal: 10, product: mug }
+    ],
+    subtotal: 40,
+    totalItems: 2,
+    shippingCost: 5
+  };
+  const db = fakeDb({
+    promotions: [promotion({ id: 'acc', name: 'Accessori -3€', type: 'FIXED', discountValue: 3, conditions: { categories: ['accessori'] } })],
+    promoCodes: [{ id: 'c1', code: 'PROMO10', discountType: 'PERCENTAGE', discountValue: 10, isActive: true, maxUsesPerUser: 1 }]
+  });
+
+  const pricing = await calculateCartDiscounts(db, mixedCart, { customerEmail: 'a@b.it', promoCode: 'PROMO10' });
+
+  // Promo solo sulla tazza, codice 10% sul residuo di ogni riga (30 e 7)
+  assert.deepEqual(pricing.lines.map(l => l.allocations.map(a => [a.stage, a.amount])), [
+    [['code', 3]],
+    [['promotion', 3], ['code', 0.7]]
+  ]);
+  const allocated = pricing.lines.reduce((sum, l) => sum + l.discountAmount, 0);
+  assert.ok(Math.abs(allocated - (pricing.totalDiscount - pricing.shippingDiscount)) < 0.005);
+});
+
+test('ripartizione promozione al centesimo: somma esatta sulle righe', async () => {
+  const threeCart = {
+    items: ['S', 'M', 'L'].map(size => ({ productId: 'tee', size, color: 'nero', quantity: 1, unitPrice: 10, lineTotal: 10, product: tee })),
+    subtotal: 30,
+    totalItems: 3,
+    shippingCost: 0
+  };
+  const db = fakeDb({ promotions: [promotion({ id: 'ten', name: '-10€', type: 'FIXED', discountValue: 10 })] });
+
+  const pricing = await calculateCartDiscounts(db, threeCart, {});
+  assert.deepEqual(pricing.lines.map(l => l.discountAmount), [3.33, 3.33, 3.34]);
+});
+
+test('BOGO: lo sconto va sulla riga del pezzo omaggio', async () => {
+  const bogoCart = {
+    items: [
+      { productId: 'tee', size: 'M', color: 'nero', quantity: 1, unitPrice: 30, lineTotal: 30, product: tee },
+      { productId: 'tee', size: 'L', color: 'nero', quantity: 1, unitPrice: 20, lineTotal: 20, product: tee }
+    ],
+    subtotal: 50,
+    totalItems: 2,
+    shippingCost: 0
+  };
+  const db = fakeDb({
+    promotions: [promotion({ id: 'bogo', name: '1+1 al 50%', type: 'BOGO', bogoConfig: { buy: 1, get: 1, discountOnGet: 50, applyOnCheapest: false } })]
+  });
+
+  const pricing = await calculateCartDiscounts(db, bogoCart, { customerEmail: 'a@b.it' });
+
+  assert.deepEqual(pricing.lines.map(l => l.discountAmount), [0, 10]);
+});
+
+const hoodie = { id: 'hoodie', name: 'Felpa', category: 'Felpe' };
+
+test('BOGO per pezzo: "prendi 3 paghi 2" su una riga da 3', () => {
+  const result = calculatePromoDiscount(
+    { type: 'BOGO', bogoConfig: { buy: 2, get: 1, discountOnGet: 100, applyOnCheapest: true } },
+    {
+      items: [{ productId: 'hoodie', size: 'M', color: 'nero', quantity: 3, unitPrice: 45, lineTotal: 135, product: hoodie }],
+      subtotal: 135,
+      totalItems: 3
+    }
+  );
+
+  assert.equal(result.discount, 45);
+  assert.deepEqual(result.details.discountedItems.map(u => [u.lineIndex, u.unitIndex]), [[0, 2]]);
+});
+
+test('BOGO con scope: compri felpe, scontata la t-shirt più economica', () => {
+  const result = calculatePromoDiscount(
+    {
+      type: 'BOGO',
+      bogoConfig: {
+        buy: 1,
+        get: 1,
+        discountOnGet: 50,
+        applyOnCheapest: true,
+        buyScope: { categories: ['Felpe'] },
+        getScope: { products: ['tee'] }
+      }
+    },
+    {
+      items: [
+        { productId: 'hoodie', size: 'M', color: 'nero', quantity: 2, unitPrice: 45, lineTotal: 90, product: hoodie },
+        { productId: 'tee', size: 'M', color: 'nero', quantity: 1, unitPrice: 20, lineTotal: 20, product: tee },
+        { productId: 'tee', size: 'S', color: 'bianco', quantity: 1, unitPrice: 18, lineTotal: 18, product: tee }
+      ],
+      subtotal: 128,
+      totalItems: 4
+    }
+  );
+
+  // 2 felpe → 2 gruppi: prima la t-shirt da 18, poi quella da 20
+  assert.equal(result.details.groups, 2);
+  assert.deepEqual(result.details.discountedItems.map(u => [u.lineIndex, u.discount]), [[2, 9], [1, 10]]);
+});
+
+// 2 felpe nere M (45€), 1 felpa bianca L (45€), 2 t-shirt M (20€)
+const scopedCart = {
+  items: [
+    { productId: 'hoodie', size: 'M', color: 'nero', quantity: 2, unitPrice: 45, lineTotal: 90, product: hoodie },
+    { productId: 'hoodie', size: 'L', color: 'bianco', quantity: 1, unitPrice: 45, lineTotal: 45, product: hoodie },
+    { productId: 'tee', size: 'M', color: 'nero', quantity: 2, unitPrice: 20, lineTotal: 40, product: tee }
+  ],
+  subtotal: 175,
+  totalItems: 5,
+  shippingCost: 0
+};
+
+test('targetScope: sconto e soglie solo sulle righe target', async () => {
+  const felpe = promotion({
+    id: 'felpe',
+    name: 'Felpe -10%',
+    type: 'PERCENTAGE',
+    discountValue: 10,
+    conditions: { minQuantity: 3 },
+    targetScope: { categories: ['Felpe'] }
+  });
+
+  assert.equal(calculatePromoDiscount(felpe, scopedCart).discount, 13.5);
+
+  // Solo felpe nere: 2 pezzi, sotto la soglia di 3
+  const nere = { ...felpe, targetScope: { categories: ['Felpe'], colors: ['nero'] } };
+  const result = await calculatePromotions(scopedCart, null, fakeDb({ promotions: [nere] }));
+  assert.equal(result.appliedPromotions.length, 0);
+
+  // Ripartizione della promo solo sulle felpe
+  const pricing = await calculateCartDiscounts(fakeDb({ promotions: [felpe] }), scopedCart, {});
+  assert.deepEqual(
+    pricing.lines.map(l => l.allocations.filter(a => a.stage === 'promotion').map(a => a.amount)),
+    [[9], [4.5], []]
+  );
+});
+
+test('targetScope: taglie ed esclusioni', () => {
+  const promo = promotion({
+    type: 'FIXED',
+    discountValue: 100,
+    targetScope: { sizes: ['M'], excludeProducts: ['tee'] }
+  });
+
+  // Solo le felpe M: sconto fisso limitato al loro totale
+  assert.equal(calculatePromoDiscount(promo, scopedCart).discount, 90);
+});
+
+test('progress: minQuantity su tutto il carrello e sulle sole righe target', () => {
+  const sei = promotion({ name: '6 pezzi', type: 'PERCENTAGE', discountValue: 10, conditions: { minQuantity: 6 } });
+  const progress = calculateProgress(scopedCart, sei);
+  assert.equal(progress.remaining, 1);
+  assert.equal(progress.nextThreshold, 6);
+
+  // Solo felpe: 3 pezzi su 4
+  const felpe = { ...sei, conditions: { minQuantity: 4 }, targetScope: { categories: ['Felpe'] } };
+  const scoped = calculateProgress(scopedCart, felpe);
+  assert.equal(scoped.remaining, 1);
+  assert.equal(scoped.percentage, 75);
+});
@@ -0,0 +1,120 @@
+// test/refunds.test.js - Rimborsi per riga: importi e stock (offline)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRefund } = require('../refunds');
+const { updateOrder } = require('../order-service');
+
+// Ordine pagato: 2 felpe M (45€) + 1 t-shirt L (20€), nessuno sconto
+function paidOrder(fields = {}) {
+  return {
+    id: 'o1',
+    paymentStatus: 'PAID',
+    total: 110,
+    subtotal: 110,
+    shippingCost: 0,
+    amountReceived: 110,
+    refundedAmount: 0,
+    appliedPromotions: [],
+    items: [
+      { id: 'i1', productId: 'hoodie', color: 'nero', size: 'M', quantity: 2, unitPrice: 45, lineTotal: 90, discountAmount: 0, discountAllocations: [], refundLines: [] },
+      { id: 'i2', productId: 'tee', color: 'nero', size: 'L', quantity: 1, unitPrice: 20, lineTotal: 20, discountAmount: 0, discountAllocations: [], refundLines: [] }
+    ],
+    ...fields
+  };
+}
+
+// DB in memoria: registra rimborsi, movimenti di magazzino e cambi stato
+function fakeDb(order) {
+  const db = {
+    refunds: [],
+    stockMoves: [],
+    statuses: [],
+    order: {
+      findUnique: async () => order,
+      update: async ({ data }) => {
+        if (data.paymentStatus) db.statuses.push(data.paymentStatus);
+        return { ...order, ...data };
+      }
+    },
+    refund: {
+      create: async ({ data }) => {
+        const refund = { id: `r${db.refunds.length + 1}`, ...data, lines: data.lines.create };
+        db.refunds.push(refund);
+        return refund;
+      }
+    },
+    product: {
+      findMany: async ({ where }) => where.id.in.map(id => ({ id, name: id }))
+    },
+    productStock: {
+      updateMany: async ({ where, data }) => {
+        db.stockMoves.push([where.productId, where.size, data.quantity.increment]);
+        return { count: 1 };
+      }
+    },
+    orderEvent: { create: async () => ({}) },
+    emailJob: {
+      create: async () => ({ id: 'job' }),
+      updateMany: async () => ({ count: 0 })
+    },
+    promoCodeUsage: { deleteMany: async () => ({}) },
+    promotionUsage: { findMany: async () => [], deleteMany: async () => ({}) }
+  };
+  db.transactions = 0;
+  db.$transaction = (fn) => {
+    db.transactions++;
+    return fn(db);
+  };
+  return db;
+}
+
+test('importo per riga: deve essere positivo e non oltre il pagato', async () => {
+  const db = fakeDb(paidOrder());
+
+  for (const amount of [-10, 0, 91]) {
+    await assert.rejects(
+      createRefund(db, 'o1', { method: 'paypal', lines: [{ orderItemId: 'i1', quantity: 2, amount }, { orderItemId: 'i2', quantity: 1, amount: 20 }] }),
+      { status: 400 }
+    );
+  }
+  assert.equal(db.refunds.length, 0);
+
+  const refund = await createRefund(db, 'o1', { method: 'paypal', lines: [{ orderItemId: 'i1', quantity: 1, amount: 40 }] });
+  assert.equal(refund.amount, 40);
+});
+
+test('stock: rimborso per riga restituisce solo i pezzi rimborsati', async () => {
+  const db = fakeDb(paidOrder());
+
+  await createRefund(db, 'o1', { method: 'paypal', lines: [{ orderItemId: 'i1', quantity: 1 }] });
+  assert.deepEqual(db.stockMoves, [['hoodie', 'M', 1]]);
+  assert.deepEqual(db.statuses, []);
+});
+
+test('stock: rimborso totale restituisce il resto, ma non se consegnato', async () => {
+  const refundedLine = { orderItemId: 'i1', quantity: 1, amount: 45 };
+  const order = paidOrder({ refundedAmount: 45 });
+  order.items[0].refundLines = [refundedLine];
+
+  const paid = fakeDb(order);
+  await createRefund(paid, 'o1', { method: 'paypal' });
+  assert.deepEqual(paid.stockMoves, [['hoodie', 'M', 1], ['tee', 'L', 1]]);
+  assert.deepEqual(paid.statuses, ['REFUNDED']);
+
+  const delivered = fakeDb({ ...order, paymentStatus: 'DELIVERED' });
+  await createRefund(delivered, 'o1', { method: 'paypal' });
+  assert.deepEqual(delivered.stockMoves, []);
+  assert.deepEqual(delivered.statuses, ['REFUNDED']);
+});
+
+test('PUT → REFUNDED registra il rimborso del residuo, insieme al resto', async () => {
+  const db = fakeDb(paidOrder({ paymentMethod: 'revolut' }));
+
+  await updateOrder(db, 'o1', { paymentStatus: 'REFUNDED', notes: 'Reso in negozio' });
+  assert.deepEqual(db.refunds.map(r => [r.amount, r.method, r.isFull]), [[110, 'revolut', true]]);
+  assert.deepEqual(db.statuses, ['REFUNDED']);
+
+  // Rimborso e note nella stessa transazione
+  assert.equal(db.transactions, 1);
+});
@@ -0,0 +1,59 @@
+// webhook-sign.js - Firma un payload di test per /api/webhooks/payments/:provider
+//
+// Uso:
+//   WEBHOOK_SECRET_PAYPAL=... node webhook-sign.js paypal test/fixtures/webhooks/paypal-capture-completed.json
+//   ... --send [--url=http://localhost:3000]   → lo invia anche al backend locale
+//
+// Senza --send stampa il comando curl pronto da lanciare.
+const fs = require('fs');
+const { SIGNATURE_HEADER, WEBHOOK_PROVIDERS, signWebhookPayload } = require('./payment-webhooks');
+
+function usage(message) {
+  if (message) console.error(`❌ ${message}`);
+  console.error('Uso: node webhook-sign.js <provider> <payload.json> [--send] [--url=http://localhost:3000]');
+  console.error(`Provider: ${Object.keys(WEBHOOK_PROVIDERS).join(', ')}`);
+  process.exit(1);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [provider, file] = args.filter(arg => !arg.startsWith('--'));
+  const send = args.includes('--send');
+  const baseUrl = args.find(arg => arg.startsWith('--url='))?.slice('--url='.length) || 'http://localhost:3000';
+
+  if (!provider || !file) usage();
+
+  const handler = WEBHOOK_PROVIDERS[provider];
+  if (!handler) usage(`Provider sconosciuto: ${provider}`);
+
+  const secret = process.env[handler.secretEnv];
+  if (!secret) usage(`${handler.secretEnv} non configurato`);
+
+  const body = fs.readFileSync(file);
+  const signature = signWebhookPayload(body, secret);
+  const url = `${baseUrl}/api/webhooks/payments/${provider}`;
+
+  if (!send) {
+    console.log(`curl -X POST '${url}' \\`);
+    console.log(`  -H 'Content-Type: application/json' \\`);
+    console.log(`  -H '${SIGNATURE_HEADER}: ${signature}' \\`);
+    console.log(`  --data-binary @${file}`);
+    return;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: signature
+    },
+    body
+  });
+
+  console.log(`${response.ok ? '✅' : '❌'} HTTP ${response.status}`, await response.text());
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});